@@ -4,31 +4,68 @@
  * @version 7.1.0
  */
 
-import { EXTENSION_CONFIG, RULE_CONFIG } from '../core/config.js';
+import { EXTENSION_CONFIG, LOG_CONFIG, RULE_CONFIG } from '../core/config.js';
 import { backgroundLogger } from '../core/logger.js';
 import { getDomainFromUrl, normalizeDomain, isValidDomain, debounce, PerformanceTimer } from '../core/utilities.js';
-import { domainStorage } from '../core/storage.js';
+import { allowlistStorage, rulesetStorage, settingsStorage } from '../core/storage.js';
 import { trackingDetector } from '../core/trackingDetector.js';
+import { getBlockingModeForLevel } from '../core/trackingConfig.js';
+import { countFilters } from '../core/ruleOptimizer.js';
+import { buildPauseRules, getPauseRuleCapacity } from '../core/pauseRules.js';
+import { ALLOWLIST_SOURCES, buildAllowlistRules, toMatchPatterns } from '../core/allowlist.js';
+import { compileUserFilters } from '../core/userFilters.js';
+import { getRuntimeSettings } from '../core/runtimeSettings.js';
+import { clearTimingReport, getTimingReport } from '../core/performanceReport.js';
+import {
+    appendLogEntries,
+    clearLogEntries,
+    getLogEntries,
+    migrateLegacyErrorLogs,
+    redactLogEntries
+} from '../core/logStore.js';
+import {
+    buildHidingCss,
+    getCosmeticSelectors,
+    getProceduralSelectors,
+    getScriptletHostnames
+} from '../core/cosmeticFilters.js';
 
 // State management
 class BackgroundState {
     constructor() {
         this.precompiledFilterCount = 0;
         this.isInitialized = false;
+        this.initializePromise = null;
         this.activeOperations = new Set();
         this.iconUpdateQueue = new Map();
     }
 
-    async initialize() {
-        if (this.isInitialized) return;
-        
+    // onInstalled/onStartup and the top-level start can overlap; all share one run.
+    // A failed run is forgotten so the next event can retry.
+    initialize() {
+        if (!this.initializePromise) {
+            this.initializePromise = this.runInitialize().catch((error) => {
+                this.initializePromise = null;
+                throw error;
+            });
+        }
+        return this.initializePromise;
+    }
+
+    async runInitialize() {
         const timer = new PerformanceTimer('Background initialization');
         
         try {
+            await this.initializeRulesets();
+            await this.initializeGlobalPause();
             await this.initializeFilterCount();
             await this.initializeStorage();
             await this.initializeTrackingDetector();
             await this.updateDynamicRules();
+            await this.initializeUserFilters();
+            await this.initializeTemporaryPauses();
+            await this.initializeScriptlets();
+            await this.initializeMatchCounter();
             
             this.isInitialized = true;
             backgroundLogger.info('Background script initialized successfully');
@@ -43,6 +80,9 @@ class BackgroundState {
     async initializeTrackingDetector() {
         try {
             await trackingDetector.initialize();
+            // The level may have changed while the detector was not running
+            const { protectionLevel } = await settingsStorage.getUserSettings();
+            await MessageHandler.applyProtectionLevel(protectionLevel);
             backgroundLogger.info('Tracking detector initialized');
         } catch (error) {
             backgroundLogger.error('Failed to initialize tracking detector', { error: error.message });
@@ -50,11 +90,69 @@ class BackgroundState {
         }
     }
 
+    async initializeScriptlets() {
+        try {
+            await ScriptletManager.sync();
+        } catch (error) {
+            backgroundLogger.error('Failed to register scriptlets', { error: error.message });
+            // Network and cosmetic filtering keep working without scriptlets
+        }
+    }
+
+    async initializeGlobalPause() {
+        try {
+            // A timed pause that ran out while the browser was closed ends here
+            if (await GlobalPauseManager.initialize()) {
+                await MessageHandler.restoreSuspendedRules();
+            }
+        } catch (error) {
+            backgroundLogger.error('Failed to restore global pause', { error: error.message });
+        }
+    }
+
+    async initializeUserFilters() {
+        try {
+            // Rebuild from the stored text so compiler changes in an update take effect
+            await UserFilterManager.sync();
+        } catch (error) {
+            backgroundLogger.error('Failed to apply user filters', { error: error.message });
+            // The previous user rules stay in place
+        }
+    }
+
+    async initializeTemporaryPauses() {
+        try {
+            // Pauses that ran out while the service worker was stopped end here
+            await MessageHandler.handleExpiredPauses();
+        } catch (error) {
+            backgroundLogger.error('Failed to restore temporary pauses', { error: error.message });
+        }
+    }
+
+    async initializeMatchCounter() {
+        try {
+            await MatchCounter.initialize();
+        } catch (error) {
+            backgroundLogger.error('Failed to initialize match counter', { error: error.message });
+            // Blocking is unaffected; only the counts are missing
+        }
+    }
+
+    async initializeRulesets() {
+        try {
+            await RulesetManager.applyStoredStates();
+        } catch (error) {
+            backgroundLogger.error('Failed to apply stored ruleset states', { error: error.message });
+            // Continue with the rulesets enabled in the manifest
+        }
+    }
+
     async initializeFilterCount() {
         try {
-            const response = await fetch(chrome.runtime.getURL('filter_lists/filter_precompiled.json'));
-            const filterRules = await response.json();
-            this.precompiledFilterCount = Array.isArray(filterRules) ? filterRules.length : 0;
+            const filterLists = await RulesetManager.getFilterLists();
+            this.precompiledFilterCount = filterLists
+                .filter(list => list.enabled)
+                .reduce((sum, list) => sum + list.ruleCount, 0);
             backgroundLogger.info('Filter count initialized', { count: this.precompiledFilterCount });
         } catch (error) {
             backgroundLogger.error('Failed to initialize filter count', { error: error.message });
@@ -64,12 +162,14 @@ class BackgroundState {
 
     async initializeStorage() {
         try {
-            const disabledDomains = await domainStorage.getDisabledDomains();
-            backgroundLogger.debug('Storage initialized', { disabledDomainsCount: disabledDomains.length });
+            const migrated = await allowlistStorage.migrateLegacyLists();
+            const migratedLogs = await migrateLegacyErrorLogs();
+            const entries = await allowlistStorage.getEntries();
+            backgroundLogger.debug('Storage initialized', { allowlistCount: entries.length, migrated, migratedLogs });
         } catch (error) {
             backgroundLogger.error('Failed to initialize storage', { error: error.message });
             // Initialize with empty array if storage fails
-            await domainStorage.setDisabledDomains([]);
+            await allowlistStorage.setEntries([]);
         }
     }
 }
@@ -81,7 +181,11 @@ class RuleIdManager {
     static ID_RANGES = {
         ALLOW_RULES: { start: 1, end: 999 },           // 1-999: Allow rules for disabled domains
         TRACKING_RULES: { start: 1000, end: 9999 },   // 1000-9999: Bulk tracking rules  
-        AUTO_BLOCK_RULES: { start: 10000, end: 99999 } // 10000+: Auto-block rules
+        AUTO_BLOCK_RULES: { start: 10000, end: 99999 }, // 10000-99999: Auto-block rules
+        USER_RULES: {                                   // 100000+: "Meine Filter"
+            start: 100000,
+            end: 100000 + EXTENSION_CONFIG.LIMITS.MAX_USER_RULES - 1
+        }
     };
 
     static async getNextAvailableId(rangeType) {
@@ -121,57 +225,783 @@ class RuleIdManager {
     }
 }
 
-// Dynamic rules management with proper ID management
-const updateDynamicRules = async () => {
-    const operationId = 'updateDynamicRules';
-    
-    // Prevent concurrent operations
-    if (state.activeOperations.has(operationId)) {
-        backgroundLogger.debug('Dynamic rules update already in progress');
-        return;
+// Static ruleset management - one ruleset per filter list (see filter_lists/lists.json)
+class RulesetManager {
+    static ruleCounts = new Map();
+    static listMetadata = new Map();
+
+    static getRulesetResources() {
+        return chrome.runtime.getManifest().declarative_net_request?.rule_resources || [];
     }
-    
-    state.activeOperations.add(operationId);
-    const timer = new PerformanceTimer('Update dynamic rules');
-    
-    try {
-        const disabledDomains = await domainStorage.getDisabledDomains();
-        
-        // Validate and filter domains
-        const validDomains = disabledDomains
-            .filter(isValidDomain)
-            .slice(0, EXTENSION_CONFIG.LIMITS.MAX_DYNAMIC_RULES);
-
-        if (validDomains.length !== disabledDomains.length) {
-            backgroundLogger.warn('Invalid domains filtered out', { 
-                original: disabledDomains.length, 
-                valid: validDomains.length 
+
+    static async loadListManifest() {
+        try {
+            const response = await fetch(chrome.runtime.getURL('filter_lists/lists.json'));
+            const lists = await response.json();
+            return Array.isArray(lists) ? lists : [];
+        } catch (error) {
+            backgroundLogger.warn('Failed to load filter list manifest', { error: error.message });
+            return [];
+        }
+    }
+
+    static async getRuleCount(resource) {
+        if (this.ruleCounts.has(resource.id)) {
+            return this.ruleCounts.get(resource.id);
+        }
+
+        try {
+            const response = await fetch(chrome.runtime.getURL(resource.path));
+            const rules = await response.json();
+            // Merged requestDomains rules count once per domain
+            const count = Array.isArray(rules) ? countFilters(rules) : 0;
+            this.ruleCounts.set(resource.id, count);
+            return count;
+        } catch (error) {
+            backgroundLogger.warn('Failed to count ruleset rules', { rulesetId: resource.id, error: error.message });
+            return 0;
+        }
+    }
+
+    // Header metadata written next to each compiled ruleset by filter_precompiler.js
+    static async getListMetadata(resource) {
+        if (this.listMetadata.has(resource.id)) {
+            return this.listMetadata.get(resource.id);
+        }
+
+        try {
+            const metadataPath = resource.path.replace(/\.json$/, '') + '.meta.json';
+            const response = await fetch(chrome.runtime.getURL(metadataPath));
+            const metadata = await response.json();
+            this.listMetadata.set(resource.id, metadata);
+            return metadata;
+        } catch (error) {
+            backgroundLogger.debug('No metadata for ruleset', { rulesetId: resource.id, error: error.message });
+            return {};
+        }
+    }
+
+    // During a global pause all rulesets are off, but the user's selection still counts
+    static async getEnabledRulesetIds() {
+        const pause = await GlobalPauseManager.getActivePause();
+        return pause ? pause.enabledRulesets : chrome.declarativeNetRequest.getEnabledRulesets();
+    }
+
+    static async getFilterLists() {
+        const [lists, enabledIds] = await Promise.all([
+            this.loadListManifest(),
+            this.getEnabledRulesetIds()
+        ]);
+        const listsById = new Map(lists.map(list => [list.id, list]));
+        const enabled = new Set(enabledIds);
+
+        return Promise.all(this.getRulesetResources().map(async (resource) => {
+            const list = listsById.get(resource.id) || {};
+            const metadata = await this.getListMetadata(resource);
+            return {
+                id: resource.id,
+                title: list.title || resource.id,
+                category: list.category || 'other',
+                enabled: enabled.has(resource.id),
+                ruleCount: await this.getRuleCount(resource),
+                version: metadata.version || null,
+                homepage: metadata.homepage || null
+            };
+        }));
+    }
+
+    // Enabled static rulesets are reset on extension updates, so re-apply the user's choices
+    static async applyStoredStates() {
+        const states = await rulesetStorage.getRulesetStates();
+        const enabled = new Set(await chrome.declarativeNetRequest.getEnabledRulesets());
+        const enableRulesetIds = [];
+        const disableRulesetIds = [];
+
+        for (const { id } of this.getRulesetResources()) {
+            if (!(id in states)) continue;
+
+            if (states[id] && !enabled.has(id)) {
+                enableRulesetIds.push(id);
+            } else if (!states[id] && enabled.has(id)) {
+                disableRulesetIds.push(id);
+            }
+        }
+
+        if (enableRulesetIds.length > 0 || disableRulesetIds.length > 0) {
+            await chrome.declarativeNetRequest.updateEnabledRulesets({ enableRulesetIds, disableRulesetIds });
+            backgroundLogger.info('Stored ruleset states applied', { enableRulesetIds, disableRulesetIds });
+        }
+    }
+
+    static async setRulesetEnabled(rulesetId, enabled) {
+        const known = this.getRulesetResources().some(resource => resource.id === rulesetId);
+        if (!known) {
+            throw new Error(`Unknown ruleset: ${rulesetId}`);
+        }
+
+        if (!(await GlobalPauseManager.setRulesetEnabled(rulesetId, enabled))) {
+            await chrome.declarativeNetRequest.updateEnabledRulesets(
+                enabled ? { enableRulesetIds: [rulesetId] } : { disableRulesetIds: [rulesetId] }
+            );
+        }
+        await rulesetStorage.setRulesetState(rulesetId, enabled);
+        backgroundLogger.info('Ruleset toggled', { rulesetId, enabled });
+    }
+}
+
+// Cosmetic filtering - element hiding CSS compiled next to each ruleset (see *.cosmetic.json)
+class CosmeticFilterManager {
+    static resources = new Map();
+
+    static async loadResource(resource) {
+        if (this.resources.has(resource.id)) {
+            return this.resources.get(resource.id);
+        }
+
+        let cosmetic = null;
+        try {
+            const metadata = await RulesetManager.getListMetadata(resource);
+            if (metadata.cosmetic) {
+                const response = await fetch(chrome.runtime.getURL(metadata.cosmetic));
+                cosmetic = await response.json();
+            }
+        } catch (error) {
+            backgroundLogger.warn('Failed to load cosmetic filters', { rulesetId: resource.id, error: error.message });
+        }
+        this.resources.set(resource.id, cosmetic);
+        return cosmetic;
+    }
+
+    // Cosmetic filters follow the enabled state of their list's ruleset
+    static async getEnabledResources() {
+        const enabled = new Set(await RulesetManager.getEnabledRulesetIds());
+        const resources = await Promise.all(
+            RulesetManager.getRulesetResources()
+                .filter(resource => enabled.has(resource.id))
+                .map(resource => this.loadResource(resource))
+        );
+        return resources.filter(Boolean);
+    }
+
+    static async getHidingCss(hostname) {
+        const selectors = getCosmeticSelectors(await this.getEnabledResources(), hostname);
+        return selectors.length > 0 ? buildHidingCss(selectors) : null;
+    }
+
+    static getFrameTarget(sender) {
+        if (!sender.tab?.id) {
+            throw new Error('Cosmetic filters can only be applied to tabs');
+        }
+        return { tabId: sender.tab.id, frameIds: [sender.frameId || 0] };
+    }
+
+    static async inject(sender) {
+        if (sender.tab?.url && await isPagePaused(sender.tab.url)) {
+            return { injected: false, paused: true };
+        }
+
+        // Frames are matched by their own hostname, the pause state by the page's
+        const hostname = getDomainFromUrl(sender.url || sender.tab?.url);
+        const css = await this.getHidingCss(hostname);
+        if (css) {
+            await chrome.scripting.insertCSS({ target: this.getFrameTarget(sender), css, origin: 'USER' });
+        }
+
+        // Procedural selectors need the DOM and are evaluated by the content script
+        const procedural = getProceduralSelectors(await this.getEnabledResources(), hostname);
+        return { injected: Boolean(css), procedural };
+    }
+
+    // removeCSS needs the identical stylesheet, which getHidingCss rebuilds deterministically
+    static async remove(sender) {
+        const css = await this.getHidingCss(getDomainFromUrl(sender.url || sender.tab?.url));
+        if (!css) {
+            return { removed: false };
+        }
+        await chrome.scripting.removeCSS({ target: this.getFrameTarget(sender), css, origin: 'USER' });
+        return { removed: true };
+    }
+}
+
+// Scriptlets (##+js) - one MAIN world content script per enabled list (see *.scriptlets.js)
+class ScriptletManager {
+    static SCRIPT_ID_PREFIX = 'pagy-scriptlets-';
+
+    static toMatchPatterns(hostname) {
+        return [`*://${hostname}/*`, `*://*.${hostname}/*`];
+    }
+
+    static async buildContentScripts() {
+        if (await GlobalPauseManager.getActivePause()) {
+            return [];
+        }
+
+        const [enabledIds, allowlist, temporaryDomains] = await Promise.all([
+            chrome.declarativeNetRequest.getEnabledRulesets(),
+            allowlistStorage.getParsedEntries(),
+            TemporaryPauseManager.getPausedDomains()
+        ]);
+        const enabled = new Set(enabledIds);
+        // Paused pages must not receive scriptlets, like every other filter
+        const excludeMatches = [...new Set([
+            ...allowlist.flatMap(entry => toMatchPatterns(entry)),
+            ...temporaryDomains.filter(isValidDomain).flatMap(domain => this.toMatchPatterns(domain))
+        ])];
+        const scripts = [];
+
+        for (const resource of RulesetManager.getRulesetResources()) {
+            if (!enabled.has(resource.id)) continue;
+
+            const metadata = await RulesetManager.getListMetadata(resource);
+            const cosmetic = await CosmeticFilterManager.loadResource(resource);
+            const hostnames = cosmetic ? getScriptletHostnames(cosmetic) : [];
+            if (!metadata.scriptlets || hostnames.length === 0) continue;
+
+            scripts.push({
+                id: `${this.SCRIPT_ID_PREFIX}${resource.id}`,
+                js: [metadata.scriptlets],
+                matches: hostnames.flatMap(hostname => this.toMatchPatterns(hostname)),
+                ...(excludeMatches.length > 0 ? { excludeMatches } : {}),
+                world: 'MAIN',
+                runAt: 'document_start',
+                allFrames: true
             });
         }
+        return scripts;
+    }
 
-        // Clear existing allow rules
-        const removedCount = await RuleIdManager.clearRulesInRange('ALLOW_RULES');
+    // Re-register after ruleset toggles and pause changes
+    // Calls are chained: an interleaved get -> unregister -> register fails with duplicate or
+    // missing script IDs, and each run must read the pause state after the previous one
+    static syncQueue = Promise.resolve();
 
-        // Create new allow rules with sequential IDs starting from 1
-        const rulesToAdd = validDomains.map((domain, index) => ({
-            id: RuleIdManager.ID_RANGES.ALLOW_RULES.start + index,
-            priority: EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE,
-            action: { type: RULE_CONFIG.ACTIONS.ALLOW },
-            condition: { 
-                requestDomains: [domain], 
-                resourceTypes: RULE_CONFIG.RESOURCE_TYPES
+    static sync() {
+        const run = this.syncQueue.then(() => this.syncNow());
+        this.syncQueue = run.catch(() => {});
+        return run;
+    }
+
+    static async syncNow() {
+        const registered = await chrome.scripting.getRegisteredContentScripts();
+        const ids = registered.map(script => script.id).filter(id => id.startsWith(this.SCRIPT_ID_PREFIX));
+        if (ids.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids });
+        }
+
+        const scripts = await this.buildContentScripts();
+        if (scripts.length > 0) {
+            await chrome.scripting.registerContentScripts(scripts);
+        }
+        backgroundLogger.info('Scriptlets registered', { lists: scripts.map(script => script.id) });
+    }
+}
+
+// Temporary pauses (5 min, 1 h, until restart) as session rules; chrome.alarms ends timed ones.
+// Session rules and storage.session survive service worker restarts but not a browser restart,
+// which is exactly the lifetime of a pause "until restart".
+class TemporaryPauseManager {
+    static STORAGE_KEY = EXTENSION_CONFIG.STORAGE_KEYS.TEMPORARY_PAUSES;
+    static ALARM_PREFIX = 'pagy-pause:';
+    static SESSION_RULE_RANGE = { start: 1, end: 999 };
+
+    static async loadStored() {
+        const data = await chrome.storage.session.get([this.STORAGE_KEY]);
+        return data[this.STORAGE_KEY] || {};
+    }
+
+    // Alarms may fire late; an expired entry never counts as paused
+    static async getPauses() {
+        const now = Date.now();
+        return Object.fromEntries(
+            Object.entries(await this.loadStored()).filter(([, pause]) => pause.until === null || pause.until > now)
+        );
+    }
+
+    static async getPause(domain) {
+        const pauses = await this.getPauses();
+        return pauses[domain] || null;
+    }
+
+    static async getPausedDomains() {
+        return Object.keys(await this.getPauses());
+    }
+
+    static async pause(domain, duration) {
+        const pauses = await this.getPauses();
+        const until = duration === null ? null : Date.now() + duration;
+        pauses[domain] = { until };
+        await this.save(pauses);
+
+        const alarmName = `${this.ALARM_PREFIX}${domain}`;
+        if (until === null) {
+            await chrome.alarms.clear(alarmName);
+        } else {
+            await chrome.alarms.create(alarmName, { when: until });
+        }
+        await updatePauseTicker();
+        return pauses[domain];
+    }
+
+    static async resume(domain) {
+        const pauses = await this.getPauses();
+        if (!(domain in pauses)) return false;
+
+        delete pauses[domain];
+        await this.save(pauses);
+        await chrome.alarms.clear(`${this.ALARM_PREFIX}${domain}`);
+        await updatePauseTicker();
+        return true;
+    }
+
+    static async save(pauses) {
+        await chrome.storage.session.set({ [this.STORAGE_KEY]: pauses });
+        await this.syncRules(pauses);
+    }
+
+    static async syncRules(pauses) {
+        const { start, end } = this.SESSION_RULE_RANGE;
+        const existingRules = await chrome.declarativeNetRequest.getSessionRules();
+        const removeRuleIds = existingRules
+            .filter(rule => rule.id >= start && rule.id <= end)
+            .map(rule => rule.id);
+        const { rules: addRules } = buildPauseRules(Object.keys(pauses).filter(isValidDomain), this.SESSION_RULE_RANGE);
+
+        await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds, addRules });
+    }
+
+    // Removes expired pauses and returns their domains
+    static async expire() {
+        const stored = await this.loadStored();
+        const pauses = await this.getPauses();
+        const expired = Object.keys(stored).filter(domain => !(domain in pauses));
+
+        if (expired.length > 0) {
+            await this.save(pauses);
+            await Promise.all(expired.map(domain => chrome.alarms.clear(`${this.ALARM_PREFIX}${domain}`)));
+        }
+        await updatePauseTicker();
+        return expired;
+    }
+
+    static isPauseAlarm(name) {
+        return name === PAUSE_TICK_ALARM || name.startsWith(this.ALARM_PREFIX);
+    }
+
+    static formatRemaining(until) {
+        if (until === null) return '⏸';
+        const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+        return minutes < 60 ? `${minutes}m` : `${Math.ceil(minutes / 60)}h`;
+    }
+}
+
+// Global pause - switches off the static rulesets and suspends the tracker block rules.
+// The state lives in storage.local so an indefinite pause also survives a browser restart;
+// it keeps what was switched off so resume() can restore exactly that.
+class GlobalPauseManager {
+    static STORAGE_KEY = EXTENSION_CONFIG.STORAGE_KEYS.GLOBAL_PAUSE;
+    static ALARM_NAME = 'pagy-global-resume';
+    static SUSPENDED_RANGES = ['TRACKING_RULES', 'AUTO_BLOCK_RULES', 'USER_RULES'];
+
+    static async getState() {
+        const data = await chrome.storage.local.get([this.STORAGE_KEY]);
+        return data[this.STORAGE_KEY] || null;
+    }
+
+    // Returns the pause while it is running, null otherwise
+    static async getActivePause() {
+        const pause = await this.getState();
+        if (!pause || (pause.until !== null && pause.until <= Date.now())) {
+            return null;
+        }
+        return pause;
+    }
+
+    static isSuspendedRule(rule) {
+        return this.SUSPENDED_RANGES.some(rangeType => {
+            const { start, end } = RuleIdManager.ID_RANGES[rangeType];
+            return rule.id >= start && rule.id <= end;
+        });
+    }
+
+    static async pause(duration) {
+        const until = duration === null ? null : Date.now() + duration;
+        const current = await this.getState();
+
+        if (current) {
+            // Already paused: only the end changes
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: { ...current, until } });
+        } else {
+            const enabledRulesets = await chrome.declarativeNetRequest.getEnabledRulesets();
+            const suspendedRules = (await chrome.declarativeNetRequest.getDynamicRules())
+                .filter(rule => this.isSuspendedRule(rule));
+
+            // Store first, so a crash halfway through can still be resumed
+            await chrome.storage.local.set({
+                [this.STORAGE_KEY]: { since: Date.now(), until, enabledRulesets, suspendedRules }
+            });
+            if (enabledRulesets.length > 0) {
+                await chrome.declarativeNetRequest.updateEnabledRulesets({ disableRulesetIds: enabledRulesets });
             }
-        }));
+            if (suspendedRules.length > 0) {
+                await chrome.declarativeNetRequest.updateDynamicRules({
+                    removeRuleIds: suspendedRules.map(rule => rule.id)
+                });
+            }
+        }
 
-        if (rulesToAdd.length > 0) {
-            await chrome.declarativeNetRequest.updateDynamicRules({
-                addRules: rulesToAdd
+        if (until === null) {
+            await chrome.alarms.clear(this.ALARM_NAME);
+        } else {
+            await chrome.alarms.create(this.ALARM_NAME, { when: until });
+        }
+        await updatePauseTicker();
+        backgroundLogger.info('Global pause started', { until });
+        return { until };
+    }
+
+    static async resume() {
+        const pause = await this.getState();
+        if (!pause) return false;
+
+        if (pause.enabledRulesets.length > 0) {
+            await chrome.declarativeNetRequest.updateEnabledRulesets({ enableRulesetIds: pause.enabledRulesets });
+        }
+
+        // Rules added to the ranges in the meantime are replaced by the snapshot
+        const currentRules = (await chrome.declarativeNetRequest.getDynamicRules())
+            .filter(rule => this.isSuspendedRule(rule));
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: currentRules.map(rule => rule.id),
+            addRules: pause.suspendedRules
+        });
+
+        await chrome.storage.local.remove(this.STORAGE_KEY);
+        await chrome.alarms.clear(this.ALARM_NAME);
+        await updatePauseTicker();
+        backgroundLogger.info('Global pause ended', { since: pause.since });
+        return true;
+    }
+
+    // Extension updates re-enable the manifest's rulesets; keep them off while paused
+    static async initialize() {
+        const pause = await this.getState();
+        if (!pause) return false;
+
+        if (!(await this.getActivePause())) {
+            return this.resume();
+        }
+
+        const enabled = await chrome.declarativeNetRequest.getEnabledRulesets();
+        if (enabled.length > 0) {
+            await chrome.declarativeNetRequest.updateEnabledRulesets({ disableRulesetIds: enabled });
+        }
+        return false;
+    }
+
+    // List toggles during a pause only change what resume() switches back on
+    static async setRulesetEnabled(rulesetId, enabled) {
+        const pause = await this.getActivePause();
+        if (!pause) return false;
+
+        const enabledRulesets = pause.enabledRulesets.filter(id => id !== rulesetId);
+        if (enabled) {
+            enabledRulesets.push(rulesetId);
+        }
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: { ...pause, enabledRulesets } });
+        return true;
+    }
+}
+
+// "Meine Filter": the user's own filter rules, compiled into the USER_RULES range
+class UserFilterManager {
+    static STORAGE_KEY = EXTENSION_CONFIG.STORAGE_KEYS.USER_FILTERS;
+
+    static async getText() {
+        const data = await chrome.storage.local.get([this.STORAGE_KEY]);
+        return data[this.STORAGE_KEY]?.text || '';
+    }
+
+    // Regex quota left over by the session rules and the other dynamic ranges
+    static async getRegexBudget() {
+        const dnr = chrome.declarativeNetRequest;
+        const [dynamicRules, sessionRules] = await Promise.all([dnr.getDynamicRules(), dnr.getSessionRules()]);
+        const { start, end } = RuleIdManager.ID_RANGES.USER_RULES;
+        const used = [...dynamicRules.filter(rule => rule.id < start || rule.id > end), ...sessionRules]
+            .filter(rule => rule.condition.regexFilter).length;
+        const limit = dnr.MAX_NUMBER_OF_REGEX_RULES ?? EXTENSION_CONFIG.LIMITS.MAX_REGEX_RULES;
+        return Math.max(0, limit - used);
+    }
+
+    static async compile(text) {
+        return compileUserFilters(text, RuleIdManager.ID_RANGES.USER_RULES, {
+            maxRegexRules: await this.getRegexBudget()
+        });
+    }
+
+    // One update for removal and addition: if Chrome rejects a rule, the old rules stay active
+    static async apply(rules) {
+        const { start, end } = RuleIdManager.ID_RANGES.USER_RULES;
+        const removeRuleIds = (await chrome.declarativeNetRequest.getDynamicRules())
+            .filter(rule => rule.id >= start && rule.id <= end)
+            .map(rule => rule.id);
+        await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules: rules });
+    }
+
+    // During a global pause the text is only stored; resume() applies it
+    static async save(text) {
+        const compiled = await this.compile(text);
+        const deferred = Boolean(await GlobalPauseManager.getActivePause());
+        if (!deferred) {
+            await this.apply(compiled.rules);
+        }
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: { text, updated: Date.now() } });
+        return { ...compiled, deferred };
+    }
+
+    static async sync() {
+        if (await GlobalPauseManager.getActivePause()) return;
+        const { rules } = await this.compile(await this.getText());
+        await this.apply(rules);
+    }
+}
+
+const PAUSE_TICK_ALARM = 'pagy-pause-tick';
+
+// The badge counts down in minutes, so it needs a refresh while any timed pause runs
+async function updatePauseTicker() {
+    const [pauses, globalPause] = await Promise.all([
+        TemporaryPauseManager.getPauses(),
+        GlobalPauseManager.getActivePause()
+    ]);
+    const hasTimedPause = (globalPause && globalPause.until !== null)
+        || Object.values(pauses).some(pause => pause.until !== null);
+
+    if (!hasTimedPause) {
+        await chrome.alarms.clear(PAUSE_TICK_ALARM);
+    } else if (!(await chrome.alarms.get(PAUSE_TICK_ALARM))) {
+        await chrome.alarms.create(PAUSE_TICK_ALARM, { periodInMinutes: 1 });
+    }
+}
+
+// Allowlist entries, temporary and global pauses count the same everywhere
+async function isPagePaused(url) {
+    if (await GlobalPauseManager.getActivePause()) return true;
+    if (await allowlistStorage.isAllowlisted(url)) return true;
+    const domain = getDomainFromUrl(url);
+    return Boolean(domain && await TemporaryPauseManager.getPause(domain));
+}
+
+// Blocked request counts from declarativeNetRequest match feedback, kept per tab and ruleset.
+// Unpacked builds get every match via onRuleMatchedDebug; packed builds query getMatchedRules
+// (rate limited) when the popup or options page asks and rely on Chrome's action count badge.
+class MatchCounter {
+    static STORAGE_KEY = 'tabMatchCounts';
+    static RULESET_TITLES = { _dynamic: 'Dynamische Regeln', _session: 'Sitzungsregeln' };
+
+    static tabs = new Map();
+    static ruleIndexes = new Map();
+    static lastStats = null;
+    static isLoaded = false;
+
+    static get usesDebugEvents() {
+        const isUnpacked = !('update_url' in chrome.runtime.getManifest());
+        return isUnpacked && Boolean(chrome.declarativeNetRequest.onRuleMatchedDebug);
+    }
+
+    static async initialize() {
+        await chrome.declarativeNetRequest.setExtensionActionOptions({ displayActionCountAsBadgeText: true });
+        await this.load();
+    }
+
+    // The service worker can be restarted at any time, so tab state lives in session storage
+    static async load() {
+        if (this.isLoaded) return;
+        const data = await chrome.storage.session.get([this.STORAGE_KEY]);
+        for (const [tabId, entry] of Object.entries(data[this.STORAGE_KEY] || {})) {
+            if (!this.tabs.has(Number(tabId))) {
+                this.tabs.set(Number(tabId), entry);
+            }
+        }
+        this.isLoaded = true;
+    }
+
+    static persist = debounce(async () => {
+        try {
+            await chrome.storage.session.set({ [this.STORAGE_KEY]: Object.fromEntries(this.tabs) });
+        } catch (error) {
+            backgroundLogger.warn('Failed to persist match counts', { error: error.message });
+        }
+    }, 500);
+
+    static createTabEntry() {
+        return { navigationStart: Date.now(), blockedCount: 0, rulesets: {}, domains: {} };
+    }
+
+    static async resetTab(tabId) {
+        await this.load();
+        this.tabs.set(tabId, this.createTabEntry());
+        this.persist();
+    }
+
+    static async removeTab(tabId) {
+        await this.load();
+        this.tabs.delete(tabId);
+        this.persist();
+    }
+
+    // Only blocks and surrogate redirects count; allow rules and parameter removal do not
+    static isBlockingRule(rule) {
+        const { type, redirect } = rule.action || {};
+        return type === RULE_CONFIG.ACTIONS.BLOCK || (type === 'redirect' && Boolean(redirect?.extensionPath));
+    }
+
+    static async loadRules(rulesetId) {
+        if (rulesetId === '_dynamic') return chrome.declarativeNetRequest.getDynamicRules();
+        if (rulesetId === '_session') return chrome.declarativeNetRequest.getSessionRules();
+
+        const resource = RulesetManager.getRulesetResources().find(item => item.id === rulesetId);
+        if (!resource) return [];
+        const response = await fetch(chrome.runtime.getURL(resource.path));
+        const rules = await response.json();
+        return Array.isArray(rules) ? rules : [];
+    }
+
+    static async getRuleIndex(rulesetId, ruleId) {
+        let index = this.ruleIndexes.get(rulesetId);
+        // Dynamic and session rules change at runtime; rebuild when an unknown rule shows up
+        if (!index || (!index.all.has(ruleId) && rulesetId.startsWith('_'))) {
+            const rules = await this.loadRules(rulesetId);
+            index = {
+                all: new Set(rules.map(rule => rule.id)),
+                blocking: new Set(rules.filter(rule => this.isBlockingRule(rule)).map(rule => rule.id))
+            };
+            this.ruleIndexes.set(rulesetId, index);
+        }
+        return index;
+    }
+
+    static async isBlockingMatch({ ruleId, rulesetId }) {
+        const index = await this.getRuleIndex(rulesetId, ruleId);
+        return index.blocking.has(ruleId);
+    }
+
+    static addMatch(entry, rulesetId, domain) {
+        entry.blockedCount++;
+        entry.rulesets[rulesetId] = (entry.rulesets[rulesetId] || 0) + 1;
+        if (domain) {
+            entry.domains[domain] = (entry.domains[domain] || 0) + 1;
+        }
+    }
+
+    static async handleRuleMatchedDebug({ request, rule }) {
+        if (request.tabId < 0 || !(await this.isBlockingMatch(rule))) return;
+
+        await this.load();
+        if (!this.tabs.has(request.tabId)) {
+            this.tabs.set(request.tabId, this.createTabEntry());
+        }
+        this.addMatch(this.tabs.get(request.tabId), rule.rulesetId, getDomainFromUrl(request.url));
+        this.persist();
+    }
+
+    // One getMatchedRules call covers all tabs, which keeps the popup within the rate limit
+    static async collectMatchedRules() {
+        await this.load();
+        const { rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({});
+        const counts = new Map();
+
+        for (const { rule, tabId, timeStamp } of rulesMatchedInfo) {
+            // Matches from earlier pages in the same tab are kept by Chrome for a while;
+            // tabs loaded before the extension started have no recorded navigation
+            const navigationStart = this.tabs.get(tabId)?.navigationStart ?? 0;
+            if (tabId < 0 || timeStamp < navigationStart) continue;
+            if (!(await this.isBlockingMatch(rule))) continue;
+
+            if (!counts.has(tabId)) {
+                counts.set(tabId, { ...this.createTabEntry(), navigationStart });
+            }
+            this.addMatch(counts.get(tabId), rule.rulesetId, null);
+        }
+        return counts;
+    }
+
+    static async describeRulesets(rulesets) {
+        const lists = await RulesetManager.loadListManifest();
+        const titles = new Map(lists.map(list => [list.id, list.title]));
+        return Object.entries(rulesets)
+            .map(([id, count]) => ({ id, title: titles.get(id) || this.RULESET_TITLES[id] || id, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    static async getStats(tabId) {
+        const source = this.usesDebugEvents ? 'debug' : 'matchedRules';
+        let counts;
+        try {
+            await this.load();
+            counts = source === 'debug' ? this.tabs : await this.collectMatchedRules();
+        } catch (error) {
+            // Most likely MAX_GETMATCHEDRULES_CALLS_PER_INTERVAL; show the last known numbers
+            backgroundLogger.warn('Failed to read matched rules', { error: error.message });
+            if (this.lastStats?.tabId === tabId) {
+                return { ...this.lastStats, stale: true };
+            }
+            throw error;
+        }
+
+        const tab = counts.get(tabId) || this.createTabEntry();
+        const stats = {
+            tabId,
+            source,
+            blockedCount: tab.blockedCount,
+            rulesets: await this.describeRulesets(tab.rulesets),
+            // Request URLs are only reported to onRuleMatchedDebug
+            domains: source === 'debug'
+                ? Object.entries(tab.domains)
+                    .map(([domain, count]) => ({ domain, count }))
+                    .sort((a, b) => b.count - a.count)
+                : null,
+            totalBlocked: Array.from(counts.values()).reduce((sum, entry) => sum + entry.blockedCount, 0),
+            stale: false
+        };
+        this.lastStats = stats;
+        return stats;
+    }
+}
+
+// Dynamic rules management with proper ID management
+async function applyAllowlistRules() {
+    const timer = new PerformanceTimer('Update dynamic rules');
+    
+    try {
+        const storedEntries = await allowlistStorage.getEntries();
+        
+        // Invalid patterns are dropped while parsing
+        const entries = await allowlistStorage.getParsedEntries();
+
+        if (entries.length !== storedEntries.length) {
+            backgroundLogger.warn('Invalid allowlist entries filtered out', { 
+                original: storedEntries.length, 
+                valid: entries.length 
             });
         }
 
+        // Create new allow rules with sequential IDs starting from 1; domains are grouped (see core/allowlist.js)
+        const { rules: rulesToAdd, skipped } = buildAllowlistRules(entries, RuleIdManager.ID_RANGES.ALLOW_RULES);
+        if (skipped.length > 0) {
+            backgroundLogger.warn('Allow rule range exhausted, entries not applied', { skipped: skipped.length });
+        }
+
+        // Replace the whole allow range in one call, so no request sees it half updated
+        const { start, end } = RuleIdManager.ID_RANGES.ALLOW_RULES;
+        const removeRuleIds = (await chrome.declarativeNetRequest.getDynamicRules())
+            .filter(rule => rule.id >= start && rule.id <= end)
+            .map(rule => rule.id);
+        await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules: rulesToAdd });
+
         backgroundLogger.info('Dynamic rules updated', { 
-            removed: removedCount, 
-            added: rulesToAdd.length 
+            removed: removeRuleIds.length, 
+            added: rulesToAdd.length,
+            entries: entries.length - skipped.length
         });
 
     } catch (error) {
@@ -181,16 +1011,40 @@ const updateDynamicRules = async () => {
         });
         throw error;
     } finally {
-        state.activeOperations.delete(operationId);
         timer.end();
     }
+}
+
+// Calls during a running update queue one more run, which then reads the latest allowlist;
+// every caller's promise settles once its change has been applied
+let dynamicRulesUpdate = null;
+let dynamicRulesDirty = false;
+
+const updateDynamicRules = () => {
+    if (dynamicRulesUpdate) {
+        dynamicRulesDirty = true;
+        return dynamicRulesUpdate;
+    }
+
+    dynamicRulesUpdate = (async () => {
+        try {
+            do {
+                dynamicRulesDirty = false;
+                await applyAllowlistRules();
+            } while (dynamicRulesDirty);
+        } finally {
+            dynamicRulesUpdate = null;
+            dynamicRulesDirty = false;
+        }
+    })();
+    return dynamicRulesUpdate;
 };
 
 // Add updateDynamicRules to state class
 state.updateDynamicRules = updateDynamicRules;
 
 // Icon management with debouncing
-const updateIcon = debounce(async (tabId) => {
+async function applyIcon(tabId) {
     const operationId = `updateIcon-${tabId}`;
     
     if (state.activeOperations.has(operationId)) {
@@ -208,19 +1062,35 @@ const updateIcon = debounce(async (tabId) => {
         const tab = await chrome.tabs.get(tabId);
         const domain = getDomainFromUrl(tab.url);
 
+        // The global pause shows on every tab, web page or not
+        const globalPause = await GlobalPauseManager.getActivePause();
+        if (globalPause) {
+            await chrome.action.setIcon({ path: EXTENSION_CONFIG.ICONS.DISABLED, tabId });
+            await chrome.action.setBadgeText({ text: TemporaryPauseManager.formatRemaining(globalPause.until), tabId });
+            return;
+        }
+
         // For non-web URLs use default icon
         if (!domain) {
             await chrome.action.setIcon({ path: EXTENSION_CONFIG.ICONS.DEFAULT, tabId });
+            await chrome.action.setBadgeText({ text: null, tabId });
             return;
         }
 
-        const isPausedForDomain = await domainStorage.isDomainDisabled(domain);
+        const isPermanentlyPaused = await allowlistStorage.isAllowlisted(tab.url);
+        const temporaryPause = isPermanentlyPaused ? null : await TemporaryPauseManager.getPause(domain);
+        const isPausedForDomain = isPermanentlyPaused || Boolean(temporaryPause);
         const iconPath = isPausedForDomain ? EXTENSION_CONFIG.ICONS.DISABLED : EXTENSION_CONFIG.ICONS.DEFAULT;
         
         await chrome.action.setIcon({ path: iconPath, tabId });
         
-        // Badge text for additional information
-        const badgeText = isPausedForDomain ? '⏸' : '';
+        // Paused pages show a marker or the time left; null falls back to Chrome's blocked-request count
+        let badgeText = null;
+        if (isPermanentlyPaused) {
+            badgeText = '⏸';
+        } else if (temporaryPause) {
+            badgeText = TemporaryPauseManager.formatRemaining(temporaryPause.until);
+        }
         await chrome.action.setBadgeText({ text: badgeText, tabId });
         
         backgroundLogger.debug('Icon updated', { tabId, domain, isPaused: isPausedForDomain });
@@ -233,18 +1103,25 @@ const updateIcon = debounce(async (tabId) => {
     } finally {
         state.activeOperations.delete(operationId);
     }
-}, 100); // Debounce icon updates
+}
+
+const updateIcon = debounce(applyIcon, 100); // Debounce icon updates
 
 // Message handler with improved error handling
 class MessageHandler {
     static async handleGetPopupData() {
         const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
         const domain = getDomainFromUrl(activeTab?.url);
-        const isPaused = domain ? await domainStorage.isDomainDisabled(domain) : false;
+        const isPermanentlyPaused = domain ? await allowlistStorage.isAllowlisted(activeTab.url) : false;
+        const temporaryPause = domain && !isPermanentlyPaused ? await TemporaryPauseManager.getPause(domain) : null;
+        const globalPause = await GlobalPauseManager.getActivePause();
         
         return {
-            isPaused,
+            isPaused: isPermanentlyPaused || Boolean(temporaryPause),
+            temporaryPause,
+            globalPause: globalPause ? { until: globalPause.until } : null,
             domain,
+            tabId: activeTab?.id,
             filterCount: state.precompiledFilterCount
         };
     }
@@ -255,7 +1132,7 @@ class MessageHandler {
             return { isPaused: false };
         }
         
-        const isPaused = await domainStorage.isDomainDisabled(domain);
+        const isPaused = await isPagePaused(sender.tab.url);
         return { isPaused, domain };
     }
 
@@ -264,47 +1141,225 @@ class MessageHandler {
             throw new Error('Invalid domain provided');
         }
 
-        const timer = new PerformanceTimer(`Toggle domain ${domain}`);
+        const timer = new PerformanceTimer('Toggle domain');
         
         try {
             if (isPaused) {
-                await domainStorage.addDisabledDomain(domain);
+                await allowlistStorage.addEntry(domain, ALLOWLIST_SOURCES.POPUP);
             } else {
-                await domainStorage.removeDisabledDomain(domain);
+                // Resuming lifts every entry covering the page, including wildcard and path entries
+                const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+                const url = getDomainFromUrl(activeTab?.url) === domain ? activeTab.url : `https://${domain}/`;
+                const matches = await allowlistStorage.getMatchingEntries(url);
+                await allowlistStorage.removeEntries(matches.map(entry => entry.pattern));
             }
+            // The switch always overrides a running temporary pause
+            await TemporaryPauseManager.resume(domain);
 
             await updateDynamicRules();
+            await MessageHandler.applyPauseChange(domain, isPaused, { reload: true });
 
-            // Notify all content scripts about the state change
-            const tabs = await chrome.tabs.query({});
-            const notificationPromises = tabs
-                .filter(tab => getDomainFromUrl(tab.url) === domain)
-                .map(async (tab) => {
-                    try {
-                        await chrome.tabs.sendMessage(tab.id, {
-                            command: 'updatePauseState',
-                            isPaused: isPaused
-                        });
-                    } catch (e) {
-                        // Tab might not exist anymore or be loading
-                    }
-                });
+            return { success: true };
+        } finally {
+            timer.end();
+        }
+    }
 
-            await Promise.allSettled(notificationPromises);
+    static async handlePauseDomain({ domain, duration }) {
+        if (!domain || !isValidDomain(domain)) {
+            throw new Error('Invalid domain provided');
+        }
+        if (!Object.hasOwn(EXTENSION_CONFIG.PAUSE_DURATIONS, duration)) {
+            throw new Error(`Invalid pause duration: ${duration}`);
+        }
 
-            // Reload active tab if it matches the domain
-            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (activeTab && getDomainFromUrl(activeTab.url) === domain) {
-                chrome.tabs.reload(activeTab.id);
+        const pause = await TemporaryPauseManager.pause(domain, EXTENSION_CONFIG.PAUSE_DURATIONS[duration]);
+        await MessageHandler.applyPauseChange(domain, true, { reload: true });
+
+        backgroundLogger.info('Domain paused temporarily', { domain, duration, until: pause.until });
+        return { success: true, until: pause.until };
+    }
+
+    static async handleSetGlobalPause({ paused, duration = 'indefinite' }) {
+        if (paused) {
+            if (!Object.hasOwn(EXTENSION_CONFIG.GLOBAL_PAUSE_DURATIONS, duration)) {
+                throw new Error(`Invalid pause duration: ${duration}`);
             }
+            const { until } = await GlobalPauseManager.pause(EXTENSION_CONFIG.GLOBAL_PAUSE_DURATIONS[duration]);
+            await MessageHandler.broadcastPauseState();
+            return { success: true, paused: true, until };
+        }
 
-            return { success: true };
-        } finally {
-            timer.end();
+        const resumed = await GlobalPauseManager.resume();
+        if (resumed) {
+            await MessageHandler.restoreSuspendedRules();
+            await MessageHandler.broadcastPauseState();
+        }
+        return { success: true, paused: false };
+    }
+
+    static async handleToggleGlobalPause() {
+        const isPaused = Boolean(await GlobalPauseManager.getActivePause());
+        return MessageHandler.handleSetGlobalPause({ paused: !isPaused });
+    }
+
+    // Tracker rule updates and user filter saves are deferred while paused; catch up on both
+    static async restoreSuspendedRules() {
+        if (trackingDetector && trackingDetector.isInitialized) {
+            await MessageHandler.handleUpdateTrackingRules({ blockedDomains: trackingDetector.getBlockedDomains() });
+            // The restored snapshot may predate a protection level change
+            await MessageHandler.pruneAutoBlockRules();
+        }
+        await state.initializeUserFilters();
+    }
+
+    // Feeds the options page's protection level into the detector and brings both rule ranges in line
+    static async applyProtectionLevel(level) {
+        const mode = getBlockingModeForLevel(level);
+        const { blocked, unblocked, changed } = await trackingDetector.setBlockingMode(mode);
+
+        if (blocked.length > 0 || unblocked.length > 0) {
+            await MessageHandler.handleUpdateTrackingRules({ blockedDomains: trackingDetector.getBlockedDomains() });
+        }
+        // On a plain restart the thresholds are the same; nothing can have stopped qualifying
+        const pruned = changed ? await MessageHandler.pruneAutoBlockRules() : 0;
+
+        backgroundLogger.info('Protection level applied', {
+            level,
+            mode,
+            blocked: blocked.length,
+            unblocked: unblocked.length,
+            pruned
+        });
+        return { mode, blocked, unblocked, pruned };
+    }
+
+    // Removes auto-block rules for domains that no longer qualify, e.g. after switching to a milder level.
+    // Only domains the detector still has statistics for are judged; aged-out trackers stay blocked.
+    static async pruneAutoBlockRules() {
+        // The range is suspended; restoreSuspendedRules() catches up on resume
+        if (!trackingDetector?.isInitialized || await GlobalPauseManager.getActivePause()) {
+            return 0;
+        }
+
+        const isStale = domain => !KNOWN_TRACKER_DOMAINS.has(domain) && trackingDetector.failsBlockingCriteria(domain);
+        const { start, end } = RuleIdManager.ID_RANGES.AUTO_BLOCK_RULES;
+        const staleRuleIds = (await chrome.declarativeNetRequest.getDynamicRules())
+            .filter(rule => rule.id >= start && rule.id <= end)
+            .filter(rule => {
+                const domains = rule.condition.requestDomains || [];
+                return domains.length > 0 && domains.every(isStale);
+            })
+            .map(rule => rule.id);
+
+        if (staleRuleIds.length > 0) {
+            await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: staleRuleIds });
+        }
+        return staleRuleIds.length;
+    }
+
+    // Sends every tab its pause state and refreshes all icons
+    static async broadcastPauseState() {
+        await state.initializeScriptlets();
+
+        const tabs = await chrome.tabs.query({});
+        await Promise.allSettled(tabs.map(async (tab) => {
+            const domain = getDomainFromUrl(tab.url);
+            if (domain) {
+                try {
+                    await chrome.tabs.sendMessage(tab.id, {
+                        command: 'updatePauseState',
+                        isPaused: await isPagePaused(tab.url)
+                    });
+                } catch (e) {
+                    // Tab might not have a content script
+                }
+            }
+            await applyIcon(tab.id);
+        }));
+    }
+
+    static async handleExpiredPauses() {
+        const expired = await TemporaryPauseManager.expire();
+        // No reload on expiry: the user may be in the middle of a checkout
+        for (const domain of expired) {
+            await MessageHandler.applyPauseChange(domain, false, { reload: false });
+            backgroundLogger.info('Temporary pause expired', { domain });
+        }
+        if (expired.length === 0) {
+            await MessageHandler.refreshPausedIcons();
+        }
+    }
+
+    // Updates scriptlets, content scripts and icons of every tab on the domain
+    static async applyPauseChange(domain, isPaused, { reload }) {
+        await state.initializeScriptlets();
+
+        const tabs = (await chrome.tabs.query({})).filter(tab => getDomainFromUrl(tab.url) === domain);
+        const notificationPromises = tabs.map(async (tab) => {
+            try {
+                await chrome.tabs.sendMessage(tab.id, {
+                    command: 'updatePauseState',
+                    isPaused: isPaused
+                });
+            } catch (e) {
+                // Tab might not exist anymore or be loading
+            }
+            await applyIcon(tab.id);
+        });
+
+        await Promise.allSettled(notificationPromises);
+
+        // Reload active tab if it matches the domain
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (reload && activeTab && getDomainFromUrl(activeTab.url) === domain) {
+            chrome.tabs.reload(activeTab.id);
+        }
+    }
+
+    // Keeps the countdown in the badge current
+    static async refreshPausedIcons() {
+        const isGloballyPaused = Boolean(await GlobalPauseManager.getActivePause());
+        const domains = new Set(await TemporaryPauseManager.getPausedDomains());
+        const tabs = await chrome.tabs.query({});
+        await Promise.allSettled(
+            tabs
+                .filter(tab => isGloballyPaused || domains.has(getDomainFromUrl(tab.url)))
+                .map(tab => applyIcon(tab.id))
+        );
+    }
+
+    static async handleInjectCosmeticFilters(sender) {
+        return CosmeticFilterManager.inject(sender);
+    }
+
+    static async handleRemoveCosmeticFilters(sender) {
+        return CosmeticFilterManager.remove(sender);
+    }
+
+    static async handleGetFilterLists() {
+        const filterLists = await RulesetManager.getFilterLists();
+        return { filterLists };
+    }
+
+    static async handleSetFilterListEnabled({ rulesetId, enabled }) {
+        if (typeof rulesetId !== 'string' || !rulesetId) {
+            throw new Error('Invalid ruleset id provided');
         }
+
+        await RulesetManager.setRulesetEnabled(rulesetId, Boolean(enabled));
+        await state.initializeFilterCount();
+        await state.initializeScriptlets();
+
+        return { success: true, filterCount: state.precompiledFilterCount };
     }
 
     static async handleUpdateTrackingRules({ blockedDomains }) {
+        // The ranges are suspended; restoreSuspendedRules() catches up on resume
+        if (await GlobalPauseManager.getActivePause()) {
+            return { success: true, deferred: true };
+        }
+
         try {
             // Clear existing tracking rules
             const removedCount = await RuleIdManager.clearRulesInRange('TRACKING_RULES');
@@ -339,6 +1394,151 @@ class MessageHandler {
         }
     }
 
+    static async handleGetUserFilters() {
+        return { text: await UserFilterManager.getText() };
+    }
+
+    static async handleSaveUserFilters({ text }) {
+        if (typeof text !== 'string') {
+            throw new Error('Invalid filter text provided');
+        }
+
+        const { rejected, stats, deferred } = await UserFilterManager.save(text);
+        backgroundLogger.info('User filters saved', { rules: stats.rules, rejected: stats.rejected, deferred });
+        return { success: true, deferred, rejected, stats };
+    }
+
+    static async handleGetPerformanceReport() {
+        return {
+            enabled: getRuntimeSettings().enablePerformanceMonitoring,
+            timings: await getTimingReport()
+        };
+    }
+
+    static async handleClearPerformanceReport() {
+        await clearTimingReport();
+        return { success: true };
+    }
+
+    // Log entries from popup, options page and content scripts; the service worker is the only writer
+    static async handleAppendLogs({ entries }) {
+        if (!Array.isArray(entries)) {
+            throw new Error('Invalid log entries provided');
+        }
+
+        await appendLogEntries(entries.slice(0, LOG_CONFIG.MAX_BATCH_SIZE));
+        return { success: true };
+    }
+
+    static async handleGetLogs() {
+        return { entries: await getLogEntries() };
+    }
+
+    static async handleClearLogs() {
+        await clearLogEntries();
+        return { success: true };
+    }
+
+    // Bundle for bug reports: everything needed to reproduce the state, without browsing history.
+    // Log details name visited domains and URLs, so the logs are redacted as well.
+    static async handleGetDiagnostics() {
+        const manifest = chrome.runtime.getManifest();
+        const [settings, filterLists, dynamicRules, sessionRules, quota, allowlist, userFilterText, globalPause, logs] =
+            await Promise.all([
+                settingsStorage.getUserSettings(),
+                RulesetManager.getFilterLists(),
+                chrome.declarativeNetRequest.getDynamicRules(),
+                chrome.declarativeNetRequest.getSessionRules(),
+                MessageHandler.handleGetRuleQuota(),
+                allowlistStorage.getEntries(),
+                UserFilterManager.getText(),
+                GlobalPauseManager.getActivePause(),
+                getLogEntries()
+            ]);
+
+        const countBy = (rules, keyOf) => rules.reduce((counts, rule) => {
+            const key = keyOf(rule);
+            counts[key] = (counts[key] || 0) + 1;
+            return counts;
+        }, {});
+        const rangeOf = (rule) => Object.entries(RuleIdManager.ID_RANGES)
+            .find(([, range]) => rule.id >= range.start && rule.id <= range.end)?.[0] || 'OTHER';
+
+        return {
+            generatedAt: new Date().toISOString(),
+            extension: {
+                name: manifest.name,
+                version: manifest.version,
+                manifestVersion: manifest.manifest_version
+            },
+            userAgent: navigator.userAgent,
+            settings,
+            globalPause: Boolean(globalPause),
+            rulesets: filterLists.map(({ id, enabled, ruleCount, version }) => ({ id, enabled, ruleCount, version })),
+            dynamicRules: {
+                total: dynamicRules.length,
+                byRange: countBy(dynamicRules, rangeOf),
+                byAction: countBy(dynamicRules, rule => rule.action.type)
+            },
+            sessionRules: {
+                total: sessionRules.length,
+                byAction: countBy(sessionRules, rule => rule.action.type)
+            },
+            quotas: quota.quotas,
+            // Counts only; the entries themselves reveal which sites the user visits
+            allowlistEntries: allowlist.length,
+            userFilterLines: userFilterText.split('\n').filter(line => line.trim()).length,
+            logs: redactLogEntries(logs)
+        };
+    }
+
+    // Rule actions Chrome counts against the larger "safe" dynamic rule quota
+    static SAFE_RULE_ACTIONS = new Set([
+        RULE_CONFIG.ACTIONS.BLOCK,
+        RULE_CONFIG.ACTIONS.ALLOW,
+        RULE_CONFIG.ACTIONS.ALLOW_ALL_REQUESTS,
+        RULE_CONFIG.ACTIONS.UPGRADE_SCHEME
+    ]);
+
+    // Usage of Chrome's rule quotas and of our own id ranges; warnings list the nearly full ones
+    static async handleGetRuleQuota() {
+        const dnr = chrome.declarativeNetRequest;
+        const [dynamicRules, sessionRules, allowlist] = await Promise.all([
+            dnr.getDynamicRules(),
+            dnr.getSessionRules(),
+            allowlistStorage.getEntries()
+        ]);
+        const countInRange = ({ start, end }) => dynamicRules.filter(rule => rule.id >= start && rule.id <= end).length;
+
+        const quotas = [
+            { id: 'dynamic', used: dynamicRules.length, limit: dnr.MAX_NUMBER_OF_DYNAMIC_RULES },
+            {
+                id: 'unsafeDynamic',
+                used: dynamicRules.filter(rule => !MessageHandler.SAFE_RULE_ACTIONS.has(rule.action.type)).length,
+                limit: dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES
+            },
+            { id: 'session', used: sessionRules.length, limit: dnr.MAX_NUMBER_OF_SESSION_RULES },
+            {
+                id: 'regex',
+                used: [...dynamicRules, ...sessionRules].filter(rule => rule.condition.regexFilter).length,
+                limit: dnr.MAX_NUMBER_OF_REGEX_RULES ?? EXTENSION_CONFIG.LIMITS.MAX_REGEX_RULES
+            },
+            ...Object.entries(RuleIdManager.ID_RANGES).map(([rangeType, range]) => ({
+                id: `range:${rangeType}`,
+                used: countInRange(range),
+                limit: range.end - range.start + 1
+            })),
+            {
+                id: 'pausedDomains',
+                used: allowlist.length,
+                limit: getPauseRuleCapacity(RuleIdManager.ID_RANGES.ALLOW_RULES)
+            }
+        ].filter(quota => typeof quota.limit === 'number' && quota.limit > 0); // Older Chrome lacks some constants
+
+        const warnings = quotas.filter(quota => quota.used >= quota.limit * EXTENSION_CONFIG.LIMITS.QUOTA_WARNING_RATIO);
+        return { quotas, warnings };
+    }
+
     static async handleGetTrackingStats({ domain }) {
         try {
             if (domain) {
@@ -375,6 +1575,14 @@ class MessageHandler {
         }
     }
 
+    static async handleGetMatchStats({ tabId }) {
+        if (typeof tabId !== 'number') {
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            tabId = activeTab?.id ?? -1;
+        }
+        return MatchCounter.getStats(tabId);
+    }
+
     static async getSessionTrackingStats(currentDomain) {
         try {
             // Session stats are stored in memory for the current browser session
@@ -419,89 +1627,119 @@ class MessageHandler {
         }
     }
 
-    static async updateSessionStats(domain, blockedTracker) {
-        try {
-            const sessionData = await chrome.storage.session.get(['sessionTrackingStats']);
-            const stats = sessionData.sessionTrackingStats || {};
-            
-            // Normalize domain for consistent storage
-            const normalizedDomain = normalizeDomain(domain);
-            
-            if (!stats[normalizedDomain]) {
-                stats[normalizedDomain] = {
-                    blockedCount: 0,
-                    trackerDomains: [],
-                    firstSeen: Date.now(),
-                    lastUpdated: Date.now()
-                };
-            }
-            
-            stats[normalizedDomain].blockedCount++;
-            if (!stats[normalizedDomain].trackerDomains.includes(blockedTracker)) {
-                stats[normalizedDomain].trackerDomains.push(blockedTracker);
+    // Writes are chained so concurrent updates cannot overwrite each other's read-modify-write
+    static sessionStatsWrite = Promise.resolve();
+
+    static applySessionStats(entries) {
+        const write = MessageHandler.sessionStatsWrite.then(async () => {
+            try {
+                const sessionData = await chrome.storage.session.get(['sessionTrackingStats']);
+                const stats = sessionData.sessionTrackingStats || {};
+                const now = Date.now();
+
+                for (const { initiator, domain, count } of entries) {
+                    // Normalize domain for consistent storage
+                    const normalizedDomain = normalizeDomain(initiator);
+
+                    if (!stats[normalizedDomain]) {
+                        stats[normalizedDomain] = {
+                            blockedCount: 0,
+                            trackerDomains: [],
+                            firstSeen: now,
+                            lastUpdated: now
+                        };
+                    }
+
+                    stats[normalizedDomain].blockedCount += count;
+                    if (!stats[normalizedDomain].trackerDomains.includes(domain)) {
+                        stats[normalizedDomain].trackerDomains.push(domain);
+                    }
+                    stats[normalizedDomain].lastUpdated = now;
+                }
+
+                await chrome.storage.session.set({ sessionTrackingStats: stats });
+
+            } catch (error) {
+                backgroundLogger.warn('Failed to update session stats', { error: error.message });
             }
-            stats[normalizedDomain].lastUpdated = Date.now();
-            
-            await chrome.storage.session.set({ sessionTrackingStats: stats });
-            
-        } catch (error) {
-            backgroundLogger.warn('Failed to update session stats', { error: error.message });
+        });
+        MessageHandler.sessionStatsWrite = write;
+        return write;
+    }
+
+    static sanitizeTrackerReport(data) {
+        if (!data || typeof data !== 'object') {
+            return null;
         }
+
+        const report = {
+            url: String(data.url || '').substring(0, 200),
+            domain: String(data.domain || '').toLowerCase(),
+            type: String(data.type || 'unknown'),
+            initiator: String(data.initiator || 'unknown').toLowerCase(),
+            timestamp: Number(data.timestamp) || Date.now(),
+            count: Math.max(1, Math.floor(Number(data.count) || 1))
+        };
+
+        // Validiere kritische Felder
+        return report.domain && report.initiator ? report : null;
     }
 
-    static async handleLiveTrackerDetected(data) {
+    static async handleLiveTrackersDetected({ reports }) {
         try {
             // Validiere und sanitize alle Eingabedaten
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid data object provided');
+            if (!Array.isArray(reports)) {
+                throw new Error('Invalid tracker reports provided');
             }
 
-            const url = String(data.url || '').substring(0, 200);
-            const domain = String(data.domain || '').toLowerCase();
-            const type = String(data.type || 'unknown');
-            const initiator = String(data.initiator || 'unknown').toLowerCase();
-            const timestamp = Number(data.timestamp) || Date.now();
-
-            // Validiere kritische Felder
-            if (!domain || !initiator) {
-                throw new Error('Missing required fields: domain or initiator');
+            const validReports = reports
+                .slice(0, EXTENSION_CONFIG.LIMITS.MAX_TRACKER_BATCH_SIZE)
+                .map(MessageHandler.sanitizeTrackerReport)
+                .filter(Boolean);
+            if (validReports.length === 0) {
+                return { success: true, processed: 0, autoBlocked: [] };
             }
-            
-            backgroundLogger.info('Live tracker detected', { 
-                domain, 
-                type, 
-                initiator,
-                url: url.substring(0, 100)
+
+            backgroundLogger.info('Live trackers detected', {
+                reports: validReports.length,
+                domains: [...new Set(validReports.map(report => report.domain))]
             });
 
-            // 1. Sofort Session-Stats aktualisieren
-            await MessageHandler.updateSessionStats(initiator, domain);
+            // 1. Session-Stats für den ganzen Stapel in einem Schreibvorgang aktualisieren
+            await MessageHandler.applySessionStats(validReports);
 
             // 2. An TrackingDetector weiterleiten für langfristige Analyse
             if (trackingDetector && trackingDetector.isInitialized) {
-                try {
-                    // Simuliere einen Request für den TrackingDetector
-                    const mockDetails = {
-                        url,
-                        type,
-                        initiator: `https://${initiator}`,
-                        documentUrl: `https://${initiator}`,
-                        timestamp
-                    };
-                    
-                    await trackingDetector.analyzeRequest(mockDetails);
-                } catch (error) {
-                    backgroundLogger.warn('Failed to analyze with tracking detector', { error: error.message });
+                for (const { url, type, initiator, timestamp } of validReports) {
+                    try {
+                        // Simuliere einen Request für den TrackingDetector
+                        const mockDetails = {
+                            url,
+                            type,
+                            initiator: `https://${initiator}`,
+                            documentUrl: `https://${initiator}`,
+                            timestamp
+                        };
+
+                        await trackingDetector.analyzeRequest(mockDetails);
+                    } catch (error) {
+                        backgroundLogger.warn('Failed to analyze with tracking detector', { error: error.message });
+                    }
                 }
             }
 
-            // 3. Prüfe ob Domain automatisch blockiert werden sollte
-            const shouldAutoBlock = await MessageHandler.shouldAutoBlockDomain(domain);
-            if (shouldAutoBlock) {
-                await MessageHandler.autoBlockTracker(domain);
+            // 3. Prüfe einmal je Domain, ob sie automatisch blockiert werden sollte
+            //    (nicht während einer globalen Pause - der Bereich ist dann ausgesetzt)
+            const autoBlocked = [];
+            const isGloballyPaused = Boolean(await GlobalPauseManager.getActivePause());
+            for (const domain of isGloballyPaused ? [] : new Set(validReports.map(report => report.domain))) {
+                if (await MessageHandler.shouldAutoBlockDomain(domain)) {
+                    await MessageHandler.autoBlockTracker(domain);
+                    autoBlocked.push(domain);
+                }
             }
 
-            return { success: true, autoBlocked: shouldAutoBlock };
+            return { success: true, processed: validReports.length, autoBlocked };
 
         } catch (error) {
             const errorMessage = error?.message || String(error) || 'Unknown error';
@@ -521,12 +1759,9 @@ class MessageHandler {
                 return true;
             }
 
-            // Prüfe historische Daten aus TrackingDetector
+            // Prüfe historische Daten aus TrackingDetector - mit den Schwellen der gewählten Schutzstufe
             if (trackingDetector && trackingDetector.isInitialized) {
-                const stats = trackingDetector.getDomainStats(domain);
-                if (stats && stats.score >= 50) { // Hoher Tracker-Score
-                    return true;
-                }
+                return trackingDetector.meetsBlockingCriteria(domain);
             }
 
             return false;
@@ -605,9 +1840,54 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 case 'toggleDomainState':
                     result = await MessageHandler.handleToggleDomainState(message);
                     break;
+                case 'setGlobalPause':
+                    result = await MessageHandler.handleSetGlobalPause(message);
+                    break;
+                case 'pauseDomain':
+                    result = await MessageHandler.handlePauseDomain(message);
+                    break;
+                case 'injectCosmeticFilters':
+                    result = await MessageHandler.handleInjectCosmeticFilters(sender);
+                    break;
+                case 'removeCosmeticFilters':
+                    result = await MessageHandler.handleRemoveCosmeticFilters(sender);
+                    break;
+                case 'getFilterLists':
+                    result = await MessageHandler.handleGetFilterLists();
+                    break;
+                case 'setFilterListEnabled':
+                    result = await MessageHandler.handleSetFilterListEnabled(message);
+                    break;
                 case 'updateTrackingRules':
                     result = await MessageHandler.handleUpdateTrackingRules(message);
                     break;
+                case 'getUserFilters':
+                    result = await MessageHandler.handleGetUserFilters();
+                    break;
+                case 'saveUserFilters':
+                    result = await MessageHandler.handleSaveUserFilters(message);
+                    break;
+                case 'getPerformanceReport':
+                    result = await MessageHandler.handleGetPerformanceReport();
+                    break;
+                case 'clearPerformanceReport':
+                    result = await MessageHandler.handleClearPerformanceReport();
+                    break;
+                case 'appendLogs':
+                    result = await MessageHandler.handleAppendLogs(message);
+                    break;
+                case 'getLogs':
+                    result = await MessageHandler.handleGetLogs();
+                    break;
+                case 'clearLogs':
+                    result = await MessageHandler.handleClearLogs();
+                    break;
+                case 'getDiagnostics':
+                    result = await MessageHandler.handleGetDiagnostics();
+                    break;
+                case 'getRuleQuota':
+                    result = await MessageHandler.handleGetRuleQuota();
+                    break;
                 case 'getTrackingStats':
                     result = await MessageHandler.handleGetTrackingStats(message);
                     break;
@@ -617,11 +1897,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 case 'getSessionStats':
                     result = await MessageHandler.handleGetSessionStats(message);
                     break;
-                case 'updateSessionStats':
-                    result = await MessageHandler.updateSessionStats(message.site, message.blockedTracker);
+                case 'getMatchStats':
+                    result = await MessageHandler.handleGetMatchStats(message);
                     break;
-                case 'liveTrackerDetected':
-                    result = await MessageHandler.handleLiveTrackerDetected(message.data);
+                case 'liveTrackersDetected':
+                    result = await MessageHandler.handleLiveTrackersDetected(message);
                     break;
                 default:
                     throw new Error(`Unknown command: ${message.command}`);
@@ -646,9 +1926,6 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     try {
         await state.initialize();
         
-        // Setup direct webRequest monitoring for session stats
-        setupDirectWebRequestMonitoring();
-        
         backgroundLogger.info('Extension initialization completed');
     } catch (error) {
         backgroundLogger.error('Extension initialization failed', { error: error.message });
@@ -671,44 +1948,79 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // A new document starts with fresh counts
+    if (changeInfo.status === 'loading' && changeInfo.url) {
+        MatchCounter.resetTab(tabId);
+    }
     if (changeInfo.status === 'complete' || changeInfo.url) {
         updateIcon(tabId);
     }
 });
 
-// Direct webRequest monitoring for immediate session stats
-function setupDirectWebRequestMonitoring() {
-    // Monitor all network requests to detect blocked trackers
-    if (chrome.webRequest && chrome.webRequest.onBeforeRequest) {
-        chrome.webRequest.onBeforeRequest.addListener(
-            async (details) => {
-                try {
-                    const requestUrl = details.url;
-                    const requestDomain = getDomainFromUrl(requestUrl);
-                    const initiatorDomain = getDomainFromUrl(details.initiator || details.documentUrl);
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === GlobalPauseManager.ALARM_NAME) {
+        MessageHandler.handleSetGlobalPause({ paused: false }).catch(error => {
+            backgroundLogger.error('Failed to end global pause', { error: error.message });
+        });
+    } else if (TemporaryPauseManager.isPauseAlarm(alarm.name)) {
+        MessageHandler.handleExpiredPauses().catch(error => {
+            backgroundLogger.error('Failed to process temporary pauses', { error: error.message });
+        });
+    }
+});
 
-                    // Skip invalid requests or same-domain requests
-                    if (!requestDomain || !initiatorDomain || requestDomain === initiatorDomain) {
-                        return;
-                    }
+chrome.commands.onCommand.addListener((command) => {
+    if (command === 'toggle-global-pause') {
+        MessageHandler.handleToggleGlobalPause().catch(error => {
+            backgroundLogger.error('Failed to toggle global pause', { error: error.message });
+        });
+    }
+});
 
-                    // Check if this request domain should be blocked (is a known tracker)
-                    const isKnownTracker = await isRequestFromKnownTracker(requestDomain, requestUrl);
-                    
-                    if (isKnownTracker) {
-                        // Update session stats immediately
-                        await MessageHandler.updateSessionStats(initiatorDomain, requestDomain);
-                    }
+// Allowlist edits from the options page or another popup keep the rules in sync
+const syncAllowlist = debounce(async () => {
+    try {
+        await updateDynamicRules();
+        await MessageHandler.broadcastPauseState();
+    } catch (error) {
+        backgroundLogger.error('Failed to sync allowlist', { error: error.message });
+    }
+}, 100);
 
-                } catch (error) {
-                    // Silent error handling for production
-                    backgroundLogger.warn('WebRequest monitoring error', { error: error.message });
-                }
-            },
-            { urls: ['<all_urls>'] },
-            []
-        );
+// Allowlist and protection level changes from other pages
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    const { ALLOWLIST, USER_SETTINGS } = EXTENSION_CONFIG.STORAGE_KEYS;
+
+    // Writes from other pages bypass this worker's storage cache
+    if (changes[ALLOWLIST]) {
+        allowlistStorage.updateCache(ALLOWLIST, changes[ALLOWLIST].newValue);
+        syncAllowlist();
+    }
+
+    const settingsChange = changes[USER_SETTINGS];
+    if (settingsChange) {
+        settingsStorage.updateCache(USER_SETTINGS, settingsChange.newValue);
+        const level = settingsChange.newValue?.protectionLevel;
+        if (level !== settingsChange.oldValue?.protectionLevel && trackingDetector.isInitialized) {
+            MessageHandler.applyProtectionLevel(level).catch(error => {
+                backgroundLogger.error('Failed to apply protection level', { error: error.message });
+            });
+        }
     }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    MatchCounter.removeTab(tabId);
+});
+
+// Only available in unpacked builds with the declarativeNetRequestFeedback permission
+if (MatchCounter.usesDebugEvents) {
+    chrome.declarativeNetRequest.onRuleMatchedDebug.addListener((info) => {
+        MatchCounter.handleRuleMatchedDebug(info).catch(error => {
+            backgroundLogger.warn('Failed to count rule match', { error: error.message });
+        });
+    });
 }
 
 // Optimized tracker detection with Set for O(1) lookups
@@ -764,36 +2076,6 @@ const KNOWN_TRACKER_DOMAINS = new Set([
     'smaato.net'
 ]);
 
-const TRACKING_PATTERNS = [
-    /analytics/i,
-    /tracking/i,
-    /metrics/i,
-    /beacon/i,
-    /pixel/i,
-    /collect/i,
-    /event/i,
-    /impression/i,
-    /click/i,
-    /conversion/i,
-    /affiliate/i,
-    /partner/i,
-    /utm_/i,
-    /gclid/i,
-    /fbclid/i
-];
-
-// Check if a request domain is a known tracker (optimized)
-async function isRequestFromKnownTracker(domain, url) {
-    // Fast O(1) domain lookup
-    if (KNOWN_TRACKER_DOMAINS.has(domain)) {
-        return true;
-    }
-    
-    // Check for tracking URL patterns (cached)
-    const urlLower = url.toLowerCase();
-    return TRACKING_PATTERNS.some(pattern => pattern.test(urlLower));
-}
-
 // Initialize immediately if service worker is already running
 (async () => {
     try {
@@ -6,6 +6,7 @@
 
 import { contentLogger } from '../core/logger.js';
 import { isExtensionContextValid, debounce } from '../core/utilities.js';
+import { ProceduralFilterEngine } from './procedural-filters.js';
 
 class PagyContentScript {
     constructor() {
@@ -15,8 +16,11 @@ class PagyContentScript {
             isInitialized: false
         };
         
+        this.proceduralEngine = new ProceduralFilterEngine();
         this.debouncedInitialize = debounce(this.initialize.bind(this), 100);
         this.setupEventListeners();
+        // Element hiding should be in place before the page renders
+        this.applyCosmeticFilters();
         this.init();
     }
 
@@ -92,10 +96,35 @@ class PagyContentScript {
             domain: this.state.domain 
         });
 
+        this.applyCosmeticFilters();
+
         // Dispatch custom event for potential integrations
         this.dispatchStatusEvent();
     }
 
+    async applyCosmeticFilters() {
+        if (!isExtensionContextValid()) {
+            return;
+        }
+
+        const command = this.state.isPaused ? 'removeCosmeticFilters' : 'injectCosmeticFilters';
+        if (this.state.isPaused) {
+            this.proceduralEngine.stop();
+        }
+        try {
+            const result = await chrome.runtime.sendMessage({ command });
+            if (result?.error) {
+                throw new Error(result.error);
+            }
+            if (!this.state.isPaused && result?.procedural?.length > 0) {
+                this.proceduralEngine.setFilters(result.procedural);
+                this.proceduralEngine.start();
+            }
+        } catch (error) {
+            contentLogger.debug('Cosmetic filters not applied', { command, error: error.message });
+        }
+    }
+
     dispatchStatusEvent() {
         try {
             const event = new CustomEvent('pagyBlockerStateChange', {
@@ -149,7 +178,8 @@ class PagyContentScript {
         sendResponse({
             isPaused: this.state.isPaused,
             domain: this.state.domain,
-            isInitialized: this.state.isInitialized
+            isInitialized: this.state.isInitialized,
+            proceduralFilters: this.proceduralEngine.getStats()
         });
     }
 
@@ -168,6 +198,7 @@ class PagyContentScript {
     // Cleanup method
     destroy() {
         this.state.isInitialized = false;
+        this.proceduralEngine.stop();
         
         // Cancel any pending debounced calls
         if (this.debouncedInitialize?.cancel) {
@@ -1,235 +1,282 @@
 /**
  * @file live-tracker-monitor.js
- * @description Echtzeit-Tracker-Überwachung für automatische Erkennung
+ * @description Echtzeit-Tracker-Überwachung für automatische Erkennung. Läuft ab
+ *              document_start in der MAIN world der Seite, damit fetch, XMLHttpRequest und
+ *              sendBeacon der Seite selbst abgefangen werden. Erkannte Tracker gehen über einen
+ *              per Nonce geschützten Kanal an content/tracker-bridge.js (isolierte Welt).
  * @version 7.1.0
  */
 
-class LiveTrackerMonitor {
-    constructor() {
-        this.currentDomain = this.getDomainFromUrl(window.location.href);
-        this.detectedTrackers = new Set();
-        this.requestCount = 0;
-        this.setupMonitoring();
-    }
+(function () {
+    'use strict';
+
+    // Referenzen sichern, bevor Seitenskripte sie überschreiben können
+    const dispatchEvent = EventTarget.prototype.dispatchEvent;
+    const addEventListener = EventTarget.prototype.addEventListener;
+    const removeEventListener = EventTarget.prototype.removeEventListener;
+    const CustomEventConstructor = CustomEvent;
+    const stringify = JSON.stringify;
+
+    const HANDSHAKE_EVENT = 'pagy-tracker-handshake';
+    const READY_EVENT = 'pagy-tracker-ready';
+    const MAX_QUEUED_REPORTS = 50;
 
-    getDomainFromUrl(url) {
-        try {
-            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
-        } catch {
-            return null;
+    /**
+     * Kanal zur Bridge. Die Bridge schickt beim Start eine Nonce, die nur als Name des
+     * Ereignisses dient; Seitenskripte kennen ihn nicht und können weder mithören noch
+     * Meldungen fälschen. Bis zum Handshake werden Meldungen zwischengespeichert.
+     */
+    class BridgeChannel {
+        constructor() {
+            this.eventName = null;
+            this.queue = [];
+            this.onHandshake = this.onHandshake.bind(this);
+
+            addEventListener.call(document, HANDSHAKE_EVENT, this.onHandshake);
+            // Falls die Bridge schon läuft, um den Handshake bitten
+            dispatchEvent.call(document, new CustomEventConstructor(READY_EVENT));
         }
-    }
 
-    setupMonitoring() {
-        // 1. Überwache fetch() API
-        this.interceptFetch();
-        
-        // 2. Überwache XMLHttpRequest
-        this.interceptXHR();
-        
-        // 3. Überwache DOM-Änderungen (neue Scripts, Bilder, etc.)
-        this.observeDOM();
-        
-        // 4. Überwache Navigator.sendBeacon (Tracking-Beacon)
-        this.interceptBeacon();
-        
-        console.log('[PAGY] Live-Tracker-Monitor aktiviert für:', this.currentDomain);
-    }
+        onHandshake(event) {
+            const nonce = event.detail;
+            if (this.eventName || typeof nonce !== 'string' || !/^[a-f0-9]{32}$/.test(nonce)) {
+                return;
+            }
+            // Nur der erste Handshake zählt
+            removeEventListener.call(document, HANDSHAKE_EVENT, this.onHandshake);
+            this.eventName = `pagy-tracker-${nonce}`;
 
-    interceptFetch() {
-        const originalFetch = window.fetch;
-        window.fetch = (...args) => {
-            this.analyzeRequest(args[0], 'fetch');
-            return originalFetch.apply(window, args);
-        };
-    }
+            this.send({ type: 'connected' });
+            for (const payload of this.queue.splice(0)) {
+                this.send(payload);
+            }
+        }
 
-    interceptXHR() {
-        const originalOpen = XMLHttpRequest.prototype.open;
-        XMLHttpRequest.prototype.open = function(method, url, ...args) {
-            this._pagy_url = url;
-            return originalOpen.apply(this, [method, url, ...args]);
-        };
-
-        const originalSend = XMLHttpRequest.prototype.send;
-        XMLHttpRequest.prototype.send = function(...args) {
-            if (this._pagy_url) {
-                window.pagyTrackerMonitor?.analyzeRequest(this._pagy_url, 'xhr');
+        send(payload) {
+            if (!this.eventName) {
+                if (this.queue.length < MAX_QUEUED_REPORTS) {
+                    this.queue.push(payload);
+                }
+                return;
             }
-            return originalSend.apply(this, args);
-        };
+            // Zwischen den Welten kommen nur einfache Werte zuverlässig an
+            dispatchEvent.call(
+                document,
+                new CustomEventConstructor(this.eventName, { detail: stringify(payload) })
+            );
+        }
     }
 
-    interceptBeacon() {
-        if (navigator.sendBeacon) {
-            const originalBeacon = navigator.sendBeacon;
-            navigator.sendBeacon = (url, data) => {
-                this.analyzeRequest(url, 'beacon');
-                return originalBeacon.call(navigator, url, data);
-            };
+    class LiveTrackerMonitor {
+        constructor(channel) {
+            this.channel = channel;
+            this.currentDomain = this.getDomainFromUrl(window.location.href);
+            this.detectedTrackers = new Set();
+            this.requestCount = 0;
+            this.setupMonitoring();
         }
-    }
 
-    observeDOM() {
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                mutation.addedNodes.forEach((node) => {
-                    if (node.nodeType === 1) { // ELEMENT_NODE
-                        this.checkElement(node);
-                    }
-                });
-            });
-        });
+        getDomainFromUrl(url) {
+            try {
+                return new URL(url, window.location.href).hostname.toLowerCase().replace(/^www\./, '');
+            } catch {
+                return null;
+            }
+        }
 
-        observer.observe(document.documentElement, {
-            childList: true,
-            subtree: true
-        });
-    }
+        setupMonitoring() {
+            // 1. Überwache fetch() API
+            this.interceptFetch();
 
-    checkElement(element) {
-        // Scripts
-        if (element.tagName === 'SCRIPT' && element.src) {
-            this.analyzeRequest(element.src, 'script');
-        }
-        
-        // Tracking-Pixel (1x1 Images)
-        if (element.tagName === 'IMG' && element.src) {
-            this.analyzeRequest(element.src, 'image');
+            // 2. Überwache XMLHttpRequest
+            this.interceptXHR();
+
+            // 3. Überwache DOM-Änderungen (neue Scripts, Bilder, etc.)
+            this.observeDOM();
+
+            // 4. Überwache Navigator.sendBeacon (Tracking-Beacon)
+            this.interceptBeacon();
+            // Keine Konsolenausgabe: Seitenskripte könnten console.* umhüllen und so die
+            // Erweiterung und jedes Tracker-Urteil mitlesen
         }
-        
-        // iFrames
-        if (element.tagName === 'IFRAME' && element.src) {
-            this.analyzeRequest(element.src, 'iframe');
+
+        // Proxys erhalten Name, Länge und toString() der Originalfunktionen
+        interceptFetch() {
+            const monitor = this;
+            window.fetch = new Proxy(window.fetch, {
+                apply(target, thisArg, args) {
+                    monitor.analyzeRequest(args[0], 'fetch');
+                    return Reflect.apply(target, thisArg, args);
+                }
+            });
         }
 
-        // Suche in Kindelementen
-        element.querySelectorAll?.('script[src], img[src], iframe[src]').forEach(child => {
-            this.analyzeRequest(child.src, child.tagName.toLowerCase());
-        });
-    }
+        interceptXHR() {
+            const monitor = this;
+            const requestUrls = new WeakMap();
 
-    analyzeRequest(url, type) {
-        try {
-            if (!url || typeof url !== 'string') return;
-
-            const requestDomain = this.getDomainFromUrl(url);
-            if (!requestDomain || requestDomain === this.currentDomain) return;
-
-            this.requestCount++;
-
-            // Sofortige Tracker-Erkennung
-            const isTracker = this.isTrackerRequest(url, requestDomain, type);
-            
-            if (isTracker) {
-                this.detectedTrackers.add(requestDomain);
-                
-                // Sofort an Background Script senden
-                this.reportTracker(url, requestDomain, type);
-                
-                console.log(`[PAGY] 🚫 TRACKER ERKANNT: ${requestDomain} (${type})`);
-            }
+            XMLHttpRequest.prototype.open = new Proxy(XMLHttpRequest.prototype.open, {
+                apply(target, thisArg, args) {
+                    requestUrls.set(thisArg, args[1]);
+                    return Reflect.apply(target, thisArg, args);
+                }
+            });
 
-        } catch (error) {
-            console.warn('[PAGY] Fehler bei Request-Analyse:', error);
+            XMLHttpRequest.prototype.send = new Proxy(XMLHttpRequest.prototype.send, {
+                apply(target, thisArg, args) {
+                    const url = requestUrls.get(thisArg);
+                    if (url !== undefined) {
+                        monitor.analyzeRequest(url, 'xhr');
+                    }
+                    return Reflect.apply(target, thisArg, args);
+                }
+            });
         }
-    }
 
-    isTrackerRequest(url, domain, type) {
-        const urlLower = url.toLowerCase();
-        
-        // 1. Bekannte Tracker-Domains (O(1) Set-Lookup)
-        const knownTrackers = new Set([
-            'google-analytics.com', 'googletagmanager.com', 'doubleclick.net',
-            'googlesyndication.com', 'facebook.com', 'facebook.net',
-            'amazon-adsystem.com', 'criteo.com', 'outbrain.com', 'taboola.com',
-            'twitter.com', 'linkedin.com', 'pinterest.com', 'instagram.com',
-            'quantserve.com', 'comscore.com', 'chartbeat.com', 'newrelic.com',
-            'adobe.com', 'omniture.com', 'adsystem.amazon.com', 'adnxs.com',
-            'adsrvr.org', 'adform.net', 'pubmatic.com', 'rubiconproject.com'
-        ]);
-
-        // Exakte Domain-Überprüfung
-        if (knownTrackers.has(domain)) return true;
-        
-        // Subdomain-Überprüfung
-        for (const tracker of knownTrackers) {
-            if (domain.endsWith('.' + tracker) || domain.includes(tracker)) {
-                return true;
+        interceptBeacon() {
+            if (navigator.sendBeacon) {
+                const monitor = this;
+                navigator.sendBeacon = new Proxy(navigator.sendBeacon, {
+                    apply(target, thisArg, args) {
+                        monitor.analyzeRequest(args[0], 'beacon');
+                        return Reflect.apply(target, thisArg, args);
+                    }
+                });
             }
         }
 
-        // 2. URL-Pattern-Erkennung (hochperformant)
-        const trackingPatterns = [
-            'analytics', 'tracking', 'metrics', 'beacon', 'pixel', 
-            'collect', 'event', 'impression', 'click', 'conversion',
-            'affiliate', 'partner', 'retarget', 'remarket'
-        ];
+        observeDOM() {
+            const observer = new MutationObserver((mutations) => {
+                mutations.forEach((mutation) => {
+                    mutation.addedNodes.forEach((node) => {
+                        if (node.nodeType === 1) { // ELEMENT_NODE
+                            this.checkElement(node);
+                        }
+                    });
+                });
+            });
 
-        if (trackingPatterns.some(pattern => urlLower.includes(pattern))) {
-            return true;
+            observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true
+            });
         }
 
-        // 3. Tracking-Parameter
-        const trackingParams = ['utm_', 'gclid', 'fbclid', 'msclkid', 'ref=', 'source='];
-        if (trackingParams.some(param => urlLower.includes(param))) {
-            return true;
-        }
+        checkElement(element) {
+            // Scripts
+            if (element.tagName === 'SCRIPT' && element.src) {
+                this.analyzeRequest(element.src, 'script');
+            }
+
+            // Tracking-Pixel (1x1 Images)
+            if (element.tagName === 'IMG' && element.src) {
+                this.analyzeRequest(element.src, 'image');
+            }
 
-        // 4. Verdächtige Bilder (1x1 Pixel)
-        if (type === 'image' && (urlLower.includes('1x1') || urlLower.includes('pixel'))) {
-            return true;
+            // iFrames
+            if (element.tagName === 'IFRAME' && element.src) {
+                this.analyzeRequest(element.src, 'iframe');
+            }
+
+            // Suche in Kindelementen
+            element.querySelectorAll?.('script[src], img[src], iframe[src]').forEach(child => {
+                this.analyzeRequest(child.src, child.tagName.toLowerCase());
+            });
         }
 
-        // 5. Analytics-Scripts
-        if (type === 'script' && /analytic|track|metric|tag|pixel/i.test(urlLower)) {
-            return true;
+        // resource ist das Argument der Seite (String, URL, Request); die Umwandlung liegt im
+        // try, damit ein fehlerhaftes Argument nie die Originalfunktion blockiert
+        analyzeRequest(resource, type) {
+            try {
+                const url = resource instanceof Request ? resource.url : String(resource);
+                if (!url) return;
+
+                const requestDomain = this.getDomainFromUrl(url);
+                if (!requestDomain || requestDomain === this.currentDomain) return;
+
+                this.requestCount++;
+
+                // Sofortige Tracker-Erkennung
+                const isTracker = this.isTrackerRequest(url, requestDomain, type);
+
+                if (isTracker) {
+                    this.detectedTrackers.add(requestDomain);
+
+                    // An die Bridge und von dort an das Background Script senden
+                    this.reportTracker(url, requestDomain, type);
+                }
+
+            } catch (error) {
+                // Still verwerfen (keine Konsolenausgabe, siehe setupMonitoring); der Request bleibt unberührt
+            }
         }
 
-        return false;
-    }
+        isTrackerRequest(url, domain, type) {
+            const urlLower = url.toLowerCase();
+
+            // 1. Bekannte Tracker-Domains (O(1) Set-Lookup)
+            const knownTrackers = new Set([
+                'google-analytics.com', 'googletagmanager.com', 'doubleclick.net',
+                'googlesyndication.com', 'facebook.com', 'facebook.net',
+                'amazon-adsystem.com', 'criteo.com', 'outbrain.com', 'taboola.com',
+                'twitter.com', 'linkedin.com', 'pinterest.com', 'instagram.com',
+                'quantserve.com', 'comscore.com', 'chartbeat.com', 'newrelic.com',
+                'adobe.com', 'omniture.com', 'adsystem.amazon.com', 'adnxs.com',
+                'adsrvr.org', 'adform.net', 'pubmatic.com', 'rubiconproject.com'
+            ]);
+
+            // Exakte Domain-Überprüfung
+            if (knownTrackers.has(domain)) return true;
 
-    reportTracker(url, domain, type) {
-        try {
-            chrome.runtime.sendMessage({
-                command: 'liveTrackerDetected',
-                data: {
-                    url: url.substring(0, 200), // Begrenzte URL-Länge
-                    domain: String(domain),
-                    type: String(type),
-                    initiator: String(this.currentDomain || 'unknown'),
-                    timestamp: Date.now()
+            // Subdomain-Überprüfung
+            for (const tracker of knownTrackers) {
+                if (domain.endsWith('.' + tracker) || domain.includes(tracker)) {
+                    return true;
                 }
-            }).catch(() => {
-                // Extension könnte nicht bereit sein - ignorieren
+            }
+
+            // 2. URL-Pattern-Erkennung (hochperformant)
+            const trackingPatterns = [
+                'analytics', 'tracking', 'metrics', 'beacon', 'pixel', 
+                'collect', 'event', 'impression', 'click', 'conversion',
+                'affiliate', 'partner', 'retarget', 'remarket'
+            ];
+
+            if (trackingPatterns.some(pattern => urlLower.includes(pattern))) {
+                return true;
+            }
+
+            // 3. Tracking-Parameter
+            const trackingParams = ['utm_', 'gclid', 'fbclid', 'msclkid', 'ref=', 'source='];
+            if (trackingParams.some(param => urlLower.includes(param))) {
+                return true;
+            }
+
+            // 4. Verdächtige Bilder (1x1 Pixel)
+            if (type === 'image' && (urlLower.includes('1x1') || urlLower.includes('pixel'))) {
+                return true;
+            }
+
+            // 5. Analytics-Scripts
+            if (type === 'script' && /analytic|track|metric|tag|pixel/i.test(urlLower)) {
+                return true;
+            }
+
+            return false;
+        }
+
+        reportTracker(url, domain, type) {
+            this.channel.send({
+                type: 'tracker',
+                url: url.substring(0, 200), // Begrenzte URL-Länge
+                domain: String(domain),
+                requestType: String(type),
+                initiator: String(this.currentDomain || 'unknown'),
+                timestamp: Date.now()
             });
-        } catch (error) {
-            console.warn('[PAGY] Fehler beim Melden des Trackers:', error);
         }
     }
 
-    getStats() {
-        return {
-            domain: this.currentDomain,
-            requestCount: this.requestCount,
-            detectedTrackers: Array.from(this.detectedTrackers),
-            trackerCount: this.detectedTrackers.size
-        };
-    }
-}
-
-// Sofort initialisieren
-if (typeof window !== 'undefined') {
-    window.pagyTrackerMonitor = new LiveTrackerMonitor();
-    
-    // Debug-Interface
-    window.pagyGetStats = () => window.pagyTrackerMonitor.getStats();
-    
-    // Test-Funktion
-    window.pagyTestTracker = () => {
-        console.log('[PAGY] Teste Tracker-Erkennung...');
-        window.pagyTrackerMonitor.analyzeRequest('https://google-analytics.com/collect', 'script');
-        window.pagyTrackerMonitor.analyzeRequest('https://facebook.com/tr', 'image');
-        console.log('[PAGY] Test abgeschlossen:', window.pagyTrackerMonitor.getStats());
-    };
-}
+    // Sofort initialisieren; bewusst ohne globale Variablen, die Seitenskripte sehen würden
+    new LiveTrackerMonitor(new BridgeChannel());
+})();
@@ -0,0 +1,348 @@
+/**
+ * @file procedural-filters.js
+ * @description Engine für prozedurale kosmetische Filter (#?#). Nach dem ersten Durchlauf über
+ *              das ganze Dokument werden nur noch geänderte Teilbäume (samt ihrer Vorfahren)
+ *              ausgewertet. Die Kandidaten jedes Filters werden auf kurze Zeitscheiben
+ *              verteilt, damit lange Feeds die Seite nicht blockieren.
+ * @version 7.1.0
+ */
+
+import { parseProceduralSelector } from '../core/proceduralSelector.js';
+import { contentLogger } from '../core/logger.js';
+
+// Maximale Rechenzeit je Zeitscheibe in Millisekunden
+const TIME_SLICE_MS = 8;
+// Spätester Start einer Zeitscheibe, auch wenn der Browser nie untätig ist
+const IDLE_TIMEOUT_MS = 200;
+// Ab so vielen geänderten Teilbäumen ist ein Durchlauf über das Dokument günstiger
+const MAX_PENDING_ROOTS = 200;
+// Markiert ausgeblendete Elemente; so hält die Engine selbst keine Referenzen auf sie
+const HIDDEN_ATTRIBUTE = 'data-pagy-hidden';
+
+/**
+ * CSS relativ zu einem Knoten suchen; ein führender Kombinator bezieht sich auf den Knoten.
+ */
+function queryCss(node, selector) {
+    return node.querySelectorAll(/^[>+~]/.test(selector) ? `:scope ${selector}` : selector);
+}
+
+/**
+ * Führt die Schritte eines Selektors auf den Startknoten aus und liefert die Treffer.
+ */
+function applyTasks(tasks, roots) {
+    let nodes = roots;
+
+    for (const [operator, argument] of tasks) {
+        const next = new Set();
+        for (const node of nodes) {
+            switch (operator) {
+                case 'css':
+                    queryCss(node, argument).forEach((element) => next.add(element));
+                    break;
+                case 'descendants':
+                    node.querySelectorAll(argument).forEach((element) => next.add(element));
+                    break;
+                case 'matches':
+                    if (node.matches(argument)) next.add(node);
+                    break;
+                case 'has-text':
+                    if (argument.test(node.textContent || '')) next.add(node);
+                    break;
+                case 'matches-css': {
+                    const value = getComputedStyle(node).getPropertyValue(argument.property);
+                    if (argument.pattern.test(value.trim())) next.add(node);
+                    break;
+                }
+                case 'upward': {
+                    let target = node;
+                    if (typeof argument === 'number') {
+                        for (let i = 0; i < argument && target; i++) {
+                            target = target.parentElement;
+                        }
+                    } else {
+                        target = node.parentElement?.closest(argument);
+                    }
+                    if (target) next.add(target);
+                    break;
+                }
+                case 'xpath': {
+                    const result = document.evaluate(
+                        argument,
+                        node,
+                        null,
+                        XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+                        null
+                    );
+                    for (let i = 0; i < result.snapshotLength; i++) {
+                        const item = result.snapshotItem(i);
+                        if (item.nodeType === Node.ELEMENT_NODE) next.add(item);
+                    }
+                    break;
+                }
+                case 'has':
+                    if (applyTasks(argument, [node]).length > 0) next.add(node);
+                    break;
+            }
+        }
+        nodes = [...next];
+        if (nodes.length === 0) break;
+    }
+
+    return nodes.filter((node) => node.nodeType === Node.ELEMENT_NODE);
+}
+
+/**
+ * Kandidaten des ersten Schritts (CSS oder XPath) innerhalb der geänderten Teilbäume. Vorfahren
+ * zählen mit, denn eine Änderung tief im Element kann z.B. :has-text() eines Feed-Eintrags
+ * erfüllen. XPath und relative Selektoren lassen sich nicht eingrenzen und laufen über das
+ * Dokument.
+ */
+function findCandidates(firstTask, roots) {
+    const [operator, argument] = firstTask;
+    if (roots[0] === document || operator !== 'css' || /^[>+~]/.test(argument)) {
+        return applyTasks([firstTask], [document]);
+    }
+
+    const found = new Set();
+    for (const root of roots) {
+        for (let node = root; node; node = node.parentElement) {
+            if (node.matches(argument)) found.add(node);
+        }
+        root.querySelectorAll(argument).forEach((element) => found.add(element));
+    }
+    return [...found];
+}
+
+export class ProceduralFilterEngine {
+    constructor() {
+        this.filters = [];
+        // Ursprünglicher Inline-Wert von display je ausgeblendetem Element
+        this.previousDisplay = new WeakMap();
+        this.hiddenCount = 0;
+        this.removedCount = 0;
+        this.observer = null;
+        // Laufender Durchlauf: { roots, filterIndex, filter, candidates, index }
+        this.pass = null;
+        this.pendingRoots = new Set();
+        this.fullRunPending = false;
+        this.isRunning = false;
+        this.scheduledHandle = null;
+    }
+
+    /**
+     * Übernimmt die Selektoren für diese Seite. Ungültige Selektoren werden übersprungen.
+     */
+    setFilters(selectors) {
+        this.filters = [];
+        for (const selector of selectors) {
+            const parsed = parseProceduralSelector(selector);
+            if (parsed.isValid) {
+                const [firstTask, ...remainingTasks] = parsed.tasks;
+                this.filters.push({ selector, firstTask, remainingTasks, action: parsed.action, failed: false });
+            } else {
+                contentLogger.debug('Procedural filter ignored', { selector, error: parsed.error });
+            }
+        }
+        this.pass = null;
+    }
+
+    start() {
+        if (this.filters.length === 0) return;
+
+        if (!this.observer) {
+            // Nur Struktur- und Textänderungen beobachten; das Ausblenden selbst ändert
+            // Attribute und löst so keinen neuen Durchlauf aus
+            this.observer = new MutationObserver((records) => this.onMutations(records));
+            this.observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                characterData: true
+            });
+        }
+        this.fullRunPending = true;
+        this.scheduleRun();
+    }
+
+    /**
+     * Beendet die Beobachtung und blendet ausgeblendete Elemente wieder ein.
+     * Mit :remove() entfernte Elemente bleiben entfernt.
+     */
+    stop() {
+        this.observer?.disconnect();
+        this.observer = null;
+        this.cancelScheduled();
+        this.isRunning = false;
+        this.pass = null;
+        this.pendingRoots.clear();
+        this.fullRunPending = false;
+
+        document.querySelectorAll(`[${HIDDEN_ATTRIBUTE}]`).forEach((element) => {
+            const previous = this.previousDisplay.get(element);
+            if (previous) {
+                element.style.setProperty('display', previous.value, previous.priority);
+            }
+            element.removeAttribute(HIDDEN_ATTRIBUTE);
+        });
+        this.previousDisplay = new WeakMap();
+        this.hiddenCount = 0;
+    }
+
+    onMutations(records) {
+        for (const record of records) {
+            if (record.type === 'characterData') {
+                if (record.target.parentElement) this.pendingRoots.add(record.target.parentElement);
+                continue;
+            }
+            for (const node of record.addedNodes) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    this.pendingRoots.add(node);
+                } else if (record.target.nodeType === Node.ELEMENT_NODE) {
+                    this.pendingRoots.add(record.target);
+                }
+            }
+            // Entfernte Kinder können :has() oder :has-text() eines Vorfahren ändern
+            if (record.removedNodes.length > 0 && record.target.nodeType === Node.ELEMENT_NODE) {
+                this.pendingRoots.add(record.target);
+            }
+        }
+        this.scheduleRun();
+    }
+
+    /**
+     * Startwurzeln des nächsten Durchlaufs; Teilbäume innerhalb anderer Teilbäume entfallen.
+     */
+    takeRoots() {
+        const pending = [...this.pendingRoots].filter((root) => root.isConnected);
+        const fullRun = this.fullRunPending || pending.length > MAX_PENDING_ROOTS;
+        this.pendingRoots.clear();
+        this.fullRunPending = false;
+        if (fullRun) return [document];
+
+        const pendingSet = new Set(pending);
+        return pending.filter((root) => {
+            for (let node = root.parentElement; node; node = node.parentElement) {
+                if (pendingSet.has(node)) return false;
+            }
+            return true;
+        });
+    }
+
+    scheduleRun() {
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this.scheduleSlice();
+        }
+    }
+    scheduleSlice() {
+        const callback = () => {
+            this.scheduledHandle = null;
+            this.runSlice();
+        };
+        this.scheduledHandle = typeof requestIdleCallback === 'function'
+            ? { idle: requestIdleCallback(callback, { timeout: IDLE_TIMEOUT_MS }) }
+            : { timeout: setTimeout(callback, 0) };
+    }
+
+    cancelScheduled() {
+        if (!this.scheduledHandle) return;
+        if ('idle' in this.scheduledHandle) {
+            cancelIdleCallback(this.scheduledHandle.idle);
+        } else {
+            clearTimeout(this.scheduledHandle.timeout);
+        }
+        this.scheduledHandle = null;
+    }
+
+    /**
+     * Arbeitet den laufenden Durchlauf ab, bis die Zeitscheibe aufgebraucht ist. Die Zeit wird
+     * nach jedem Kandidaten geprüft, sodass auch ein Filter mit vielen Kandidaten (z.B. "*"
+     * vor :has-text()) auf mehrere Zeitscheiben verteilt wird.
+     */
+    runSlice() {
+        const sliceStart = performance.now();
+
+        while (performance.now() - sliceStart <= TIME_SLICE_MS) {
+            if (!this.pass) {
+                if (!this.fullRunPending && this.pendingRoots.size === 0) {
+                    this.isRunning = false;
+                    return;
+                }
+                this.pass = { roots: this.takeRoots(), filterIndex: 0, filter: null, candidates: null, index: 0 };
+                if (this.pass.roots.length === 0) {
+                    this.pass = null;
+                }
+                continue;
+            }
+
+            const pass = this.pass;
+            if (!pass.candidates) {
+                if (pass.filterIndex >= this.filters.length) {
+                    this.pass = null;
+                    continue;
+                }
+                pass.filter = this.filters[pass.filterIndex++];
+                pass.candidates = pass.filter.failed ? [] : this.evaluate(pass.filter, () => findCandidates(pass.filter.firstTask, pass.roots));
+                pass.index = 0;
+                continue;
+            }
+
+            if (pass.index >= pass.candidates.length) {
+                pass.candidates = null;
+                continue;
+            }
+            this.applyFilter(pass.filter, pass.candidates[pass.index++]);
+        }
+
+        this.scheduleSlice();
+    }
+
+    /**
+     * Führt einen Schritt eines Filters aus; ein vom Browser abgelehnter Selektor-Teil
+     * schaltet den Filter für diese Seite ab.
+     */
+    evaluate(filter, step) {
+        if (filter.failed) return [];
+        try {
+            return step();
+        } catch (error) {
+            filter.failed = true;
+            contentLogger.debug('Procedural filter failed', { selector: filter.selector, error: error.message });
+            return [];
+        }
+    }
+
+    applyFilter(filter, candidate) {
+        if (!candidate.isConnected) return;
+
+        const elements = this.evaluate(filter, () => applyTasks(filter.remainingTasks, [candidate]));
+        for (const element of elements) {
+            if (filter.action === 'remove') {
+                if (element.isConnected) {
+                    element.remove();
+                    this.removedCount++;
+                }
+            } else {
+                this.hideElement(element);
+            }
+        }
+    }
+
+    hideElement(element) {
+        if (element.hasAttribute(HIDDEN_ATTRIBUTE)) return;
+        this.previousDisplay.set(element, {
+            value: element.style.getPropertyValue('display'),
+            priority: element.style.getPropertyPriority('display')
+        });
+        element.setAttribute(HIDDEN_ATTRIBUTE, '');
+        element.style.setProperty('display', 'none', 'important');
+        this.hiddenCount++;
+    }
+
+    getStats() {
+        return {
+            filters: this.filters.length,
+            hidden: this.hiddenCount,
+            removed: this.removedCount
+        };
+    }
+}
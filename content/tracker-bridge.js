@@ -0,0 +1,119 @@
+/**
+ * @file tracker-bridge.js
+ * @description Gegenstück zu live-tracker-monitor.js in der isolierten Welt. Vergibt beim
+ *              Start eine Nonce, nimmt nur Meldungen unter dem daraus gebildeten
+ *              Ereignisnamen an und leitet sie gesammelt an das Background Script weiter:
+ *              gleiche Domain/Typ-Paare werden je Zeitfenster zu einem Eintrag mit Zähler.
+ * @version 7.1.0
+ */
+
+(function () {
+    'use strict';
+
+    const HANDSHAKE_EVENT = 'pagy-tracker-handshake';
+    const READY_EVENT = 'pagy-tracker-ready';
+    const MAX_URL_LENGTH = 200;
+    const FLUSH_INTERVAL_MS = 2000;
+    // Entspricht EXTENSION_CONFIG.LIMITS.MAX_TRACKER_BATCH_SIZE
+    const MAX_BATCH_SIZE = 100;
+
+    const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+    let isConnected = false;
+    const pendingReports = new Map();
+    let flushTimer = null;
+
+    function sendHandshake() {
+        document.dispatchEvent(new CustomEvent(HANDSHAKE_EVENT, { detail: nonce }));
+    }
+
+    function onReady() {
+        if (!isConnected) {
+            sendHandshake();
+        }
+    }
+
+    /**
+     * Prüft eine Meldung aus der MAIN world; nur bekannte Felder mit passenden Typen
+     * werden weitergegeben.
+     */
+    function toTrackerReport(payload) {
+        if (!payload || payload.type !== 'tracker') return null;
+        const { url, domain, requestType, initiator, timestamp } = payload;
+        if (typeof url !== 'string' || typeof domain !== 'string' || !domain) return null;
+
+        return {
+            url: url.substring(0, MAX_URL_LENGTH),
+            domain: domain.toLowerCase(),
+            type: String(requestType || 'unknown'),
+            initiator: String(initiator || 'unknown'),
+            timestamp: Number(timestamp) || Date.now()
+        };
+    }
+
+    function flushReports() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (pendingReports.size === 0 || !chrome.runtime?.id) return;
+
+        const reports = Array.from(pendingReports.values());
+        pendingReports.clear();
+
+        for (let i = 0; i < reports.length; i += MAX_BATCH_SIZE) {
+            chrome.runtime.sendMessage({
+                command: 'liveTrackersDetected',
+                reports: reports.slice(i, i + MAX_BATCH_SIZE)
+            }).catch(() => {
+                // Extension könnte nicht bereit sein - ignorieren
+            });
+        }
+    }
+
+    function queueReport(report) {
+        const key = `${report.domain}|${report.type}`;
+        const pending = pendingReports.get(key);
+        if (pending) {
+            pending.count++;
+        } else {
+            pendingReports.set(key, { ...report, count: 1 });
+        }
+
+        if (!flushTimer) {
+            flushTimer = setTimeout(flushReports, FLUSH_INTERVAL_MS);
+        }
+    }
+
+    function onMessage(event) {
+        let payload;
+        try {
+            payload = JSON.parse(event.detail);
+        } catch {
+            return;
+        }
+
+        if (payload?.type === 'connected') {
+            isConnected = true;
+            document.removeEventListener(READY_EVENT, onReady);
+            return;
+        }
+
+        const report = toTrackerReport(payload);
+        if (report) {
+            queueReport(report);
+        }
+    }
+
+    document.addEventListener(`pagy-tracker-${nonce}`, onMessage);
+    // Der Monitor kann vor oder nach der Bridge starten: sofort senden und auf "ready" antworten
+    document.addEventListener(READY_EVENT, onReady);
+    sendHandshake();
+
+    // Ausstehende Meldungen nicht verlieren, wenn die Seite verlassen oder verborgen wird
+    window.addEventListener('pagehide', flushReports);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushReports();
+        }
+    });
+})();
@@ -0,0 +1,156 @@
+/**
+ * @file core/allowlist.js
+ * @description Ausnahmeliste: Einträge, auf denen Pagy Blocker nichts blockiert. Gemeinsames
+ *              Modell für den Schalter im Popup und die Verwaltung in den Einstellungen.
+ *              Erlaubte Muster: "example.com" (mit Subdomains), "*.example.com" (nur
+ *              Subdomains) und beides mit Pfad, z.B. "example.com/shop".
+ * @version 7.1.0
+ */
+
+import { EXTENSION_CONFIG, RULE_CONFIG } from './config.js';
+import { isValidDomain } from './utilities.js';
+import { buildPauseRules, PAUSE_DOCUMENT_TYPES } from './pauseRules.js';
+
+// Woher ein Eintrag stammt
+export const ALLOWLIST_SOURCES = Object.freeze({
+    POPUP: 'popup',
+    OPTIONS: 'options',
+    IMPORT: 'import',
+});
+
+const WILDCARD_PREFIX = '*.';
+
+// Zeichen mit Sonderbedeutung in urlFilter, die ein Pfad nicht enthalten darf
+const URL_FILTER_SPECIAL_CHARS = ['|', '^', '*'];
+
+/**
+ * Zerlegt und normalisiert ein Muster. Ein vorangestelltes Schema wird entfernt, Query und
+ * Fragment werden ignoriert; Pfade gelten als Präfix und unterscheiden wie urlFilter keine
+ * Groß-/Kleinschreibung.
+ * Rückgabe: { isValid, entry?: { pattern, host, path, subdomainsOnly }, error? }
+ */
+export function parseAllowlistPattern(input) {
+    let text = String(input ?? '').trim().toLowerCase().replace(/^[a-z][a-z\d+\-.]*:\/\//, '');
+    if (!text) {
+        return { isValid: false, error: 'Leerer Eintrag' };
+    }
+
+    const subdomainsOnly = text.startsWith(WILDCARD_PREFIX);
+    if (subdomainsOnly) {
+        text = text.slice(WILDCARD_PREFIX.length);
+    }
+
+    let url;
+    try {
+        url = new URL(`http://${text}`);
+    } catch {
+        return { isValid: false, error: `Ungültiger Eintrag: ${input}` };
+    }
+
+    const host = url.hostname.replace(/\.$/, '');
+    if (url.port || url.username || !isValidDomain(host)) {
+        return { isValid: false, error: `Ungültige Domain: ${input}` };
+    }
+
+    const path = url.pathname === '/' ? '' : url.pathname;
+    if (URL_FILTER_SPECIAL_CHARS.some((char) => path.includes(char))) {
+        return { isValid: false, error: `Pfad enthält unzulässige Zeichen (${URL_FILTER_SPECIAL_CHARS.join(' ')})` };
+    }
+
+    return {
+        isValid: true,
+        entry: {
+            pattern: `${subdomainsOnly ? WILDCARD_PREFIX : ''}${host}${path}`,
+            host,
+            path,
+            subdomainsOnly,
+        },
+    };
+}
+
+/**
+ * Gespeicherte Einträge ({ pattern, source, added }) mit ihren zerlegten Mustern;
+ * ungültige Einträge entfallen.
+ */
+export function parseAllowlistEntries(storedEntries) {
+    return (storedEntries || []).flatMap((stored) => {
+        const { isValid, entry } = parseAllowlistPattern(stored?.pattern);
+        return isValid ? [{ ...stored, ...entry }] : [];
+    });
+}
+
+/**
+ * Gilt der Eintrag für die Seite unter url?
+ */
+export function matchesAllowlistEntry(entry, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+
+    const host = parsed.hostname.replace(/\.$/, '').toLowerCase();
+    const isSubdomain = host.endsWith(`.${entry.host}`);
+    const hostMatches = entry.subdomainsOnly ? isSubdomain : host === entry.host || isSubdomain;
+    return hostMatches && (!entry.path || parsed.pathname.toLowerCase().startsWith(entry.path));
+}
+
+/**
+ * Match-Patterns für excludeMatches von Content Scripts. "*.example.com" schließt in
+ * Match-Patterns die Domain selbst ein; dort laufen Scriptlets dann ebenfalls nicht.
+ */
+export function toMatchPatterns(entry) {
+    const path = entry.path ? `${entry.path}*` : '/*';
+    const hosts = entry.subdomainsOnly ? [`*.${entry.host}`] : [entry.host, `*.${entry.host}`];
+    return hosts.map((host) => `*://${host}${path}`);
+}
+
+/**
+ * Regel für einen Eintrag mit Wildcard oder Pfad. Sie greift über allowAllRequests auf das
+ * Hauptdokument (wie die Pausenregeln nicht auf eingebettete Frames auf fremden Seiten);
+ * Seiten, die schon vor dem Hinzufügen geladen waren, brauchen ein Neuladen.
+ */
+function buildScopedRule(entry, id, priority) {
+    // Ohne Anker steht ".example.com" nur über requestDomains sicher im Hostnamen
+    const urlFilter = entry.subdomainsOnly
+        ? `.${entry.host}${entry.path || '^'}`
+        : `||${entry.host}${entry.path}`;
+    return {
+        id,
+        priority,
+        action: { type: RULE_CONFIG.ACTIONS.ALLOW_ALL_REQUESTS },
+        condition: {
+            urlFilter,
+            ...(entry.subdomainsOnly ? { requestDomains: [entry.host] } : {}),
+            resourceTypes: [...PAUSE_DOCUMENT_TYPES],
+        },
+    };
+}
+
+/**
+ * Regeln für alle Einträge mit IDs aus range: reine Domains teilen sich die gruppierten
+ * Pausenregeln (siehe pauseRules.js), Wildcard- und Pfad-Einträge belegen je eine Regel.
+ * Rückgabe: { rules, skipped } mit den Mustern, die nicht mehr in den Bereich passen
+ */
+export function buildAllowlistRules(entries, range, priority = EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE) {
+    const isScoped = (entry) => entry.subdomainsOnly || Boolean(entry.path);
+
+    const domainEntries = entries.filter((entry) => !isScoped(entry));
+    const { rules, skipped } = buildPauseRules(domainEntries.map((entry) => entry.host), range, priority);
+
+    // Sortiert, damit dieselbe Liste immer dieselben Regeln ergibt
+    const scopedPatterns = [...new Set(entries.filter(isScoped).map((entry) => entry.pattern))].sort();
+    const scopedEntries = scopedPatterns.map((pattern) => entries.find((entry) => entry.pattern === pattern));
+    const firstId = range.start + rules.length;
+    const available = Math.max(0, range.end - firstId + 1);
+
+    scopedEntries.slice(0, available).forEach((entry, index) => {
+        rules.push(buildScopedRule(entry, firstId + index, priority));
+    });
+
+    return {
+        rules,
+        skipped: [...skipped, ...scopedPatterns.slice(available)],
+    };
+}
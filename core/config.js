@@ -9,16 +9,27 @@ export const EXTENSION_CONFIG = Object.freeze({
     NAME: 'Pagy Blocker',
     VERSION: '7.1.0',
     STORAGE_KEYS: {
-        DISABLED_DOMAINS: 'disabledDomains',
+        ALLOWLIST: 'allowlist',
+        DISABLED_DOMAINS: 'disabledDomains', // Legacy, migrated into ALLOWLIST
         USER_SETTINGS: 'userSettings',
-        FILTER_CACHE: 'filterCache'
+        FILTER_CACHE: 'filterCache',
+        RULESET_STATES: 'rulesetStates',
+        TEMPORARY_PAUSES: 'temporaryPauses', // chrome.storage.session
+        GLOBAL_PAUSE: 'globalPause',
+        USER_FILTERS: 'userFilters',
+        DIAGNOSTIC_LOGS: 'diagnosticLogs',
+        ERROR_LOGS: 'errorLogs' // Legacy, migrated into DIAGNOSTIC_LOGS
     },
     LIMITS: {
-        MAX_DYNAMIC_RULES: 100,
+        MAX_DOMAINS_PER_RULE: 1000, // Paused domains sharing one requestDomains/initiatorDomains list
         MAX_DOMAIN_LENGTH: 253,
         MAX_LABEL_LENGTH: 63,
         MAX_URL_LENGTH: 500,
         MAX_RULES_COUNT: 30000,
+        MAX_REGEX_RULES: 1000, // Separate quota for regexFilter rules
+        MAX_USER_RULES: 5000, // "Meine Filter"; matches Chrome's quota for unsafe dynamic rules
+        QUOTA_WARNING_RATIO: 0.9, // Options page warns from this share of a rule quota
+        MAX_TRACKER_BATCH_SIZE: 100, // Reports per liveTrackersDetected message
         VALIDATION_TIMEOUT_MS: 10000
     },
     PRIORITIES: {
@@ -26,6 +37,17 @@ export const EXTENSION_CONFIG = Object.freeze({
         ALLOW_RULE: 200,
         IMPORTANT_RULE: 1000
     },
+    // Pause durations offered in the popup (null = until the browser restarts)
+    PAUSE_DURATIONS: {
+        '5m': 5 * 60 * 1000,
+        '1h': 60 * 60 * 1000,
+        session: null
+    },
+    // Global pause durations (null = until resumed)
+    GLOBAL_PAUSE_DURATIONS: {
+        '1h': 60 * 60 * 1000,
+        indefinite: null
+    },
     ICONS: {
         DEFAULT: '/icons/icon128.png',
         DISABLED: '/icons/deaktivieren.png'
@@ -47,7 +69,13 @@ export const LOG_CONFIG = Object.freeze({
         DEBUG: 3
     },
     DEFAULT_LEVEL: 1, // WARN
-    PREFIX: '[Pagy Blocker]'
+    PREFIX: '[Pagy Blocker]',
+    MAX_STORED_ENTRIES: 1000, // Ring buffer size of the diagnostic log
+    LOG_CHUNK_SIZE: 100, // Entries per storage key, so a flush rewrites only the newest chunk
+    MAX_BATCH_SIZE: 50, // Entries sent to the service worker per message
+    FLUSH_DELAY: 2000, // ms to collect entries before writing them
+    MAX_MESSAGE_LENGTH: 500,
+    MAX_DETAILS_LENGTH: 2000 // Serialized details beyond this are truncated
 });
 
 // Validation patterns
@@ -67,10 +95,19 @@ export const RULE_CONFIG = Object.freeze({
     ACTIONS: {
         BLOCK: 'block',
         ALLOW: 'allow',
+        ALLOW_ALL_REQUESTS: 'allowAllRequests',
         REDIRECT: 'redirect',
         UPGRADE_SCHEME: 'upgradeScheme',
         MODIFY_HEADERS: 'modifyHeaders'
     },
+    // Priorities inside the precompiled static rulesets (below all dynamic rules)
+    STATIC_PRIORITIES: {
+        BLOCK: 1,
+        ALLOW: 2,
+        REDIRECT: 2, // beats plain blocks; exceptions still win ties
+        REMOVEPARAM: 1, // blocks win ties, so stripping parameters never unblocks a request
+        IMPORTANT: 3 // $important beats exceptions
+    },
     RESOURCE_TYPES: [
         'main_frame',
         'sub_frame',
@@ -0,0 +1,199 @@
+/**
+ * @file core/cosmeticFilters.js
+ * @description Kompiliert kosmetische Filter (##, #@#, #?#) in eine kompakte Ressource und
+ *              ermittelt daraus die Selektoren für einen Hostnamen. Wird beim Build von
+ *              filter_precompiler.js und zur Laufzeit vom Service Worker verwendet.
+ * @version 7.1.0
+ */
+
+/**
+ * Fügt einen Selektor in eine Hostname -> Selektoren-Zuordnung ein.
+ */
+function addSelector(map, hostname, selector) {
+    if (!map.has(hostname)) {
+        map.set(hostname, new Set());
+    }
+    map.get(hostname).add(selector);
+}
+
+/**
+ * Wandelt eine Zuordnung Hostname -> Set in ein JSON-taugliches Objekt um.
+ */
+function toObject(map) {
+    const result = {};
+    for (const [hostname, selectors] of map) {
+        result[hostname] = [...selectors];
+    }
+    return result;
+}
+
+/**
+ * Kompiliert eine Gruppe von Filtern gleicher Art.
+ *
+ * Ergebnis: { generic: [...], specific: { host: [...] }, exceptions: { host: [...] } }
+ *  - generic: gilt auf allen Seiten
+ *  - specific: gilt auf dem Host und seinen Subdomains
+ *  - exceptions: auf dem Host (und Subdomains) nicht anzuwendende Selektoren (#@#, ~host)
+ */
+function compileGroup(parsedRules) {
+    const generic = new Set();
+    const genericExceptions = new Set();
+    const specific = new Map();
+    const exceptions = new Map();
+
+    for (const rule of parsedRules) {
+        if (rule.isException) {
+            if (rule.hostnames.length === 0) {
+                genericExceptions.add(rule.selector);
+            }
+            for (const hostname of rule.hostnames) {
+                addSelector(exceptions, hostname, rule.selector);
+            }
+            continue;
+        }
+
+        if (rule.hostnames.length === 0) {
+            generic.add(rule.selector);
+        }
+        for (const hostname of rule.hostnames) {
+            addSelector(specific, hostname, rule.selector);
+        }
+        // ~host nimmt einzelne Hosts (auch Subdomains eines gelisteten Hosts) aus
+        for (const hostname of rule.excludedHostnames) {
+            addSelector(exceptions, hostname, rule.selector);
+        }
+    }
+
+    // Generische Ausnahmen (#@#.selector) heben den Selektor überall auf
+    for (const selector of genericExceptions) {
+        generic.delete(selector);
+        for (const selectors of specific.values()) {
+            selectors.delete(selector);
+        }
+    }
+
+    return {
+        generic: [...generic],
+        specific: toObject(specific),
+        exceptions: toObject(exceptions),
+    };
+}
+
+/**
+ * Kompiliert geparste kosmetische Filter. Einfache Selektoren ('hide') liegen auf oberster
+ * Ebene, prozedurale Selektoren in gleicher Form unter procedural und Scriptlet-Aufrufe
+ * (als Schlüssel aus getScriptletKey) unter scriptlets.
+ */
+export function compileCosmeticFilters(parsedRules) {
+    const scriptletRules = parsedRules
+        .filter((rule) => rule.kind === 'scriptlet')
+        .map((rule) => ({ ...rule, selector: rule.scriptlet.key }));
+
+    return {
+        ...compileGroup(parsedRules.filter((rule) => rule.kind === 'hide')),
+        procedural: compileGroup(parsedRules.filter((rule) => rule.kind === 'procedural')),
+        scriptlets: compileGroup(scriptletRules),
+    };
+}
+
+/**
+ * Anzahl der Selektoren einer Gruppe.
+ */
+function countGroup(group) {
+    const specificCount = Object.values(group?.specific || {}).reduce(
+        (sum, selectors) => sum + selectors.length,
+        0
+    );
+    return (group?.generic || []).length + specificCount;
+}
+
+/**
+ * Anzahl der Selektoren einer kompilierten Ressource (einfach und prozedural).
+ */
+export function countCosmeticFilters(resource) {
+    return countGroup(resource) + countGroup(resource.procedural);
+}
+
+/**
+ * Anzahl der Scriptlet-Aufrufe einer kompilierten Ressource.
+ */
+export function countScriptletFilters(resource) {
+    return countGroup(resource.scriptlets);
+}
+
+/**
+ * Hostnamen, für die eine Ressource Scriptlets enthält.
+ */
+export function getScriptletHostnames(resource) {
+    return Object.keys(resource.scriptlets?.specific || {});
+}
+
+/**
+ * Hostname und alle übergeordneten Domains (a.b.example.com -> b.example.com, example.com).
+ */
+export function getHostnameChain(hostname) {
+    const parts = String(hostname || '').toLowerCase().split('.');
+    const chain = [];
+    for (let i = 0; i < parts.length - 1; i++) {
+        chain.push(parts.slice(i).join('.'));
+    }
+    return chain;
+}
+
+/**
+ * Ermittelt die auf einem Hostnamen geltenden Selektoren aus mehreren Gruppen.
+ * Ausnahmen gelten listenübergreifend.
+ */
+function selectFromGroups(groups, hostname) {
+    const chain = getHostnameChain(hostname);
+    const selectors = new Set();
+    const excluded = new Set();
+
+    for (const group of groups) {
+        for (const selector of group.generic || []) {
+            selectors.add(selector);
+        }
+        for (const host of chain) {
+            for (const selector of group.specific?.[host] || []) {
+                selectors.add(selector);
+            }
+            for (const selector of group.exceptions?.[host] || []) {
+                excluded.add(selector);
+            }
+        }
+    }
+
+    return [...selectors].filter((selector) => !excluded.has(selector));
+}
+
+// Klammern und Kommentare würden aus der eigenen Regel ausbrechen oder folgende verschlucken
+const UNSAFE_SELECTOR_PATTERN = /[{}]|\/\*|\*\//;
+
+/**
+ * Ermittelt die auf einem Hostnamen per CSS auszublendenden Selektoren.
+ */
+export function getCosmeticSelectors(resources, hostname) {
+    return selectFromGroups(resources, hostname);
+}
+
+/**
+ * Ermittelt die prozeduralen Selektoren für einen Hostnamen.
+ */
+export function getProceduralSelectors(resources, hostname) {
+    return selectFromGroups(
+        resources.map((resource) => resource.procedural).filter(Boolean),
+        hostname
+    );
+}
+
+/**
+ * Baut das Stylesheet zum Ausblenden. Jeder Selektor erhält eine eigene Regel, damit ein
+ * ungültiger Selektor nicht die übrigen außer Kraft setzt. Der Parser lehnt unsichere
+ * Selektoren bereits ab; hier werden sie zusätzlich für ältere Ressourcen übersprungen.
+ */
+export function buildHidingCss(selectors) {
+    return selectors
+        .filter((selector) => !UNSAFE_SELECTOR_PATTERN.test(selector))
+        .map((selector) => `${selector} { display: none !important; }`)
+        .join('\n');
+}
@@ -0,0 +1,175 @@
+/**
+ * @file core/filterListCompiler.js
+ * @description Kompiliert den Text einer Filterliste ohne Dateizugriffe in DNR-Regeln und
+ *              liefert eine Statistik mit Ablehnungsgründen je Zeile. Grundlage für
+ *              filter_precompiler.js und den Filter-Import der Einstellungsseite.
+ * @version 7.1.0
+ */
+
+import { EXTENSION_CONFIG } from './config.js';
+import { analyzeRule, RULE_TYPES } from './ruleParser.js';
+import { convertToDNRRule, getRuleKey, isBadfilter } from './ruleCompiler.js';
+import { parseListMetadata, preprocessFilterList } from './listPreprocessor.js';
+import { countFilters, optimizeRules } from './ruleOptimizer.js';
+import {
+    compileCosmeticFilters,
+    countCosmeticFilters,
+    countScriptletFilters,
+} from './cosmeticFilters.js';
+
+/**
+ * Kompiliert eine Filterliste.
+ *
+ * Optionen:
+ *  - firstRuleId: ID der ersten erzeugten Regel (Standard 1)
+ *  - source: Name der Liste für Fehlermeldungen und relative !#include-Pfade
+ *  - resolveInclude(path): liefert den Text einer eingebundenen Datei oder null
+ *  - env: Umgebungs-Token für !#if (Standard: Chromium MV3)
+ *  - optimize: abgedeckte Regeln entfernen und Domain-Regeln zusammenfassen (Standard false)
+ *  - maxRegexRules: verbleibendes Kontingent für regexFilter-Regeln
+ *
+ * Rückgabe: { rules, cosmetic, metadata, includes, stats }
+ */
+export function precompileFilterList(text, options = {}) {
+    const {
+        firstRuleId = 1,
+        source = 'list.txt',
+        resolveInclude = null,
+        env,
+        optimize = false,
+        maxRegexRules = EXTENSION_CONFIG.LIMITS.MAX_REGEX_RULES,
+    } = options;
+    const content = String(text ?? '');
+
+    const stats = {
+        totalLines: content.split(/\r?\n/).length,
+        processedRules: 0,
+        comments: 0,
+        cosmeticFilters: 0,
+        scriptlets: 0,
+        cosmeticSkipped: 0,
+        duplicates: 0,
+        badfiltered: 0,
+        unsupportedOptions: 0,
+        regexRules: 0,
+        regexRejected: 0,
+        errors: 0,
+        errorDetails: [],
+    };
+    const addError = (location, rule, reason) => {
+        stats.errors++;
+        stats.errorDetails.push({ source: location.source, line: location.line, rule, reason });
+    };
+
+    const preprocessed = preprocessFilterList(content, { source, resolveInclude, env });
+    for (const error of preprocessed.errors) {
+        addError(error, null, error.reason);
+    }
+
+    const candidates = [];
+    const cosmeticRules = [];
+    const seenKeys = new Set();
+    const badfilterKeys = new Set();
+
+    for (const entry of preprocessed.lines) {
+        const line = entry.text.trim();
+        if (!line) continue;
+
+        const result = analyzeRule(line);
+        if (result.type === RULE_TYPES.COMMENT) {
+            stats.comments++;
+            continue;
+        }
+        if (result.type === RULE_TYPES.COSMETIC) {
+            // Scriptlets werden nur für einzelne Hosts registriert, generische übersprungen
+            const { kind, hostnames } = result.parsed;
+            if (kind === 'scriptlet' && hostnames.length === 0) {
+                stats.cosmeticSkipped++;
+            } else {
+                cosmeticRules.push(result.parsed);
+            }
+            continue;
+        }
+        if (result.type !== RULE_TYPES.NETWORK) {
+            if (result.unknownOptions?.length > 0) {
+                stats.unsupportedOptions++;
+            }
+            addError(entry, line, result.error || 'Ungültige Regel');
+            continue;
+        }
+
+        const key = getRuleKey(result.parsed);
+        if (isBadfilter(result.parsed)) {
+            badfilterKeys.add(key);
+            continue;
+        }
+        if (seenKeys.has(key)) {
+            stats.duplicates++;
+            continue;
+        }
+        seenKeys.add(key);
+
+        // IDs werden erst vergeben, wenn alle $badfilter-Regeln bekannt sind
+        const conversion = convertToDNRRule(result.parsed, 0);
+        if (!conversion.isValid) {
+            if (conversion.unsupportedOption) {
+                stats.unsupportedOptions++;
+            }
+            if (conversion.regexRejection) {
+                stats.regexRejected++;
+            }
+            addError(entry, line, conversion.error);
+            continue;
+        }
+        candidates.push({ rule: conversion.rule, key, text: line, location: entry });
+    }
+
+    // Durch $badfilter aufgehobene Regeln nicht ausgeben
+    let entries = candidates.filter(({ key }) => {
+        if (badfilterKeys.has(key)) {
+            stats.badfiltered++;
+            return false;
+        }
+        return true;
+    });
+
+    if (optimize) {
+        const optimization = optimizeRules(entries);
+        entries = optimization.entries;
+        stats.duplicates += optimization.duplicates;
+        stats.optimization = {
+            subsumed: optimization.subsumed,
+            merged: optimization.merged,
+            removed: optimization.removed,
+        };
+    }
+
+    // Regex-Regeln zählen gegen ein eigenes, listenübergreifendes Kontingent
+    entries = entries.filter(({ rule, text, location }) => {
+        if (!rule.condition.regexFilter) return true;
+        if (stats.regexRules >= maxRegexRules) {
+            stats.regexRejected++;
+            addError(location, text, `Regex-Kontingent erschöpft (${maxRegexRules} Regeln)`);
+            return false;
+        }
+        stats.regexRules++;
+        return true;
+    });
+
+    const rules = entries.map(({ rule }, index) => ({ ...rule, id: firstRuleId + index }));
+
+    const cosmetic = compileCosmeticFilters(cosmeticRules);
+
+    stats.processedRules = rules.length;
+    stats.filterCount = countFilters(rules);
+    stats.cosmeticFilters = countCosmeticFilters(cosmetic);
+    stats.scriptlets = countScriptletFilters(cosmetic);
+
+    return {
+        rules,
+        cosmetic,
+        metadata: parseListMetadata(content),
+        includes: preprocessed.includes,
+        stats,
+    };
+}
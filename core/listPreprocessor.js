@@ -0,0 +1,241 @@
+/**
+ * @file core/listPreprocessor.js
+ * @description Liest Kopf-Metadaten von Filterlisten und löst die Präprozessor-Direktiven
+ *              !#include sowie !#if/!#else/!#endif für das Chromium-MV3-Ziel auf.
+ * @version 7.1.0
+ */
+
+// Umgebungs-Token für !#if - unbekannte Token gelten als falsch
+export const CHROMIUM_MV3_ENV = Object.freeze({
+    env_chromium: true,
+    env_mv3: true,
+    cap_user_stylesheet: true,
+    env_edge: false,
+    env_firefox: false,
+    env_safari: false,
+    env_mobile: false,
+    env_legacy: false,
+    cap_html_filtering: false,
+    ext_ublock: false,
+    ext_abp: false,
+    adguard: false,
+    false: false,
+});
+
+// Bekannte Kopfzeilen ("! Title: ...") und ihre Schlüssel im Metadaten-Objekt
+const HEADER_FIELDS = {
+    title: 'title',
+    version: 'version',
+    expires: 'expires',
+    homepage: 'homepage',
+    'last modified': 'lastModified',
+    license: 'license',
+    description: 'description',
+};
+
+const MAX_INCLUDE_DEPTH = 5;
+
+/**
+ * Wandelt eine Expires-Angabe ("4 days (update frequency)", "12 hours") in Stunden um.
+ */
+function parseExpires(value) {
+    const match = /^(\d+)\s*(day|days|hour|hours|h|d)\b/i.exec(value);
+    if (!match) return null;
+    const amount = parseInt(match[1], 10);
+    return match[2].toLowerCase().startsWith('d') ? amount * 24 : amount;
+}
+
+/**
+ * Liest die Kopf-Metadaten aus dem Kommentarblock am Anfang einer Liste.
+ */
+export function parseListMetadata(text) {
+    const metadata = {};
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('[')) continue;
+        // Der Kopf endet mit der ersten Zeile, die kein Kommentar ist
+        if (!line.startsWith('!')) break;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const key = line.slice(1, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+        if (HEADER_FIELDS[key] && value && !(HEADER_FIELDS[key] in metadata)) {
+            metadata[HEADER_FIELDS[key]] = value;
+        }
+    }
+    if (metadata.expires) {
+        const hours = parseExpires(metadata.expires);
+        if (hours !== null) {
+            metadata.expiresHours = hours;
+        }
+    }
+    return metadata;
+}
+
+/**
+ * Wertet einen !#if-Ausdruck aus (Token, !, &&, || und Klammern).
+ */
+export function evaluateCondition(expression, env = CHROMIUM_MV3_ENV) {
+    const tokens = expression.match(/!|&&|\|\||\(|\)|[A-Za-z0-9_]+/g) || [];
+    let position = 0;
+
+    const parseOr = () => {
+        let value = parseAnd();
+        while (tokens[position] === '||') {
+            position++;
+            value = parseAnd() || value;
+        }
+        return value;
+    };
+    const parseAnd = () => {
+        let value = parseUnary();
+        while (tokens[position] === '&&') {
+            position++;
+            value = parseUnary() && value;
+        }
+        return value;
+    };
+    const parseUnary = () => {
+        const token = tokens[position++];
+        if (token === '!') return !parseUnary();
+        if (token === '(') {
+            const value = parseOr();
+            if (tokens[position++] !== ')') {
+                throw new Error(`Fehlende schließende Klammer in: ${expression}`);
+            }
+            return value;
+        }
+        if (!token || !/^[A-Za-z0-9_]+$/.test(token)) {
+            throw new Error(`Ungültiger Ausdruck: ${expression}`);
+        }
+        return env[token] === true;
+    };
+
+    const result = parseOr();
+    if (position !== tokens.length) {
+        throw new Error(`Ungültiger Ausdruck: ${expression}`);
+    }
+    return result;
+}
+
+/**
+ * Löst einen Include-Pfad relativ zur einbindenden Datei auf.
+ * Nur lokale, relative Pfade innerhalb des Listenverzeichnisses sind erlaubt.
+ */
+export function resolveIncludePath(fromSource, includePath) {
+    if (
+        !includePath ||
+        includePath.includes('://') ||
+        includePath.includes('\\') ||
+        includePath.startsWith('/')
+    ) {
+        return null;
+    }
+    const parts = fromSource.split('/').slice(0, -1);
+    for (const part of includePath.split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') {
+            if (parts.length === 0) return null;
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    }
+    return parts.length > 0 ? parts.join('/') : null;
+}
+
+/**
+ * Verarbeitet die Präprozessor-Direktiven einer Liste.
+ *
+ * resolveInclude(path) liefert den Text einer eingebundenen Datei (oder null) und hält
+ * diese Funktion frei von Dateizugriffen. Das Ergebnis enthält jede verbleibende Zeile
+ * mit Herkunft, damit Fehler der richtigen Datei und Zeile zugeordnet werden können.
+ */
+export function preprocessFilterList(text, options = {}) {
+    const { source = 'list.txt', resolveInclude = null, env = CHROMIUM_MV3_ENV } = options;
+    const lines = [];
+    const includes = [];
+    const errors = [];
+
+    const processText = (content, currentSource, chain) => {
+        // Offene !#if-Blöcke: { active, sawElse }
+        const conditions = [];
+        const isActive = () => conditions.every((entry) => entry.active);
+        const rawLines = String(content).split(/\r?\n/);
+
+        rawLines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const trimmed = rawLine.trim();
+            const location = { source: currentSource, line: lineNumber };
+
+            if (trimmed.startsWith('!#if')) {
+                let active = false;
+                try {
+                    active = evaluateCondition(trimmed.slice(4).trim(), env);
+                } catch (error) {
+                    errors.push({ ...location, reason: error.message });
+                }
+                conditions.push({ active, sawElse: false });
+                return;
+            }
+            if (trimmed === '!#else') {
+                const current = conditions[conditions.length - 1];
+                if (!current || current.sawElse) {
+                    errors.push({ ...location, reason: '!#else ohne passendes !#if' });
+                    return;
+                }
+                current.active = !current.active;
+                current.sawElse = true;
+                return;
+            }
+            if (trimmed === '!#endif') {
+                if (conditions.length === 0) {
+                    errors.push({ ...location, reason: '!#endif ohne passendes !#if' });
+                    return;
+                }
+                conditions.pop();
+                return;
+            }
+
+            if (!isActive()) return;
+
+            if (trimmed.startsWith('!#include')) {
+                const includePath = resolveIncludePath(currentSource, trimmed.slice(9).trim());
+                if (!includePath) {
+                    errors.push({ ...location, reason: `Unzulässiger Include-Pfad: ${trimmed}` });
+                    return;
+                }
+                if (chain.includes(includePath)) {
+                    errors.push({ ...location, reason: `Zirkulärer Include: ${includePath}` });
+                    return;
+                }
+                if (chain.length > MAX_INCLUDE_DEPTH) {
+                    errors.push({ ...location, reason: 'Maximale Include-Tiefe überschritten' });
+                    return;
+                }
+                const included = resolveInclude ? resolveInclude(includePath) : null;
+                if (typeof included !== 'string') {
+                    errors.push({ ...location, reason: `Include nicht gefunden: ${includePath}` });
+                    return;
+                }
+                includes.push(includePath);
+                processText(included, includePath, [...chain, includePath]);
+                return;
+            }
+
+            lines.push({ text: rawLine, ...location });
+        });
+
+        if (conditions.length > 0) {
+            errors.push({
+                source: currentSource,
+                line: rawLines.length,
+                reason: `${conditions.length} nicht abgeschlossene !#if-Blöcke`,
+            });
+        }
+    };
+
+    processText(text, source, [source]);
+    return { lines, includes, errors };
+}
@@ -0,0 +1,273 @@
+/**
+ * @file core/logStore.js
+ * @description Persistent diagnostic log: a ring buffer of the last log entries from all
+ *              contexts in chrome.storage.local. Only the service worker writes the buffer;
+ *              other contexts send their entries to it in batches, so concurrent writers
+ *              cannot overwrite each other's entries. The entries are stored in chunks of
+ *              LOG_CHUNK_SIZE under their own keys: a flush rewrites only the newest chunk,
+ *              which keeps the storage.onChanged events every context receives small.
+ * @version 7.1.0
+ */
+
+import { EXTENSION_CONFIG, LOG_CONFIG } from './config.js';
+
+// Holds the chunk index { first, last }; chunk n is stored under "diagnosticLogs:n"
+const STORAGE_KEY = EXTENSION_CONFIG.STORAGE_KEYS.DIAGNOSTIC_LOGS;
+const MAX_CHUNKS = Math.ceil(LOG_CONFIG.MAX_STORED_ENTRIES / LOG_CONFIG.LOG_CHUNK_SIZE);
+const LEVEL_NAMES = Object.keys(LOG_CONFIG.LEVELS);
+
+// Detail fields that name pages or hosts the user visited
+const PRIVATE_DETAIL_KEYS = /domain|url|initiator|host|site|origin|pattern|referrer/i;
+const URL_IN_TEXT = /\b[a-z][a-z\d+.-]*:\/\/[^\s"']+/gi;
+const REDACTED = '[redacted]';
+
+let pendingEntries = [];
+let flushTimer = null;
+let writeQueue = Promise.resolve();
+
+function isServiceWorker() {
+    return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+}
+
+function hasExtensionStorage() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage?.local);
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+// Details as JSON-safe value; oversized or unserializable details become a string
+function serializeDetails(details) {
+    if (details === undefined || details === null) return undefined;
+
+    let json;
+    try {
+        json = JSON.stringify(details);
+    } catch (error) {
+        return truncate(String(details), LOG_CONFIG.MAX_DETAILS_LENGTH);
+    }
+    if (!json || json === '{}') return undefined;
+    if (json.length > LOG_CONFIG.MAX_DETAILS_LENGTH) {
+        return truncate(json, LOG_CONFIG.MAX_DETAILS_LENGTH);
+    }
+    return JSON.parse(json);
+}
+
+/**
+ * Normalizes an entry into { timestamp, level, context, message, details? }.
+ * Also applied to entries received from other contexts; returns null for unusable input.
+ */
+export function sanitizeLogEntry(entry) {
+    if (!entry || typeof entry.message !== 'string') return null;
+
+    const level = String(entry.level || '').toUpperCase();
+    if (!LEVEL_NAMES.includes(level)) return null;
+
+    const timestamp = typeof entry.timestamp === 'number' ? entry.timestamp : Date.parse(entry.timestamp);
+    const details = serializeDetails(entry.details);
+
+    return {
+        timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+        level,
+        context: truncate(String(entry.context || 'General'), 50),
+        message: truncate(entry.message, LOG_CONFIG.MAX_MESSAGE_LENGTH),
+        ...(details !== undefined ? { details } : {})
+    };
+}
+
+/**
+ * Entries matching the optional context and level (exact level name), in stored order
+ */
+export function filterLogEntries(entries, { context, level } = {}) {
+    return entries.filter((entry) =>
+        (!context || entry.context === context) && (!level || entry.level === level));
+}
+
+function redactValue(value, key = '') {
+    if (value === null || typeof value === 'number' || typeof value === 'boolean') return value;
+    if (PRIVATE_DETAIL_KEYS.test(key)) return REDACTED;
+    if (typeof value === 'string') return value.replace(URL_IN_TEXT, REDACTED);
+    if (Array.isArray(value)) return value.map((item) => redactValue(item));
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactValue(item, name)]));
+}
+
+/**
+ * Copies of the entries without browsing history, for the diagnostics export: detail fields
+ * naming domains, URLs or hosts are replaced and URLs in any text are masked. Details that
+ * were stored as truncated text cannot be inspected and are dropped entirely.
+ */
+export function redactLogEntries(entries) {
+    return entries.map(({ details, ...entry }) => ({
+        ...entry,
+        message: entry.message.replace(URL_IN_TEXT, REDACTED),
+        ...(details !== undefined
+            ? { details: typeof details === 'string' ? REDACTED : redactValue(details) }
+            : {})
+    }));
+}
+
+function chunkKey(number) {
+    return `${STORAGE_KEY}:${number}`;
+}
+
+function getChunkKeys(index) {
+    if (!index) return [];
+    return Array.from({ length: index.last - index.first + 1 }, (_, offset) => chunkKey(index.first + offset));
+}
+
+/**
+ * Storage changes for appending entries: the newest chunk is filled up, further entries open
+ * new chunks, and the oldest chunks beyond the buffer size are dropped. The buffer therefore
+ * keeps between MAX_STORED_ENTRIES - LOG_CHUNK_SIZE + 1 and MAX_STORED_ENTRIES entries.
+ * index: { first, last } or null for an empty log; lastChunk: entries of chunk index.last
+ * Returns { index, writes: { key: entries }, removals: [key] }
+ */
+export function planLogAppend(index, lastChunk, entries) {
+    let first = index?.first ?? 0;
+    let last = index?.last ?? 0;
+    let chunk = index ? [...lastChunk] : [];
+    const writes = {};
+
+    for (const entry of entries) {
+        if (chunk.length >= LOG_CONFIG.LOG_CHUNK_SIZE) {
+            last++;
+            chunk = [];
+        }
+        chunk.push(entry);
+        writes[chunkKey(last)] = chunk;
+    }
+
+    const removals = [];
+    while (last - first + 1 > MAX_CHUNKS) {
+        removals.push(chunkKey(first));
+        delete writes[chunkKey(first)];
+        first++;
+    }
+    return { index: { first, last }, writes, removals };
+}
+
+// One step of the write queue; the index is written together with the chunks it points to
+async function writeLogEntries(entries) {
+    const { [STORAGE_KEY]: index = null } = await chrome.storage.local.get(STORAGE_KEY);
+    const lastKey = index ? chunkKey(index.last) : null;
+    const lastChunk = lastKey ? (await chrome.storage.local.get(lastKey))[lastKey] || [] : [];
+
+    const plan = planLogAppend(index, lastChunk, entries);
+    await chrome.storage.local.set({ ...plan.writes, [STORAGE_KEY]: plan.index });
+    if (plan.removals.length > 0) {
+        await chrome.storage.local.remove(plan.removals);
+    }
+}
+
+/**
+ * Appends entries to the ring buffer. Writes are serialized, so this must only run in the
+ * service worker, the single writer of the buffer.
+ */
+export function appendLogEntries(entries) {
+    const sanitized = entries.map(sanitizeLogEntry).filter(Boolean);
+    if (sanitized.length === 0 || !hasExtensionStorage()) return writeQueue;
+
+    writeQueue = writeQueue.then(() => writeLogEntries(sanitized)).catch(() => {
+        // Losing diagnostic entries must never affect the extension itself
+    });
+    return writeQueue;
+}
+
+function flushLogEntries() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (pendingEntries.length === 0) return;
+
+    const entries = pendingEntries;
+    pendingEntries = [];
+
+    if (isServiceWorker()) {
+        appendLogEntries(entries);
+        return;
+    }
+    if (!chrome.runtime?.id) return; // Extension was reloaded; this context is orphaned
+
+    for (let i = 0; i < entries.length; i += LOG_CONFIG.MAX_BATCH_SIZE) {
+        chrome.runtime.sendMessage({
+            command: 'appendLogs',
+            entries: entries.slice(i, i + LOG_CONFIG.MAX_BATCH_SIZE)
+        }).catch(() => {
+            // Service worker unreachable; the entries are still in the console
+        });
+    }
+}
+
+/**
+ * Queues an entry for the buffer. Entries are written together after FLUSH_DELAY, or
+ * immediately once a full batch has been collected.
+ */
+export function queueLogEntry(entry) {
+    const sanitized = hasExtensionStorage() && sanitizeLogEntry(entry);
+    if (!sanitized) return;
+
+    // Serialized now, so later changes to details objects don't alter the entry
+    pendingEntries.push(sanitized);
+    if (pendingEntries.length >= LOG_CONFIG.MAX_BATCH_SIZE) {
+        flushLogEntries();
+    } else if (!flushTimer) {
+        flushTimer = setTimeout(flushLogEntries, LOG_CONFIG.FLUSH_DELAY);
+    }
+}
+
+export async function getLogEntries() {
+    await writeQueue;
+    const { [STORAGE_KEY]: index = null } = await chrome.storage.local.get(STORAGE_KEY);
+    const keys = getChunkKeys(index);
+    if (keys.length === 0) return [];
+
+    const chunks = await chrome.storage.local.get(keys);
+    return keys.flatMap((key) => chunks[key] || []);
+}
+
+export async function clearLogEntries() {
+    const cleared = writeQueue.then(async () => {
+        const { [STORAGE_KEY]: index = null } = await chrome.storage.local.get(STORAGE_KEY);
+        await chrome.storage.local.remove([STORAGE_KEY, ...getChunkKeys(index)]);
+    });
+    writeQueue = cleared.catch(() => {});
+    return cleared;
+}
+
+/**
+ * Moves the former errorLogs list (newest first) into the buffer. Runs as one step of the
+ * write queue, so overlapping calls cannot append the legacy entries twice.
+ */
+export async function migrateLegacyErrorLogs() {
+    const legacyKey = EXTENSION_CONFIG.STORAGE_KEYS.ERROR_LOGS;
+    const migration = writeQueue.then(async () => {
+        const { [legacyKey]: errorLogs, [STORAGE_KEY]: index = null } =
+            await chrome.storage.local.get([legacyKey, STORAGE_KEY]);
+        if (!Array.isArray(errorLogs)) return 0;
+
+        // The legacy entries are older than the stored ones: rewrite the log into fresh chunks
+        // behind the current ones, switch the index, and only then drop the old chunks
+        const oldKeys = getChunkKeys(index);
+        const chunks = oldKeys.length > 0 ? await chrome.storage.local.get(oldKeys) : {};
+        const stored = oldKeys.flatMap((key) => chunks[key] || []);
+        const migrated = [...errorLogs].reverse().map(sanitizeLogEntry).filter(Boolean);
+
+        const next = (index?.last ?? -1) + 1;
+        const plan = planLogAppend({ first: next, last: next }, [], [...migrated, ...stored]);
+        await chrome.storage.local.set({ ...plan.writes, [STORAGE_KEY]: plan.index });
+        await chrome.storage.local.remove([legacyKey, ...oldKeys]);
+        return errorLogs.length;
+    });
+    writeQueue = migration.catch(() => {});
+    return migration;
+}
+
+// Pages (popup, options, content scripts) can close before the timer fires
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    window.addEventListener('pagehide', flushLogEntries);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushLogEntries();
+        }
+    });
+}
@@ -5,17 +5,25 @@
  */
 
 import { LOG_CONFIG } from './config.js';
+import { getRuntimeSettings, loadRuntimeSettings } from './runtimeSettings.js';
+import { queueLogEntry } from './logStore.js';
+
+// Every context that logs follows the log level chosen on the options page
+loadRuntimeSettings();
 
 class Logger {
     constructor(context = 'General') {
         this.context = context;
-        this.level = this.getLogLevel();
+    }
+
+    // Read on every call, so level changes apply without reloading the context
+    get level() {
+        return this.getLogLevel();
     }
 
     getLogLevel() {
-        // In production, use WARN level by default
-        // Can be overridden by storage settings
-        return LOG_CONFIG.DEFAULT_LEVEL;
+        // WARN until the stored setting has been read
+        return getRuntimeSettings().logLevel;
     }
 
     formatMessage(level, message, details = {}) {
@@ -44,7 +52,7 @@ class Logger {
                     console.error('Details (raw):', details);
                 }
             }
-            this.logToStorage('error', formatted);
+            this.logToStorage(formatted);
         }
     }
 
@@ -59,7 +67,7 @@ class Logger {
                     console.warn('Details (raw):', details);
                 }
             }
-            this.logToStorage('warn', formatted);
+            this.logToStorage(formatted);
         }
     }
 
@@ -74,6 +82,7 @@ class Logger {
                     console.log('Details (raw):', details);
                 }
             }
+            this.logToStorage(formatted);
         }
     }
 
@@ -88,20 +97,14 @@ class Logger {
                     console.debug('Details (raw):', details);
                 }
             }
+            this.logToStorage(formatted);
         }
     }
 
-    // Store critical errors for debugging
-    async logToStorage(level, logEntry) {
-        if (level === 'error') {
-            try {
-                const { errorLogs = [] } = await chrome.storage.local.get('errorLogs');
-                const updatedLogs = [logEntry, ...errorLogs.slice(0, 49)]; // Keep last 50 errors
-                await chrome.storage.local.set({ errorLogs: updatedLogs });
-            } catch (e) {
-                // Silently fail if storage is not available
-            }
-        }
+    // Keep every emitted entry in the diagnostic log (see logStore.js)
+    logToStorage(logEntry) {
+        const { timestamp, level, context, message, details } = logEntry;
+        queueLogEntry({ timestamp, level, context, message, details });
     }
 
     // Performance timing utility
@@ -0,0 +1,98 @@
+/**
+ * @file core/pauseRules.js
+ * @description Erzeugt die declarativeNetRequest-Regeln für pausierte Domains. Eine Pause
+ *              gilt für die Seite, nicht für Anfragen an die Domain: alles, was eine
+ *              pausierte Seite (samt Subdomains und eingebetteten Frames) lädt, wird erlaubt.
+ *              Ist eine pausierte Seite nur als Frame auf einer anderen Seite eingebettet,
+ *              bleibt die andere Seite geschützt.
+ * @version 7.1.0
+ */
+
+import { EXTENSION_CONFIG, RULE_CONFIG } from './config.js';
+
+// Dokument, über das allowAllRequests eine pausierte Seite samt aller Frames erfasst
+export const PAUSE_DOCUMENT_TYPES = Object.freeze(['main_frame']);
+
+// Unterressourcen der pausierten Seite; Navigationen weg von ihr bleiben unberührt
+export const PAUSE_SUBRESOURCE_TYPES = Object.freeze(
+    RULE_CONFIG.RESOURCE_TYPES.filter((type) => type !== 'main_frame')
+);
+
+// Regeln je Gruppe pausierter Domains
+export const RULES_PER_PAUSE_GROUP = 3;
+
+/**
+ * Regeln für eine Gruppe pausierter Domains:
+ * 1. allowAllRequests auf das Hauptdokument der Domains - erlaubt alles, was die Seite und
+ *    ihre Frames laden, auch Drittanbieter-Frames wie Werbe-iFrames.
+ * 2. allowAllRequests auf Frames, die eine pausierte Seite einbettet - nötig für Seiten, die
+ *    vor Beginn der Pause geladen wurden (Regel 1 wirkt erst ab der nächsten Navigation).
+ *    Bewusst nicht nach requestDomains: sonst wäre eine pausierte Domain als iFrame auf
+ *    jeder anderen Seite ungefiltert.
+ * 3. allow nach Initiator - greift für Anfragen, deren Frame vor Beginn der Pause geladen
+ *    wurde, und für Anfragen ohne Tab. Das gilt auch für die Anfragen eines Frames der
+ *    pausierten Domain auf einer fremden Seite; diese Herkunft lässt sich ohne Tab-Bezug
+ *    nicht unterscheiden.
+ * requestDomains und initiatorDomains schließen Subdomains ein.
+ */
+export function buildPauseRulesForDomains(domains, firstId, priority = EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE) {
+    return [
+        {
+            id: firstId,
+            priority,
+            action: { type: RULE_CONFIG.ACTIONS.ALLOW_ALL_REQUESTS },
+            condition: {
+                requestDomains: [...domains],
+                resourceTypes: [...PAUSE_DOCUMENT_TYPES],
+            },
+        },
+        {
+            id: firstId + 1,
+            priority,
+            action: { type: RULE_CONFIG.ACTIONS.ALLOW_ALL_REQUESTS },
+            condition: {
+                initiatorDomains: [...domains],
+                resourceTypes: ['sub_frame'],
+            },
+        },
+        {
+            id: firstId + 2,
+            priority,
+            action: { type: RULE_CONFIG.ACTIONS.ALLOW },
+            condition: {
+                initiatorDomains: [...domains],
+                resourceTypes: [...PAUSE_SUBRESOURCE_TYPES],
+            },
+        },
+    ];
+}
+
+/**
+ * Wie viele Domains passen in einen ID-Bereich?
+ */
+export function getPauseRuleCapacity(range) {
+    const groups = Math.floor((range.end - range.start + 1) / RULES_PER_PAUSE_GROUP);
+    return groups * EXTENSION_CONFIG.LIMITS.MAX_DOMAINS_PER_RULE;
+}
+
+/**
+ * Regeln für alle pausierten Domains mit fortlaufenden IDs in [range.start, range.end].
+ * Bis zu MAX_DOMAINS_PER_RULE Domains teilen sich eine Regelgruppe, sodass auch Tausende
+ * Domains nur wenige IDs belegen. Domains, die nicht mehr in den Bereich passen, werden
+ * ausgelassen.
+ * Rückgabe: { rules, skipped }
+ */
+export function buildPauseRules(domains, range, priority) {
+    const groupSize = EXTENSION_CONFIG.LIMITS.MAX_DOMAINS_PER_RULE;
+    // Sortiert, damit dieselbe Liste immer dieselben Regeln ergibt
+    const unique = [...new Set(domains)].sort();
+    const included = unique.slice(0, getPauseRuleCapacity(range));
+    const rules = [];
+
+    for (let offset = 0; offset < included.length; offset += groupSize) {
+        const firstId = range.start + (offset / groupSize) * RULES_PER_PAUSE_GROUP;
+        rules.push(...buildPauseRulesForDomains(included.slice(offset, offset + groupSize), firstId, priority));
+    }
+
+    return { rules, skipped: unique.slice(included.length) };
+}
@@ -0,0 +1,97 @@
+/**
+ * @file core/performanceReport.js
+ * @description Collects PerformanceTimer measurements per label while performance
+ *              monitoring is enabled. The report is kept in chrome.storage.session, so it
+ *              survives service worker restarts but not a browser restart.
+ * @version 7.1.0
+ */
+
+const STORAGE_KEY = 'performanceReport';
+const MAX_LABELS = 100;
+const PERSIST_DELAY = 1000;
+
+let timings = null; // label -> { count, total, min, max, last, lastAt }
+let loadPromise = null;
+let persistTimer = null;
+
+function hasSessionStorage() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage?.session);
+}
+
+async function ensureLoaded() {
+    if (timings) return timings;
+    if (!loadPromise) {
+        loadPromise = (async () => {
+            let stored = {};
+            if (hasSessionStorage()) {
+                try {
+                    stored = (await chrome.storage.session.get(STORAGE_KEY))[STORAGE_KEY] || {};
+                } catch (error) {
+                    // Start with an empty report
+                }
+            }
+            timings = new Map(Object.entries(stored));
+            return timings;
+        })();
+    }
+    return loadPromise;
+}
+
+function schedulePersist() {
+    if (!hasSessionStorage() || persistTimer) return;
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        chrome.storage.session.set({ [STORAGE_KEY]: Object.fromEntries(timings) }).catch(() => {
+            // The in-memory report is still complete
+        });
+    }, PERSIST_DELAY);
+}
+
+/**
+ * Adds one measurement. Beyond MAX_LABELS the least recently measured label is dropped.
+ */
+export async function recordTiming(label, duration) {
+    await ensureLoaded();
+
+    const entry = timings.get(label) || { count: 0, total: 0, min: Infinity, max: 0, last: 0, lastAt: 0 };
+    entry.count++;
+    entry.total += duration;
+    entry.min = Math.min(entry.min, duration);
+    entry.max = Math.max(entry.max, duration);
+    entry.last = duration;
+    entry.lastAt = Date.now();
+
+    // Re-insert so the Map stays ordered by last measurement
+    timings.delete(label);
+    timings.set(label, entry);
+    if (timings.size > MAX_LABELS) {
+        timings.delete(timings.keys().next().value);
+    }
+    schedulePersist();
+}
+
+/**
+ * Report rows sorted by total time: [{ label, count, average, min, max, last, lastAt }] in ms
+ */
+export async function getTimingReport() {
+    await ensureLoaded();
+    return Array.from(timings, ([label, entry]) => ({
+        label,
+        count: entry.count,
+        average: entry.total / entry.count,
+        min: entry.min,
+        max: entry.max,
+        last: entry.last,
+        lastAt: entry.lastAt
+    })).sort((a, b) => b.average * b.count - a.average * a.count);
+}
+
+export async function clearTimingReport() {
+    await ensureLoaded();
+    timings.clear();
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    if (hasSessionStorage()) {
+        await chrome.storage.session.remove(STORAGE_KEY);
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * @file core/proceduralSelector.js
+ * @description Parser für prozedurale kosmetische Filter (#?#). Zerlegt einen Selektor in
+ *              eine Folge von Schritten, die content/procedural-filters.js im Dokument
+ *              ausführt. Beim Build dient derselbe Parser zur Validierung.
+ * @version 7.1.0
+ */
+
+// Operatoren, die kein Browser nativ auswertet. :has() bleibt natives CSS, solange sein
+// Argument keinen dieser Operatoren enthält. Längere Namen zuerst, damit "has" nicht
+// "has-text" verdeckt.
+export const PROCEDURAL_OPERATORS = Object.freeze([
+    'has-text',
+    'matches-css',
+    'upward',
+    'xpath',
+    'remove',
+    'has',
+]);
+
+const MAX_UPWARD_DISTANCE = 256;
+const REGEX_LITERAL = /^\/(.+)\/([imsu]*)$/;
+
+/**
+ * Escaped einen Text für die Verwendung in einem regulären Ausdruck.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wandelt das Argument von :has-text() in einen regulären Ausdruck um. "/.../flags" wird
+ * als Regex gelesen, alles andere als Teilstring (Groß-/Kleinschreibung beachtet).
+ */
+export function compileTextPattern(argument) {
+    const match = REGEX_LITERAL.exec(argument);
+    if (match) {
+        return new RegExp(match[1], match[2]);
+    }
+    return new RegExp(escapeRegExp(argument));
+}
+
+/**
+ * Wandelt den Wert von :matches-css() in einen regulären Ausdruck um. Ohne Schrägstriche
+ * muss der ganze Wert passen; "*" steht für beliebige Zeichen.
+ */
+function compileValuePattern(value) {
+    const match = REGEX_LITERAL.exec(value);
+    if (match) {
+        return new RegExp(match[1], match[2]);
+    }
+    return new RegExp(`^${value.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+/**
+ * Sucht die schließende Klammer zu der öffnenden Klammer an Position start.
+ * Escapes und (mit respectQuotes) Anführungszeichen werden übersprungen.
+ * Rückgabe: Index oder -1.
+ */
+function findClosingParen(source, start, respectQuotes) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if (respectQuotes && (char === '"' || char === "'")) {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Liefert die Länge eines Blocks in Anführungszeichen oder eckigen Klammern ab start,
+ * damit Operatoren in Attributwerten nicht als solche erkannt werden.
+ */
+function skipLiteral(source, start) {
+    const close = source[start] === '[' ? ']' : source[start];
+    for (let i = start + 1; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === close) {
+            return i + 1 - start;
+        }
+    }
+    throw new Error(`Nicht geschlossenes "${source[start]}" im Selektor`);
+}
+
+/**
+ * Enthält ein Text einen prozeduralen Operator (außer :has, das auch nativ existiert)?
+ */
+function containsProceduralOperator(text) {
+    return PROCEDURAL_OPERATORS.some(
+        (operator) => operator !== 'has' && text.includes(`:${operator}(`)
+    );
+}
+
+/**
+ * Übernimmt CSS, das nach einem Operator folgt, als eigenen Schritt: mit Kombinator als
+ * Suche relativ zum Element, sonst als Filter auf die bisherigen Treffer.
+ */
+function pushCss(tasks, css) {
+    const trimmed = css.trim();
+    if (!trimmed) return;
+    if (tasks.length === 0) {
+        tasks.push(['css', trimmed]);
+    } else if (/^\s/.test(css) || /^[>+~]/.test(trimmed)) {
+        tasks.push(['descendants', `:scope ${trimmed}`]);
+    } else {
+        tasks.push(['matches', trimmed]);
+    }
+}
+
+/**
+ * Übersetzt einen einzelnen Operator in einen Schritt.
+ */
+function compileOperator(name, argument) {
+    const value = argument.trim();
+    switch (name) {
+        case 'has-text':
+            if (!value) throw new Error(':has-text() ohne Text');
+            try {
+                return ['has-text', compileTextPattern(value)];
+            } catch (error) {
+                throw new Error(`Ungültiger regulärer Ausdruck in :has-text(): ${error.message}`);
+            }
+        case 'matches-css': {
+            const separator = value.indexOf(':');
+            const property = value.slice(0, separator).trim().toLowerCase();
+            const expected = value.slice(separator + 1).trim();
+            if (separator === -1 || !/^[a-z-]+$/.test(property) || !expected) {
+                throw new Error(':matches-css() erwartet "Eigenschaft: Wert"');
+            }
+            try {
+                return ['matches-css', { property, pattern: compileValuePattern(expected) }];
+            } catch (error) {
+                throw new Error(`Ungültiger regulärer Ausdruck in :matches-css(): ${error.message}`);
+            }
+        }
+        case 'upward':
+            if (/^\d+$/.test(value)) {
+                const distance = parseInt(value, 10);
+                if (distance < 1 || distance > MAX_UPWARD_DISTANCE) {
+                    throw new Error(`:upward() erwartet 1 bis ${MAX_UPWARD_DISTANCE} Ebenen`);
+                }
+                return ['upward', distance];
+            }
+            if (!value || containsProceduralOperator(value)) {
+                throw new Error(':upward() erwartet eine Zahl oder einen CSS-Selektor');
+            }
+            return ['upward', value];
+        case 'xpath':
+            if (!value) throw new Error(':xpath() ohne Ausdruck');
+            return ['xpath', value];
+        case 'has': {
+            const inner = parseSelector(value);
+            if (inner.action !== 'hide') {
+                throw new Error(':remove() ist innerhalb von :has() nicht erlaubt');
+            }
+            return ['has', inner.tasks];
+        }
+        default:
+            throw new Error(`Unbekannter Operator :${name}()`);
+    }
+}
+
+/**
+ * Zerlegt einen Selektor in Schritte. Wirft bei ungültiger Syntax.
+ */
+function parseSelector(source) {
+    const tasks = [];
+    let action = 'hide';
+    let css = '';
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '\\') {
+            css += source.slice(i, i + 2);
+            i += 2;
+            continue;
+        }
+        if (char === '"' || char === "'" || char === '[') {
+            const length = skipLiteral(source, i);
+            css += source.slice(i, i + length);
+            i += length;
+            continue;
+        }
+        if (action === 'remove' && char.trim()) {
+            throw new Error(':remove() muss am Ende des Selektors stehen');
+        }
+
+        const pseudo = char === ':' ? /^:([a-z-]+)\(/.exec(source.slice(i)) : null;
+        if (!pseudo) {
+            css += char;
+            i++;
+            continue;
+        }
+
+        const open = i + pseudo[0].length - 1;
+        // Der Text in :has-text() ist kein CSS, Apostrophe darin sind normale Zeichen
+        const close = findClosingParen(source, open, pseudo[1] !== 'has-text');
+        if (close === -1) {
+            throw new Error(`Nicht geschlossene Klammer in :${pseudo[1]}()`);
+        }
+        const argument = source.slice(open + 1, close);
+
+        if (!PROCEDURAL_OPERATORS.includes(pseudo[1])) {
+            // Native Pseudoklassen wie :not() oder :nth-child() bleiben CSS
+            if (containsProceduralOperator(argument)) {
+                throw new Error(`Prozedurale Operatoren in :${pseudo[1]}() werden nicht unterstützt`);
+            }
+            css += source.slice(i, close + 1);
+        } else if (pseudo[1] === 'has' && !containsProceduralOperator(argument)) {
+            css += source.slice(i, close + 1);
+        } else if (pseudo[1] === 'remove') {
+            if (argument.trim()) {
+                throw new Error(':remove() erwartet kein Argument');
+            }
+            pushCss(tasks, css);
+            css = '';
+            action = 'remove';
+        } else {
+            pushCss(tasks, css);
+            css = '';
+            tasks.push(compileOperator(pseudo[1], argument));
+        }
+        i = close + 1;
+    }
+    pushCss(tasks, css);
+
+    if (tasks.length === 0) {
+        throw new Error('Selektor wählt keine Elemente aus');
+    }
+    // Ohne einleitendes CSS gilt der Operator für alle Elemente (XPath sucht selbst)
+    if (tasks[0][0] !== 'css' && tasks[0][0] !== 'xpath') {
+        tasks.unshift(['css', '*']);
+    }
+    return { tasks, action };
+}
+
+/**
+ * Parst einen prozeduralen Selektor.
+ * Rückgabe: { isValid, tasks, action: 'hide'|'remove', isPlainCss } oder { isValid: false, error }
+ */
+export function parseProceduralSelector(selector) {
+    if (!selector || typeof selector !== 'string') {
+        return { isValid: false, error: 'Leerer Selektor' };
+    }
+    try {
+        const { tasks, action } = parseSelector(selector.trim());
+        return {
+            isValid: true,
+            tasks,
+            action,
+            isPlainCss: action === 'hide' && tasks.length === 1 && tasks[0][0] === 'css',
+        };
+    } catch (error) {
+        return { isValid: false, error: error.message };
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * @file core/redirectResources.js
+ * @description Bibliothek der lokalen Ersatzressourcen für $redirect-Filter. Die Dateien
+ *              liegen in redirects/ und sind als web_accessible_resources freigegeben.
+ * @version 7.1.0
+ */
+
+export const REDIRECT_RESOURCES_PATH = '/redirects/';
+
+// Name -> Datei und Ressourcentypen, für die der Ersatz passt. Die Typen gelten für
+// Filter ohne eigene Typ-Optionen, damit z.B. noop.js nicht Bilder ersetzt.
+export const REDIRECT_RESOURCES = Object.freeze({
+    'noop.js': { file: 'noop.js', resourceTypes: ['script'] },
+    'noop.txt': { file: 'noop.txt', resourceTypes: ['xmlhttprequest', 'other'] },
+    'noop.html': { file: 'noop.html', resourceTypes: ['sub_frame'] },
+    '1x1.gif': { file: '1x1.gif', resourceTypes: ['image'] },
+    'googletagmanager_gtm.js': { file: 'googletagmanager_gtm.js', resourceTypes: ['script'] },
+    'google-analytics_analytics.js': {
+        file: 'google-analytics_analytics.js',
+        resourceTypes: ['script'],
+    },
+});
+
+// Gebräuchliche Alternativnamen aus uBlock Origin und AdGuard
+const REDIRECT_ALIASES = Object.freeze({
+    noopjs: 'noop.js',
+    'noop-js': 'noop.js',
+    nooptext: 'noop.txt',
+    nooptxt: 'noop.txt',
+    noopframe: 'noop.html',
+    '1x1-transparent.gif': '1x1.gif',
+    '1x1-transparent-gif': '1x1.gif',
+    'googletagmanager.com/gtm.js': 'googletagmanager_gtm.js',
+    'google-analytics.com/analytics.js': 'google-analytics_analytics.js',
+    'google-analytics-ga': 'google-analytics_analytics.js',
+});
+
+/**
+ * Löst einen Ressourcennamen (ggf. mit uBO-Prioritätssuffix wie "noop.js:5") auf.
+ * Rückgabe: { name, extensionPath, resourceTypes } oder null bei unbekannter Ressource.
+ */
+export function resolveRedirectResource(name) {
+    if (!name || typeof name !== 'string') return null;
+    const baseName = name.trim().toLowerCase().replace(/:\d+$/, '');
+    const resolvedName = REDIRECT_ALIASES[baseName] || baseName;
+    const resource = REDIRECT_RESOURCES[resolvedName];
+    if (!resource) return null;
+    return {
+        name: resolvedName,
+        extensionPath: `${REDIRECT_RESOURCES_PATH}${resource.file}`,
+        resourceTypes: [...resource.resourceTypes],
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * @file core/regexValidator.js
+ * @description Prüft Regex-Filter vor dem Build auf Verträglichkeit mit declarativeNetRequest.
+ *              Chrome kompiliert regexFilter mit RE2 und lehnt in isRegexSupported sowohl
+ *              nicht unterstützte Syntax als auch zu speicherintensive Ausdrücke ab.
+ * @version 7.1.0
+ */
+
+// Gründe, mit denen ein Regex-Filter abgelehnt wird (wie isRegexSupported)
+export const REGEX_REJECTION = Object.freeze({
+    SYNTAX_ERROR: 'syntaxError',
+    UNSUPPORTED: 'unsupported',
+    MEMORY_LIMIT: 'memoryLimitExceeded',
+    REDOS_RISK: 'redosRisk',
+});
+
+// RE2 kennt weder Lookarounds noch Rückreferenzen oder atomare Gruppen.
+// Geprüft wird gegen maskLiterals(source), maskierte Zeichen stehen dort nicht mehr im Weg.
+const UNSUPPORTED_CONSTRUCTS = [
+    { pattern: /\(\?=/, name: 'Lookahead (?=' },
+    { pattern: /\(\?!/, name: 'negativer Lookahead (?!' },
+    { pattern: /\(\?<=/, name: 'Lookbehind (?<=' },
+    { pattern: /\(\?<!/, name: 'negativer Lookbehind (?<!' },
+    { pattern: /\(\?>/, name: 'atomare Gruppe (?>' },
+    { pattern: /\\[1-9]/, name: 'Rückreferenz \\1-\\9' },
+    { pattern: /\\k</, name: 'benannte Rückreferenz \\k<' },
+    { pattern: /[*+?}][+]/, name: 'possessiver Quantor' },
+];
+
+/**
+ * Ersetzt maskierte Zeichen und Zeichenklassen durch "_", damit etwa "\++" (literales Plus,
+ * dann Quantor) oder "\(?=" nicht als Konstrukt gelten. Rückreferenzen (\1-\9, \k) bleiben
+ * stehen; "]" direkt nach "[" bzw. "[^" ist wie in RE2 ein literales Zeichen.
+ */
+function maskLiterals(source) {
+    let masked = '';
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            const next = source[++i] ?? '';
+            masked += /[1-9k]/.test(next) ? `\\${next}` : '_';
+        } else if (char === '[') {
+            let end = i + 1;
+            if (source[end] === '^') end++;
+            if (source[end] === ']') end++;
+            while (end < source.length && source[end] !== ']') {
+                end += source[end] === '\\' ? 2 : 1;
+            }
+            masked += '_';
+            i = end;
+        } else {
+            masked += char;
+        }
+    }
+    return masked;
+}
+
+// Chrome begrenzt das kompilierte RE2-Programm je Regel auf 2 KB. Die Größe wird hier
+// grob in Instruktionen geschätzt; der Grenzwert liegt bewusst etwas darunter.
+const MAX_ESTIMATED_PROGRAM_SIZE = 160;
+const CHARACTER_CLASS_COST = 4;
+const ANY_CHARACTER_COST = 8;
+
+/**
+ * Schätzt die Programmgröße eines Ausdrucks; gezählte Wiederholungen ({n,m})
+ * vervielfachen das vorangehende Atom.
+ */
+function estimateProgramSize(source) {
+    let size = 0;
+    let lastAtom = 0;
+    const groupStarts = [];
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            const next = source[++i];
+            lastAtom = /[dDwWsS]/.test(next) ? CHARACTER_CLASS_COST : 1;
+            size += lastAtom;
+        } else if (char === '[') {
+            const end = source.indexOf(']', i + 2);
+            const body = end === -1 ? source.slice(i + 1) : source.slice(i + 1, end);
+            lastAtom = 2 + body.length;
+            size += lastAtom;
+            i = end === -1 ? source.length : end;
+        } else if (char === '.') {
+            lastAtom = ANY_CHARACTER_COST;
+            size += lastAtom;
+        } else if (char === '(') {
+            groupStarts.push(size);
+            lastAtom = 0;
+        } else if (char === ')') {
+            const start = groupStarts.pop() ?? 0;
+            lastAtom = size - start + 2;
+            size += 2;
+        } else if (char === '{') {
+            const match = /^\{(\d+)(?:,(\d*))?\}/.exec(source.slice(i));
+            if (match) {
+                // {n} und {n,m} wiederholen das Atom n bzw. m Mal, {n,} wie {n} plus Schleife
+                const min = parseInt(match[1], 10);
+                const repeat = match[2] ? parseInt(match[2], 10) : min + (match[2] === '' ? 1 : 0);
+                size += lastAtom * Math.max(repeat - 1, 0);
+                i += match[0].length - 1;
+            } else {
+                lastAtom = 1;
+                size += 1;
+            }
+        } else if ('*+?|^$'.includes(char)) {
+            size += 1;
+        } else {
+            lastAtom = 1;
+            size += 1;
+        }
+    }
+    return size;
+}
+
+/**
+ * Erkennt verschachtelte Quantoren wie (a+)+ oder (.*)*, die in Backtracking-Engines
+ * (etwa beim Testen im Browser) exponentiell laufen können.
+ */
+function hasNestedQuantifier(source) {
+    return /\((?:[^()\\]|\\.)*[*+](?:[^()\\]|\\.)*\)(?:[*+]|\{\d+,\d*\})/.test(source);
+}
+
+/**
+ * Prüft einen Regex-Filter (ohne umschließende Schrägstriche).
+ * Rückgabe: { isValid: true } oder { isValid: false, reason, error }
+ */
+export function validateRegexFilter(source) {
+    if (!source || typeof source !== 'string') {
+        return {
+            isValid: false,
+            reason: REGEX_REJECTION.SYNTAX_ERROR,
+            error: 'Leerer regulärer Ausdruck',
+        };
+    }
+
+    const structure = maskLiterals(source);
+    for (const construct of UNSUPPORTED_CONSTRUCTS) {
+        if (construct.pattern.test(structure)) {
+            return {
+                isValid: false,
+                reason: REGEX_REJECTION.UNSUPPORTED,
+                error: `RE2 unterstützt keine(n) ${construct.name}`,
+            };
+        }
+    }
+
+    try {
+        new RegExp(source);
+    } catch (error) {
+        return {
+            isValid: false,
+            reason: REGEX_REJECTION.SYNTAX_ERROR,
+            error: `Ungültiger regulärer Ausdruck: ${error.message}`,
+        };
+    }
+
+    if (hasNestedQuantifier(source)) {
+        return {
+            isValid: false,
+            reason: REGEX_REJECTION.REDOS_RISK,
+            error: 'Verschachtelte Quantoren (ReDoS-Risiko)',
+        };
+    }
+
+    const estimatedSize = estimateProgramSize(source);
+    if (estimatedSize > MAX_ESTIMATED_PROGRAM_SIZE) {
+        return {
+            isValid: false,
+            reason: REGEX_REJECTION.MEMORY_LIMIT,
+            error: `Ausdruck voraussichtlich zu groß für das Speicherlimit (${estimatedSize} > ${MAX_ESTIMATED_PROGRAM_SIZE})`,
+        };
+    }
+
+    return { isValid: true };
+}
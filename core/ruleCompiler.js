@@ -0,0 +1,349 @@
+/**
+ * @file core/ruleCompiler.js
+ * @description Übersetzt geparste Filterregeln in declarativeNetRequest-Regeln.
+ * @version 7.1.0
+ */
+
+import { RULE_CONFIG } from './config.js';
+import { validateRegexFilter } from './regexValidator.js';
+import { resolveRedirectResource } from './redirectResources.js';
+
+// ABP-Ressourcentypen und ihre Entsprechung in declarativeNetRequest
+export const RESOURCE_TYPE_MAP = Object.freeze({
+    script: 'script',
+    image: 'image',
+    stylesheet: 'stylesheet',
+    object: 'object',
+    xmlhttprequest: 'xmlhttprequest',
+    subdocument: 'sub_frame',
+    document: 'main_frame',
+    websocket: 'websocket',
+    ping: 'ping',
+    font: 'font',
+    media: 'media',
+    other: 'other',
+});
+
+// Ressourcentypen für Regeln ohne eigene Typ-Optionen
+export const DEFAULT_RESOURCE_TYPES = Object.freeze([
+    'main_frame',
+    'sub_frame',
+    'script',
+    'image',
+    'stylesheet',
+    'object',
+    'xmlhttprequest',
+    'ping',
+    'media',
+    'websocket',
+    'other',
+]);
+
+// allowAllRequests ist nur für Frame-Anfragen zulässig
+const DOCUMENT_RESOURCE_TYPES = Object.freeze(['main_frame', 'sub_frame']);
+
+// Optionen ohne Gegenstück in declarativeNetRequest - solche Regeln werden verworfen,
+// statt sie mit geänderter Bedeutung zu übernehmen.
+const UNSUPPORTED_OPTIONS = new Set(['webrtc', 'popup', 'sitekey', 'donottrack']);
+
+// Optionen, die die Aktion statt der Bedingung bestimmen
+const REDIRECT_OPTION_TYPES = new Set(['redirect', 'redirect-rule']);
+const ACTION_OPTION_TYPES = new Set([...REDIRECT_OPTION_TYPES, 'removeparam']);
+
+// $removeparam gilt ohne eigene Typ-Optionen nur für Seitenaufrufe
+const REMOVEPARAM_RESOURCE_TYPES = Object.freeze(['main_frame', 'sub_frame']);
+
+/**
+ * Baut aus den geparsten Optionen einer Regel die DNR-Bedingung.
+ * defaultResourceTypes gilt für Regeln ohne eigene Typ-Optionen.
+ */
+export function buildRuleCondition(parsedRule, defaultResourceTypes = DEFAULT_RESOURCE_TYPES) {
+    const condition = {};
+    if (parsedRule.patternType === 'any') {
+        // Regel ohne Muster - gilt für alle URLs
+    } else if (parsedRule.patternType === 'regex') {
+        const regexFilter = parsedRule.pattern.slice(1, -1);
+        const regexValidation = validateRegexFilter(regexFilter);
+        if (!regexValidation.isValid) {
+            return {
+                isValid: false,
+                error: `Regex nicht unterstützt: ${regexValidation.error}`,
+                regexRejection: regexValidation.reason,
+            };
+        }
+        condition.regexFilter = regexFilter;
+    } else {
+        condition.urlFilter = parsedRule.pattern;
+    }
+    const includedTypes = [];
+    const excludedTypes = [];
+    const initiatorDomains = [];
+    const excludedInitiatorDomains = [];
+
+    for (const option of parsedRule.options || []) {
+        if (option.type === 'domain') {
+            if (option.negated) {
+                return { isValid: false, error: 'Negierte domain-Option ist ungültig' };
+            }
+            for (const domain of option.value.split('|')) {
+                if (domain.startsWith('~')) {
+                    excludedInitiatorDomains.push(domain.slice(1));
+                } else if (domain) {
+                    initiatorDomains.push(domain);
+                }
+            }
+            continue;
+        }
+        if (ACTION_OPTION_TYPES.has(option.type)) {
+            continue;
+        }
+
+        const value = option.value;
+        if (UNSUPPORTED_OPTIONS.has(value)) {
+            return {
+                isValid: false,
+                error: `Nicht unterstützte Option: ${value}`,
+                unsupportedOption: value,
+            };
+        }
+        if (value === 'third-party') {
+            condition.domainType = option.negated ? 'firstParty' : 'thirdParty';
+        } else if (RESOURCE_TYPE_MAP[value]) {
+            (option.negated ? excludedTypes : includedTypes).push(RESOURCE_TYPE_MAP[value]);
+        }
+    }
+
+    if (includedTypes.length > 0) {
+        const resourceTypes = [...new Set(includedTypes)].filter(
+            (type) => !excludedTypes.includes(type)
+        );
+        if (resourceTypes.length === 0) {
+            return { isValid: false, error: 'Nach Ausschlüssen bleiben keine Ressourcentypen übrig' };
+        }
+        condition.resourceTypes = resourceTypes;
+    } else if (excludedTypes.length > 0) {
+        condition.excludedResourceTypes = [...new Set(excludedTypes)];
+    } else {
+        condition.resourceTypes = [...defaultResourceTypes];
+    }
+
+    if (hasOption(parsedRule, 'match-case')) {
+        condition.isUrlFilterCaseSensitive = true;
+    }
+
+    if (initiatorDomains.length > 0) {
+        condition.initiatorDomains = [...new Set(initiatorDomains)];
+    }
+    if (excludedInitiatorDomains.length > 0) {
+        condition.excludedInitiatorDomains = [...new Set(excludedInitiatorDomains)];
+    }
+
+    return { isValid: true, condition };
+}
+
+/**
+ * Prüft, ob eine Regel die (nicht negierte) Option trägt.
+ */
+function hasOption(parsedRule, value) {
+    return (parsedRule.options || []).some(
+        (option) => option.type === 'filter' && option.value === value && !option.negated
+    );
+}
+
+/**
+ * Prüft, ob eine Regel per $badfilter eine andere Regel aufhebt.
+ */
+export function isBadfilter(parsedRule) {
+    return hasOption(parsedRule, 'badfilter');
+}
+
+/**
+ * Normalisierter Schlüssel einer Regel (Optionen sortiert, ohne $badfilter).
+ * Eine $badfilter-Regel hebt genau die Regel mit demselben Schlüssel auf.
+ */
+export function getRuleKey(parsedRule) {
+    const options = (parsedRule.options || [])
+        .filter((option) => !(option.type === 'filter' && option.value === 'badfilter'))
+        .map((option) => {
+            const prefix = option.negated ? '~' : '';
+            return option.type === 'filter'
+                ? `${prefix}${option.value}`
+                : `${prefix}${option.type}=${option.value}`;
+        })
+        .sort();
+    const base = `${parsedRule.isException ? '@@' : ''}${parsedRule.pattern}`;
+    return options.length > 0 ? `${base}$${options.join(',')}` : base;
+}
+
+/**
+ * Löst die $redirect- bzw. $redirect-rule-Option einer Regel auf.
+ * Rückgabe: { isValid, resource } mit resource = null für Regeln ohne Redirect.
+ */
+function resolveRedirect(parsedRule) {
+    const option = (parsedRule.options || []).find((entry) => REDIRECT_OPTION_TYPES.has(entry.type));
+    if (!option) {
+        return { isValid: true, resource: null };
+    }
+    // @@...$redirect schaltet in uBO nur Umleitungen ab - dafür gibt es keine DNR-Entsprechung
+    if (parsedRule.isException) {
+        return { isValid: false, error: `Ausnahmen für $${option.type} werden nicht unterstützt` };
+    }
+    const resource = resolveRedirectResource(option.value);
+    if (!resource) {
+        return { isValid: false, error: `Unbekannte Redirect-Ressource: ${option.value}` };
+    }
+    return { isValid: true, resource };
+}
+
+/**
+ * Übersetzt $removeparam-Optionen in eine URL-Transformation.
+ * Rückgabe: { isValid, transform } mit transform = null für Regeln ohne $removeparam.
+ */
+function resolveRemoveparam(parsedRule) {
+    const parameters = (parsedRule.options || [])
+        .filter((option) => option.type === 'removeparam')
+        .map((option) => option.value);
+    if (parameters.length === 0) {
+        return { isValid: true, transform: null };
+    }
+    if (parsedRule.isException) {
+        return { isValid: false, error: 'Ausnahmen für $removeparam werden nicht unterstützt' };
+    }
+    // queryTransform kennt nur exakte Parameternamen
+    const regexParameter = parameters.find((parameter) => parameter.startsWith('/'));
+    if (regexParameter) {
+        return {
+            isValid: false,
+            error: `Regex in $removeparam wird nicht unterstützt: ${regexParameter}`,
+            unsupportedOption: 'removeparam',
+        };
+    }
+    // Ein leeres $removeparam entfernt die gesamte Query
+    if (parameters.includes('')) {
+        return { isValid: true, transform: { query: '' } };
+    }
+    return {
+        isValid: true,
+        transform: { queryTransform: { removeParams: [...new Set(parameters)] } },
+    };
+}
+
+/**
+ * Bestimmt Aktion und Priorität einer Regel.
+ * @@-Regeln werden zu allow-Regeln, @@...$document zu allowAllRequests für den ganzen Frame.
+ * $redirect-rule leitet in uBO nur sonst blockierte Anfragen um; declarativeNetRequest kennt
+ * keine solche Bedingung, daher wird es wie $redirect umgesetzt.
+ */
+function buildRuleAction(parsedRule, condition, redirectResource, transform) {
+    if (transform) {
+        return {
+            priority: RULE_CONFIG.STATIC_PRIORITIES.REMOVEPARAM,
+            action: {
+                type: RULE_CONFIG.ACTIONS.REDIRECT,
+                redirect: { transform },
+            },
+        };
+    }
+    if (redirectResource) {
+        return {
+            priority: hasOption(parsedRule, 'important')
+                ? RULE_CONFIG.STATIC_PRIORITIES.IMPORTANT
+                : RULE_CONFIG.STATIC_PRIORITIES.REDIRECT,
+            action: {
+                type: RULE_CONFIG.ACTIONS.REDIRECT,
+                redirect: { extensionPath: redirectResource.extensionPath },
+            },
+        };
+    }
+    if (!parsedRule.isException) {
+        return {
+            priority: hasOption(parsedRule, 'important')
+                ? RULE_CONFIG.STATIC_PRIORITIES.IMPORTANT
+                : RULE_CONFIG.STATIC_PRIORITIES.BLOCK,
+            action: { type: RULE_CONFIG.ACTIONS.BLOCK },
+        };
+    }
+    if (hasOption(parsedRule, 'document')) {
+        delete condition.excludedResourceTypes;
+        condition.resourceTypes = [...DOCUMENT_RESOURCE_TYPES];
+        return {
+            priority: RULE_CONFIG.STATIC_PRIORITIES.ALLOW,
+            action: { type: RULE_CONFIG.ACTIONS.ALLOW_ALL_REQUESTS },
+        };
+    }
+    return {
+        priority: RULE_CONFIG.STATIC_PRIORITIES.ALLOW,
+        action: { type: RULE_CONFIG.ACTIONS.ALLOW },
+    };
+}
+
+/**
+ * Gleicht die Typen einer Redirect-Regel mit den Typen der Ersatzressource ab, damit etwa
+ * $image,redirect=noop.js kein Bild durch ein Skript ersetzt. Ausgeschlossene Typen
+ * ($~image) werden auf die Typen der Ressource eingeschränkt.
+ * Rückgabe: { isValid, error }
+ */
+function restrictToRedirectTypes(condition, resource) {
+    if (condition.excludedResourceTypes) {
+        const excluded = condition.excludedResourceTypes;
+        delete condition.excludedResourceTypes;
+        condition.resourceTypes = resource.resourceTypes.filter((type) => !excluded.includes(type));
+    }
+    const mismatched = condition.resourceTypes.filter((type) => !resource.resourceTypes.includes(type));
+    if (mismatched.length > 0 || condition.resourceTypes.length === 0) {
+        return {
+            isValid: false,
+            error: `Redirect-Ressource ${resource.name} passt nicht zu Typ ${mismatched.join(', ') || '(keiner)'} (erlaubt: ${resource.resourceTypes.join(', ')})`,
+        };
+    }
+    return { isValid: true };
+}
+
+/**
+ * Erzeugt aus einer geparsten Netzwerkregel eine vollständige DNR-Regel.
+ */
+export function convertToDNRRule(parsedRule, id) {
+    const redirect = resolveRedirect(parsedRule);
+    if (!redirect.isValid) {
+        return redirect;
+    }
+    const removeparam = resolveRemoveparam(parsedRule);
+    if (!removeparam.isValid) {
+        return removeparam;
+    }
+    if (redirect.resource && removeparam.transform) {
+        return { isValid: false, error: '$redirect und $removeparam schließen sich aus' };
+    }
+
+    let defaultResourceTypes = DEFAULT_RESOURCE_TYPES;
+    if (redirect.resource) {
+        defaultResourceTypes = redirect.resource.resourceTypes;
+    } else if (removeparam.transform) {
+        defaultResourceTypes = REMOVEPARAM_RESOURCE_TYPES;
+    }
+    const conditionResult = buildRuleCondition(parsedRule, defaultResourceTypes);
+    if (!conditionResult.isValid) {
+        return conditionResult;
+    }
+    if (redirect.resource) {
+        const typeCheck = restrictToRedirectTypes(conditionResult.condition, redirect.resource);
+        if (!typeCheck.isValid) {
+            return typeCheck;
+        }
+    }
+    const { priority, action } = buildRuleAction(
+        parsedRule,
+        conditionResult.condition,
+        redirect.resource,
+        removeparam.transform
+    );
+    return {
+        isValid: true,
+        rule: {
+            id,
+            priority,
+            action,
+            condition: conditionResult.condition,
+        },
+    };
+}
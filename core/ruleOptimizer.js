@@ -0,0 +1,233 @@
+/**
+ * @file core/ruleOptimizer.js
+ * @description Optimierungsdurchlauf für kompilierte DNR-Regeln: entfernt doppelte und
+ *              durch breitere Domain-Anker abgedeckte Regeln und fasst reine Domain-Regeln
+ *              mit gleichen Optionen zu einer Regel mit requestDomains zusammen. $removeparam-
+ *              Regeln mit gleicher Bedingung werden zu einer Regel mit mehreren Parametern.
+ * @version 7.1.0
+ */
+
+// Nur "||domain^" ist gleichbedeutend mit requestDomains (Domain samt Subdomains)
+const DOMAIN_ANCHOR = /^\|\|([a-z0-9.-]+)\^$/;
+
+/**
+ * Liefert die Domain einer reinen Domain-Anker-Regel oder null.
+ */
+function getAnchoredDomain(rule) {
+    const { urlFilter, regexFilter } = rule.condition;
+    if (regexFilter || typeof urlFilter !== 'string') return null;
+    const match = DOMAIN_ANCHOR.exec(urlFilter.toLowerCase());
+    return match ? match[1] : null;
+}
+
+/**
+ * Stabiler Vergleichsschlüssel für Aktion, Priorität und Bedingung einer Regel.
+ * Die in omit genannten Bedingungsfelder werden ignoriert.
+ */
+function getConditionKey(rule, omit = []) {
+    const condition = {};
+    for (const key of Object.keys(rule.condition).sort()) {
+        if (omit.includes(key)) continue;
+        const value = rule.condition[key];
+        condition[key] = Array.isArray(value) ? [...value].sort() : value;
+    }
+    return JSON.stringify([rule.priority, rule.action, condition]);
+}
+
+/**
+ * Prüft, ob die Ressourcentypen von parent die von child vollständig abdecken.
+ * Fehlende resourceTypes bedeuten "alle Typen".
+ */
+function coversResourceTypes(parent, child) {
+    const parentTypes = parent.condition.resourceTypes;
+    const childTypes = child.condition.resourceTypes;
+    if (!parentTypes) return true;
+    if (!childTypes) return false;
+    return childTypes.every((type) => parentTypes.includes(type));
+}
+
+/**
+ * Übergeordnete Domains (ad.g.doubleclick.net -> g.doubleclick.net, doubleclick.net).
+ */
+function getParentDomains(domain) {
+    const parts = domain.split('.');
+    const parents = [];
+    for (let i = 1; i < parts.length - 1; i++) {
+        parents.push(parts.slice(i).join('.'));
+    }
+    return parents;
+}
+
+/**
+ * Liefert die removeParams einer reinen $removeparam-Regel oder null.
+ */
+function getRemoveParams(rule) {
+    return rule.action.redirect?.transform?.queryTransform?.removeParams || null;
+}
+
+/**
+ * Optimiert eine Liste von Einträgen { rule, text } (Regel-IDs werden danach vergeben).
+ *
+ * Rückgabe: { entries, removed: [{ type, text, reason }], duplicates, subsumed, merged }
+ * type ist 'duplicate', 'subsumed' oder 'merged'.
+ */
+export function optimizeRules(entries) {
+    const removed = [];
+    const result = { duplicates: 0, subsumed: 0, merged: 0 };
+
+    // 1. Exakte Duplikate (gleiche Aktion, Priorität und Bedingung)
+    const seen = new Map();
+    let remaining = entries.filter((entry) => {
+        const key = getConditionKey(entry.rule);
+        if (seen.has(key)) {
+            removed.push({
+                type: 'duplicate',
+                text: entry.text,
+                reason: `Duplikat von ${seen.get(key).text}`,
+            });
+            result.duplicates++;
+            return false;
+        }
+        seen.set(key, entry);
+        return true;
+    });
+
+    // 2. Durch breitere Domain-Anker mit verträglichen Optionen abgedeckte Regeln
+    const anchorsByOptions = new Map();
+    for (const entry of remaining) {
+        const domain = getAnchoredDomain(entry.rule);
+        if (!domain) continue;
+        const optionsKey = getConditionKey(entry.rule, ['urlFilter', 'resourceTypes']);
+        if (!anchorsByOptions.has(optionsKey)) {
+            anchorsByOptions.set(optionsKey, new Map());
+        }
+        const byDomain = anchorsByOptions.get(optionsKey);
+        if (!byDomain.has(domain)) {
+            byDomain.set(domain, []);
+        }
+        byDomain.get(domain).push(entry);
+    }
+
+    remaining = remaining.filter((entry) => {
+        const domain = getAnchoredDomain(entry.rule);
+        if (!domain) return true;
+        const byDomain = anchorsByOptions.get(
+            getConditionKey(entry.rule, ['urlFilter', 'resourceTypes'])
+        );
+        for (const parentDomain of getParentDomains(domain)) {
+            const parent = (byDomain.get(parentDomain) || []).find((candidate) =>
+                coversResourceTypes(candidate.rule, entry.rule)
+            );
+            if (parent) {
+                removed.push({
+                    type: 'subsumed',
+                    text: entry.text,
+                    reason: `Abgedeckt durch ${parent.text}`,
+                });
+                result.subsumed++;
+                return false;
+            }
+        }
+        return true;
+    });
+
+    // 3. Reine Domain-Regeln mit identischen Optionen zu requestDomains zusammenfassen
+    const groups = new Map();
+    for (const entry of remaining) {
+        if (!getAnchoredDomain(entry.rule)) continue;
+        const key = getConditionKey(entry.rule, ['urlFilter', 'isUrlFilterCaseSensitive']);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(entry);
+    }
+
+    const mergedInto = new Map();
+    for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        const [first] = group;
+        const condition = { ...first.rule.condition };
+        delete condition.urlFilter;
+        delete condition.isUrlFilterCaseSensitive;
+        const merged = {
+            rule: {
+                ...first.rule,
+                condition: {
+                    requestDomains: group.map((entry) => getAnchoredDomain(entry.rule)),
+                    ...condition,
+                },
+            },
+            text: group.map((entry) => entry.text).join(', '),
+        };
+        mergedInto.set(first, merged);
+        for (const entry of group.slice(1)) {
+            mergedInto.set(entry, null);
+            removed.push({
+                type: 'merged',
+                text: entry.text,
+                reason: `Zusammengefasst mit ${first.text}`,
+            });
+            result.merged++;
+        }
+    }
+
+    remaining = remaining
+        .map((entry) => (mergedInto.has(entry) ? mergedInto.get(entry) : entry))
+        .filter(Boolean);
+
+    // 4. $removeparam-Regeln mit gleicher Bedingung zu einer removeParams-Liste zusammenfassen
+    const parameterGroups = new Map();
+    for (const entry of remaining) {
+        const removeParams = getRemoveParams(entry.rule);
+        if (!removeParams) continue;
+        const key = getConditionKey({ ...entry.rule, action: { type: entry.rule.action.type } });
+        if (!parameterGroups.has(key)) {
+            parameterGroups.set(key, []);
+        }
+        parameterGroups.get(key).push(entry);
+    }
+
+    const parametersMergedInto = new Map();
+    for (const group of parameterGroups.values()) {
+        if (group.length < 2) continue;
+        const [first] = group;
+        const removeParams = [...new Set(group.flatMap((entry) => getRemoveParams(entry.rule)))];
+        parametersMergedInto.set(first, {
+            rule: {
+                ...first.rule,
+                action: {
+                    ...first.rule.action,
+                    redirect: { transform: { queryTransform: { removeParams } } },
+                },
+            },
+            text: group.map((entry) => entry.text).join(', '),
+        });
+        for (const entry of group.slice(1)) {
+            parametersMergedInto.set(entry, null);
+            removed.push({
+                type: 'merged',
+                text: entry.text,
+                reason: `Zusammengefasst mit ${first.text}`,
+            });
+            result.merged++;
+        }
+    }
+
+    remaining = remaining
+        .map((entry) => (parametersMergedInto.has(entry) ? parametersMergedInto.get(entry) : entry))
+        .filter(Boolean);
+
+    return { entries: remaining, removed, ...result };
+}
+
+/**
+ * Anzahl der Filter einer Regelliste - zusammengefasste Regeln zählen je Domain
+ * bzw. je entferntem Parameter.
+ */
+export function countFilters(rules) {
+    return rules.reduce((sum, rule) => {
+        const domains = rule.condition?.requestDomains?.length || 1;
+        const parameters = rule.action ? getRemoveParams(rule)?.length || 1 : 1;
+        return sum + domains * parameters;
+    }, 0);
+}
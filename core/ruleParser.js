@@ -5,10 +5,14 @@
 
  */
 
+import { parseProceduralSelector } from './proceduralSelector.js';
+import { getScriptletKey, parseScriptletCall } from './scriptlets.js';
+
 // Regeltyp-Konstanten
 export const RULE_TYPES = {
     NETWORK: 'network',
     COMMENT: 'comment',
+    COSMETIC: 'cosmetic',
     INVALID: 'invalid',
 };
 
@@ -18,8 +22,13 @@ const URL_PATTERN_VALIDATORS = {
     URL_CHARS:
         "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.-_~:/?#[]@!$&'()*+,;=%",
     WILDCARD_CHARS: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789._-*/',
+    RESOURCE_NAME_CHARS: 'abcdefghijklmnopqrstuvwxyz0123456789._-:/',
+    PARAMETER_CHARS: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789._-[]/^|()*+?\\',
 };
 
+// Zeichen, an denen der Domain-Teil eines ||-Musters endet
+const DOMAIN_ANCHOR_TERMINATORS = '/^*:?|';
+
 /**
  * SICHERHEIT: Sichere Zeichenvalidierung ohne Regex zur Vermeidung von ReDoS-Angriffen.
  */
@@ -77,13 +86,32 @@ function safeURLPatternMatch(pattern) {
     if (pattern.length > 500) {
         return { success: false, error: 'Muster überschreitet die maximale Länge (500)' };
     }
+    // Regex-Filter werden beim Kompilieren gegen die RE2-Einschränkungen geprüft
+    if (isRegexPattern(pattern)) {
+        return { success: true, result: [pattern], type: 'regex' };
+    }
     if (pattern.startsWith('||')) {
-        const endCaret = pattern.endsWith('^');
-        const domain = endCaret ? pattern.slice(2, -1) : pattern.slice(2);
+        // ||domain^ oder ||domain/pfad - nur der Domain-Teil wird als Domain geprüft
+        let domainEnd = 2;
+        while (domainEnd < pattern.length && !DOMAIN_ANCHOR_TERMINATORS.includes(pattern[domainEnd])) {
+            domainEnd++;
+        }
+        const domain = pattern.slice(2, domainEnd);
         const domainValidation = safeDomainValidation(domain);
         if (!domainValidation.success) {
             return domainValidation;
         }
+        const rest = pattern.slice(domainEnd);
+        if (rest) {
+            const restValidation = validateStringChars(
+                rest,
+                URL_PATTERN_VALIDATORS.URL_CHARS + '^|',
+                500
+            );
+            if (!restValidation.success) {
+                return restValidation;
+            }
+        }
         return { success: true, result: [pattern, domain], type: 'domain_anchor' };
     }
     if (pattern.startsWith('|') && !pattern.startsWith('||')) {
@@ -103,6 +131,42 @@ function safeURLPatternMatch(pattern) {
     return { success: true, result: [pattern], type: 'wildcard' };
 }
 
+/**
+ * Erkennt Regex-Filter (/.../). Muster wie /banner-ad/ ohne Regex-Metazeichen
+ * bleiben einfache URL-Filter.
+ */
+export function isRegexPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length < 3) return false;
+    if (!pattern.startsWith('/') || !pattern.endsWith('/')) return false;
+    return /[\\^$*+?()[\]{}|]/.test(pattern.slice(1, -1));
+}
+
+/**
+ * Trennt eine Regel in Muster und Optionen. Bei Regex-Filtern endet das Muster am
+ * ersten nicht maskierten "/$", damit "$" im Ausdruck nicht als Optionsbeginn gilt.
+ */
+function splitPatternAndOptions(rule) {
+    if (rule.startsWith('/')) {
+        for (let i = 1; i < rule.length - 1; i++) {
+            if (rule[i] === '/' && rule[i + 1] === '$' && rule[i - 1] !== '\\') {
+                const pattern = rule.slice(0, i + 1);
+                if (isRegexPattern(pattern)) {
+                    return { pattern, options: rule.slice(i + 2) };
+                }
+                break;
+            }
+        }
+        if (isRegexPattern(rule)) {
+            return { pattern: rule, options: '' };
+        }
+    }
+    const dollarIndex = rule.lastIndexOf('$');
+    if (dollarIndex !== -1 && dollarIndex < rule.length - 1) {
+        return { pattern: rule.slice(0, dollarIndex), options: rule.slice(dollarIndex + 1) };
+    }
+    return { pattern: rule, options: '' };
+}
+
 /**
  * SICHERHEIT: Erkennt URL-codierte Angriffsvektoren.
  */
@@ -142,6 +206,7 @@ const VALID_OPTIONS = new Set([
     'match-case',
     'donottrack',
     'important',
+    'badfilter',
     'sitekey',
     'ping',
     'font',
@@ -152,7 +217,7 @@ const VALID_OPTIONS = new Set([
 /**
  * Verbesserte Domain-Säuberung mit strengerer Validierung.
  */
-async function sanitizeDomain(domain) {
+function sanitizeDomain(domain) {
     if (!domain || typeof domain !== 'string') {
         return { isValid: false, error: 'Domain muss ein nicht leerer String sein' };
     }
@@ -182,6 +247,13 @@ async function sanitizeDomain(domain) {
  * Verbesserte Validierung von URL-Filtermustern mit ReDoS-Schutz.
  */
 export async function validateURLPattern(pattern) {
+    return checkURLPattern(pattern);
+}
+
+/**
+ * Synchroner Kern von validateURLPattern.
+ */
+function checkURLPattern(pattern) {
     if (!pattern || typeof pattern !== 'string') {
         return { isValid: false, error: 'Muster muss ein nicht leerer String sein' };
     }
@@ -286,7 +358,7 @@ export async function validateURLPattern(pattern) {
         return { isValid: false, error: patternResult.error };
     }
     if (patternResult.type === 'domain_anchor') {
-        const domainResult = await sanitizeDomain(patternResult.result[1]);
+        const domainResult = sanitizeDomain(patternResult.result[1]);
         if (!domainResult.isValid) {
             return { isValid: false, error: domainResult.error };
         }
@@ -299,12 +371,39 @@ export async function validateURLPattern(pattern) {
  * Validiert Filteroptionen (z.B. $script,third-party).
  */
 export async function validateFilterOptions(options) {
+    return checkFilterOptions(options);
+}
+
+// Optionen, deren Wert die Groß-/Kleinschreibung behält
+const CASE_SENSITIVE_OPTION_VALUES = new Set(['removeparam']);
+
+/**
+ * Normalisiert eine Option auf Kleinschreibung - außer den Werten von Optionen, die wie
+ * $removeparam exakt verglichen werden (DNR unterscheidet Parameternamen nach Schreibweise).
+ */
+function normalizeOption(option) {
+    const trimmed = option.trim();
+    const separator = trimmed.indexOf('=');
+    if (separator === -1) {
+        return trimmed.toLowerCase();
+    }
+    const name = trimmed.slice(0, separator).toLowerCase();
+    const value = trimmed.slice(separator + 1);
+    const baseName = name.startsWith('~') ? name.slice(1) : name;
+    return `${name}=${CASE_SENSITIVE_OPTION_VALUES.has(baseName) ? value : value.toLowerCase()}`;
+}
+
+/**
+ * Synchroner Kern von validateFilterOptions.
+ */
+function checkFilterOptions(options) {
     if (!options) {
         return { isValid: true, parsedOptions: [] };
     }
-    const optionList = options.split(',').map((opt) => opt.trim().toLowerCase());
+    const optionList = options.split(',').map(normalizeOption);
     const parsedOptions = [];
     const errors = [];
+    const unknownOptions = [];
     for (const option of optionList) {
         const isNegated = option.startsWith('~');
         const baseOption = isNegated ? option.slice(1) : option;
@@ -322,16 +421,46 @@ export async function validateFilterOptions(options) {
                 }
             }
             parsedOptions.push({ type: 'domain', value: baseOption.slice(7), negated: isNegated });
+        } else if (baseOption === 'removeparam' || baseOption.startsWith('removeparam=')) {
+            // Leerer Wert entfernt die komplette Query
+            const parameter = baseOption.slice('removeparam='.length);
+            const validation = parameter
+                ? validateStringChars(parameter, URL_PATTERN_VALIDATORS.PARAMETER_CHARS, 100)
+                : { success: true };
+            if (isNegated || !validation.success) {
+                errors.push(`Ungültiger Parameter für removeparam: ${parameter}`);
+            } else {
+                parsedOptions.push({ type: 'removeparam', value: parameter, negated: false });
+            }
+        } else if (baseOption.startsWith('redirect=') || baseOption.startsWith('redirect-rule=')) {
+            const separator = baseOption.indexOf('=');
+            const resource = baseOption.slice(separator + 1);
+            const validation = validateStringChars(
+                resource,
+                URL_PATTERN_VALIDATORS.RESOURCE_NAME_CHARS,
+                100
+            );
+            if (isNegated || !validation.success) {
+                errors.push(`Ungültige Redirect-Ressource: ${resource}`);
+            } else {
+                parsedOptions.push({
+                    type: baseOption.slice(0, separator),
+                    value: resource,
+                    negated: false,
+                });
+            }
         } else if (VALID_OPTIONS.has(baseOption)) {
             parsedOptions.push({ type: 'filter', value: baseOption, negated: isNegated });
         } else {
             errors.push(`Unbekannte Filteroption: ${baseOption}`);
+            unknownOptions.push(baseOption);
         }
     }
     return {
         isValid: errors.length === 0,
         parsedOptions,
         errors,
+        unknownOptions,
     };
 }
 
@@ -339,66 +468,183 @@ export async function validateFilterOptions(options) {
  * Verbesserter Regelparser mit umfassender Validierung.
  */
 export async function parseRule(rule) {
+    const result = analyzeRule(rule);
+    return result.type === RULE_TYPES.NETWORK ? result.parsed : null;
+}
+
+/**
+ * Ordnet eine Zeile synchron einem Regeltyp zu und liefert bei Netzwerkregeln das
+ * Parse-Ergebnis, bei ungültigen Regeln den Ablehnungsgrund.
+ * Rückgabe: { type, parsed?, error?, unknownOptions? }
+ */
+export function analyzeRule(rule) {
     if (!rule || typeof rule !== 'string') {
-        return null;
+        return { type: RULE_TYPES.COMMENT };
     }
     const normalizedRule = rule.trim();
     if (normalizedRule.length === 0) {
-        return null;
+        return { type: RULE_TYPES.COMMENT };
     }
     if (normalizedRule.startsWith('!') || normalizedRule.startsWith('[')) {
-        return null;
+        return { type: RULE_TYPES.COMMENT };
     }
-    // Kosmetische Filter werden nicht mehr unterstützt.
-    if (
-        normalizedRule.includes('##') ||
-        normalizedRule.includes('#@#') ||
-        normalizedRule.includes('#?#')
-    ) {
-        return null;
+    // Kosmetische Filter werden getrennt von den Netzwerkregeln kompiliert.
+    if (COSMETIC_SEPARATORS.some((separator) => normalizedRule.includes(separator))) {
+        return parseCosmeticRule(normalizedRule);
+    }
+    // Hosts-Datei-Kommentare ("# ...")
+    if (normalizedRule.startsWith('#')) {
+        return { type: RULE_TYPES.COMMENT };
     }
 
     try {
-        return await parseNetworkRule(normalizedRule);
+        return parseNetworkRule(normalizedRule);
     } catch (error) {
+        return { type: RULE_TYPES.INVALID, error: `Parse-Fehler: ${error.message}` };
+    }
+}
+
+// Trennzeichen kosmetischer Filter - bei gleicher Position gewinnt das längere
+const COSMETIC_SEPARATORS = ['#@?#', '#@#', '#?#', '##'];
+
+/**
+ * Parst kosmetische Filter (example.com##.ad, ~example.org#@#.banner, example.com#?#...).
+ * kind ist 'hide' für einfache CSS-Selektoren, 'procedural' oder 'scriptlet'.
+ */
+function parseCosmeticRule(rule) {
+    let index = -1;
+    let separator = null;
+    for (const candidate of COSMETIC_SEPARATORS) {
+        const candidateIndex = rule.indexOf(candidate);
+        if (candidateIndex !== -1 && (index === -1 || candidateIndex < index)) {
+            index = candidateIndex;
+            separator = candidate;
+        }
+    }
+
+    const hostnames = [];
+    const excludedHostnames = [];
+    for (const entry of rule.slice(0, index).split(',')) {
+        const hostname = entry.trim().toLowerCase();
+        if (!hostname) continue;
+        const isNegated = hostname.startsWith('~');
+        const cleanHostname = isNegated ? hostname.slice(1) : hostname;
+        if (cleanHostname.includes('*')) {
+            return {
+                type: RULE_TYPES.INVALID,
+                error: `Entity-Hostnamen werden nicht unterstützt: ${cleanHostname}`,
+            };
+        }
+        const validation = safeDomainValidation(cleanHostname);
+        if (!validation.success) {
+            return {
+                type: RULE_TYPES.INVALID,
+                error: `Ungültiger Hostname: ${cleanHostname} - ${validation.error}`,
+            };
+        }
+        (isNegated ? excludedHostnames : hostnames).push(cleanHostname);
+    }
 
-        return null;
+    const body = rule.slice(index + separator.length).trim();
+    if (!body) {
+        return { type: RULE_TYPES.INVALID, error: 'Kosmetischer Filter ohne Selektor' };
+    }
+    if (body.length > 1000) {
+        return {
+            type: RULE_TYPES.INVALID,
+            error: 'Selektor überschreitet die maximale Länge (1000)',
+        };
     }
+
+    let kind = 'hide';
+    let scriptlet = null;
+    if (body.startsWith('+js(')) {
+        kind = 'scriptlet';
+        const call = parseScriptletCall(body);
+        if (!call.isValid) {
+            return { type: RULE_TYPES.INVALID, error: `Ungültiges Scriptlet: ${call.error}` };
+        }
+        scriptlet = { name: call.name, args: call.args, key: getScriptletKey(call.name, call.args) };
+    } else {
+        // Auch #?#-Filter ohne prozedurale Operatoren werden als einfaches CSS angewendet
+        const procedural = parseProceduralSelector(body);
+        if (!procedural.isValid) {
+            return {
+                type: RULE_TYPES.INVALID,
+                error: `Ungültiger prozeduraler Filter: ${procedural.error}`,
+            };
+        }
+        if (!procedural.isPlainCss) {
+            kind = 'procedural';
+        }
+    }
+
+    if (kind === 'hide') {
+        // Geschweifte Klammern würden aus der erzeugten CSS-Regel ausbrechen
+        if (body.includes('{') || body.includes('}')) {
+            return { type: RULE_TYPES.INVALID, error: 'Selektor enthält ungültige Zeichen: { }' };
+        }
+        // Ein Kommentar würde die folgenden Regeln des Stylesheets verschlucken
+        if (body.includes('/*') || body.includes('*/')) {
+            return { type: RULE_TYPES.INVALID, error: 'Selektor enthält einen CSS-Kommentar: /* */' };
+        }
+        if (body.includes(':style(')) {
+            return { type: RULE_TYPES.INVALID, error: 'Nicht unterstützter Operator: :style()' };
+        }
+    }
+
+    return {
+        type: RULE_TYPES.COSMETIC,
+        parsed: {
+            rule,
+            type: RULE_TYPES.COSMETIC,
+            kind,
+            selector: body,
+            scriptlet,
+            hostnames,
+            excludedHostnames,
+            isException: separator.includes('@'),
+        },
+    };
 }
 
 /**
  * Parst Regeln für die Netzwerkfilterung.
  */
-async function parseNetworkRule(rule) {
+function parseNetworkRule(rule) {
     const isException = rule.startsWith('@@');
     const cleanRule = isException ? rule.slice(2) : rule;
-    const dollarIndex = cleanRule.lastIndexOf('$');
-    let pattern = cleanRule;
-    let options = '';
-    if (dollarIndex !== -1 && dollarIndex < cleanRule.length - 1) {
-        pattern = cleanRule.slice(0, dollarIndex);
-        options = cleanRule.slice(dollarIndex + 1);
-    }
-    const patternValidation = await validateURLPattern(pattern);
-    if (!patternValidation.isValid) {
-        return null;
-    }
+    const { pattern, options } = splitPatternAndOptions(cleanRule);
     let parsedOptions = null;
     if (options) {
-        const optionsValidation = await validateFilterOptions(options);
+        const optionsValidation = checkFilterOptions(options);
         if (!optionsValidation.isValid) {
-            return null;
+            return {
+                type: RULE_TYPES.INVALID,
+                error: optionsValidation.errors.join('; '),
+                unknownOptions: optionsValidation.unknownOptions,
+            };
         }
         parsedOptions = optionsValidation.parsedOptions;
     }
+    // Nur $removeparam-Regeln dürfen ohne Muster für alle URLs gelten ("$removeparam=gclid")
+    const matchesAllUrls =
+        pattern === '' && (parsedOptions || []).some((option) => option.type === 'removeparam');
+    const patternValidation = matchesAllUrls ? { isValid: true, type: 'any' } : checkURLPattern(pattern);
+    if (!patternValidation.isValid) {
+        return { type: RULE_TYPES.INVALID, error: patternValidation.error };
+    }
     return {
-        rule: rule,
         type: RULE_TYPES.NETWORK,
-        pattern: pattern,
-        options: parsedOptions,
-        isException: isException,
-        patternType: patternValidation.type,
-        isValid: true,
+        parsed: {
+            rule: rule,
+            type: RULE_TYPES.NETWORK,
+            pattern: pattern,
+            options: parsedOptions,
+            isException: isException,
+            patternType: patternValidation.type,
+            isValid: true,
+        },
     };
 }
 
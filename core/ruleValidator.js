@@ -15,7 +15,14 @@
 export const VALIDATION_CONFIG = {
     MAX_RULE_ID: 300000,
     MAX_PRIORITY: 2147483647,
-    VALID_ACTION_TYPES: ['block', 'allow', 'redirect', 'upgradeScheme', 'modifyHeaders'],
+    VALID_ACTION_TYPES: [
+        'block',
+        'allow',
+        'allowAllRequests',
+        'redirect',
+        'upgradeScheme',
+        'modifyHeaders',
+    ],
     VALID_RESOURCE_TYPES: [
         'main_frame',
         'sub_frame',
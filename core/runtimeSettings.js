@@ -0,0 +1,61 @@
+/**
+ * @file core/runtimeSettings.js
+ * @description User settings that every context (service worker, popup, options page,
+ *              content scripts) applies at runtime: log level and performance monitoring.
+ *              Reads the same storage entry as settingsStorage, but directly, because the
+ *              logger cannot depend on the storage layer that logs through it.
+ * @version 7.1.0
+ */
+
+import { EXTENSION_CONFIG, LOG_CONFIG } from './config.js';
+
+const SETTINGS_KEY = EXTENSION_CONFIG.STORAGE_KEYS.USER_SETTINGS;
+
+let current = {
+    logLevel: LOG_CONFIG.DEFAULT_LEVEL,
+    enablePerformanceMonitoring: false
+};
+let loadPromise = null;
+
+function toRuntimeSettings(settings = {}) {
+    const logLevel = Number(settings.logLevel);
+    const levels = Object.values(LOG_CONFIG.LEVELS);
+    return {
+        logLevel: levels.includes(logLevel) ? logLevel : LOG_CONFIG.DEFAULT_LEVEL,
+        enablePerformanceMonitoring: settings.enablePerformanceMonitoring === true
+    };
+}
+
+/**
+ * Current settings; defaults until storage has been read
+ */
+export function getRuntimeSettings() {
+    return current;
+}
+
+/**
+ * Reads the settings once per context and follows later changes via storage.onChanged.
+ * Without extension storage (e.g. in Node tests) the defaults stay in place.
+ */
+export function loadRuntimeSettings() {
+    if (loadPromise) return loadPromise;
+
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+        loadPromise = Promise.resolve(current);
+        return loadPromise;
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SETTINGS_KEY]) {
+            current = toRuntimeSettings(changes[SETTINGS_KEY].newValue);
+        }
+    });
+
+    loadPromise = chrome.storage.local.get(SETTINGS_KEY)
+        .then((data) => {
+            current = toRuntimeSettings(data[SETTINGS_KEY]);
+            return current;
+        })
+        .catch(() => current);
+    return loadPromise;
+}
@@ -0,0 +1,405 @@
+/**
+ * @file core/scriptlets.js
+ * @description Scriptlet-Bibliothek für ##+js()-Filter. Die Funktionen laufen in der MAIN
+ *              world der Seite und dürfen deshalb nur auf die Hilfsfunktionen dieser Datei
+ *              zugreifen. filter_precompiler.js bündelt je Liste die benötigten Scriptlets
+ *              mit ihren Aufrufen in eine Datei, die der Service Worker registriert.
+ * @version 7.1.0
+ */
+
+// ---------------------------------------------------------------------------
+// Hilfsfunktionen (werden mit in das Bündel übernommen)
+// ---------------------------------------------------------------------------
+
+/**
+ * "/.../flags" als Regex, alles andere als Teilstring. Ein leerer Text passt immer.
+ */
+function toRegExp(needle) {
+    const match = /^\/(.+)\/([imsu]*)$/.exec(needle);
+    if (match) {
+        return new RegExp(match[1], match[2]);
+    }
+    return new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+}
+
+/**
+ * Übersetzt die von set-constant unterstützten Werte.
+ */
+function resolveConstant(rawValue) {
+    const constants = {
+        undefined: undefined,
+        null: null,
+        true: true,
+        false: false,
+        "''": '',
+        noopFunc: function () {},
+        trueFunc: function () { return true; },
+        falseFunc: function () { return false; },
+        emptyObj: {},
+        emptyArr: [],
+    };
+    if (Object.prototype.hasOwnProperty.call(constants, rawValue)) {
+        return constants[rawValue];
+    }
+    return Number(rawValue);
+}
+
+/**
+ * Belegt die letzte Eigenschaft einer Kette wie "a.b.c" mit defineLeaf. Fehlen Zwischen-
+ * objekte noch, wird gewartet, bis die Seite sie zuweist.
+ */
+function trapPropertyChain(owner, chain, defineLeaf) {
+    const [property, ...rest] = chain.split('.');
+    if (rest.length === 0) {
+        defineLeaf(owner, property);
+        return;
+    }
+
+    let current = owner[property];
+    if (current instanceof Object) {
+        trapPropertyChain(current, rest.join('.'), defineLeaf);
+        return;
+    }
+    try {
+        Object.defineProperty(owner, property, {
+            configurable: true,
+            get() {
+                return current;
+            },
+            set(value) {
+                current = value;
+                if (value instanceof Object) {
+                    trapPropertyChain(value, rest.join('.'), defineLeaf);
+                }
+            },
+        });
+    } catch (error) {
+        // Nicht konfigurierbare Eigenschaften lassen sich nicht abfangen
+    }
+}
+
+const HELPERS = [toRegExp, resolveConstant, trapPropertyChain];
+
+// ---------------------------------------------------------------------------
+// Scriptlets
+// ---------------------------------------------------------------------------
+
+function setConstant(chain, rawValue) {
+    const value = resolveConstant(rawValue);
+    trapPropertyChain(window, chain, (owner, property) => {
+        try {
+            Object.defineProperty(owner, property, {
+                configurable: true,
+                get() {
+                    return value;
+                },
+                set() {},
+            });
+        } catch (error) {
+            // siehe trapPropertyChain
+        }
+    });
+}
+
+function abortOnPropertyRead(chain) {
+    const marker = `PagyAbort${Math.random().toString(36).slice(2)}`;
+    trapPropertyChain(window, chain, (owner, property) => {
+        try {
+            Object.defineProperty(owner, property, {
+                configurable: true,
+                get() {
+                    throw new ReferenceError(marker);
+                },
+                set() {},
+            });
+        } catch (error) {
+            // siehe trapPropertyChain
+        }
+    });
+
+    // Den absichtlich ausgelösten Fehler nicht in der Konsole der Seite melden
+    const previousHandler = window.onerror;
+    window.onerror = function (message, ...rest) {
+        if (typeof message === 'string' && message.includes(marker)) {
+            return true;
+        }
+        return previousHandler ? previousHandler.call(this, message, ...rest) : false;
+    };
+}
+
+function jsonPrune(propsToRemove, requiredProps = '') {
+    const prunePaths = propsToRemove.split(/\s+/).filter(Boolean);
+    const requiredPaths = requiredProps.split(/\s+/).filter(Boolean);
+
+    const hasPath = (data, path) => {
+        let current = data;
+        for (const key of path.split('.')) {
+            if (!(current instanceof Object) || !(key in current)) return false;
+            current = current[key];
+        }
+        return true;
+    };
+    const prune = (data) => {
+        if (!(data instanceof Object) || !requiredPaths.every((path) => hasPath(data, path))) {
+            return data;
+        }
+        for (const path of prunePaths) {
+            const keys = path.split('.');
+            const last = keys.pop();
+            let current = data;
+            for (const key of keys) {
+                current = current instanceof Object ? current[key] : undefined;
+            }
+            if (current instanceof Object) {
+                delete current[last];
+            }
+        }
+        return data;
+    };
+
+    JSON.parse = new Proxy(JSON.parse, {
+        apply(target, thisArg, args) {
+            return prune(Reflect.apply(target, thisArg, args));
+        },
+    });
+    Response.prototype.json = new Proxy(Response.prototype.json, {
+        apply(target, thisArg, args) {
+            return Reflect.apply(target, thisArg, args).then(prune);
+        },
+    });
+}
+
+function noSetTimeoutIf(needle = '', delay = '') {
+    const negateNeedle = needle.startsWith('!');
+    const pattern = toRegExp(negateNeedle ? needle.slice(1) : needle);
+    const negateDelay = delay.startsWith('!');
+    const delayValue = parseInt(negateDelay ? delay.slice(1) : delay, 10);
+
+    window.setTimeout = new Proxy(window.setTimeout, {
+        apply(target, thisArg, args) {
+            const [callback, timeout] = args;
+            let matches = pattern.test(String(callback)) !== negateNeedle;
+            if (!Number.isNaN(delayValue)) {
+                matches = matches && ((Number(timeout) || 0) === delayValue) !== negateDelay;
+            }
+            if (matches) {
+                args[0] = function () {};
+            }
+            return Reflect.apply(target, thisArg, args);
+        },
+    });
+}
+
+function preventFetch(needle = '') {
+    const pattern = toRegExp(needle === '*' ? '' : needle);
+
+    window.fetch = new Proxy(window.fetch, {
+        apply(target, thisArg, args) {
+            const [resource] = args;
+            const url = resource instanceof Request ? resource.url : String(resource);
+            if (!pattern.test(url)) {
+                return Reflect.apply(target, thisArg, args);
+            }
+            return Promise.resolve(new Response('', { status: 200, statusText: 'OK' }));
+        },
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Registrierung und Validierung
+// ---------------------------------------------------------------------------
+
+const PROPERTY_CHAIN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+const CONSTANT_VALUES = [
+    'undefined', 'null', 'true', 'false', "''", 'noopFunc', 'trueFunc', 'falseFunc', 'emptyObj', 'emptyArr',
+];
+
+/**
+ * Prüft ein Muster-Argument ("/.../flags" oder Text, optional mit "!" verneint).
+ */
+function validateNeedle(needle, allowNegation) {
+    const value = allowNegation && needle.startsWith('!') ? needle.slice(1) : needle;
+    try {
+        toRegExp(value);
+        return null;
+    } catch (error) {
+        return `Ungültiger regulärer Ausdruck: ${error.message}`;
+    }
+}
+
+function validatePropertyChain(chain) {
+    return PROPERTY_CHAIN.test(chain) ? null : `Ungültige Eigenschaftskette: ${chain}`;
+}
+
+// Name -> Funktion, Aliase, erlaubte Argumentanzahl und Argumentprüfung
+export const SCRIPTLETS = Object.freeze({
+    'set-constant': {
+        run: setConstant,
+        aliases: ['set'],
+        minArgs: 2,
+        maxArgs: 2,
+        validate: ([chain, value]) => {
+            const chainError = validatePropertyChain(chain);
+            if (chainError) return chainError;
+            const isNumber = /^\d+$/.test(value) && Number(value) <= 32767;
+            return CONSTANT_VALUES.includes(value) || isNumber ? null : `Nicht unterstützter Wert: ${value}`;
+        },
+    },
+    'abort-on-property-read': {
+        run: abortOnPropertyRead,
+        aliases: ['aopr'],
+        minArgs: 1,
+        maxArgs: 1,
+        validate: ([chain]) => validatePropertyChain(chain),
+    },
+    'json-prune': {
+        run: jsonPrune,
+        aliases: [],
+        minArgs: 1,
+        maxArgs: 2,
+        validate: (args) => {
+            const paths = args.join(' ').split(/\s+/).filter(Boolean);
+            const invalid = paths.find((path) => !PROPERTY_CHAIN.test(path));
+            return invalid ? `Ungültiger Eigenschaftspfad: ${invalid}` : null;
+        },
+    },
+    'no-setTimeout-if': {
+        run: noSetTimeoutIf,
+        aliases: ['nostif', 'prevent-setTimeout'],
+        minArgs: 0,
+        maxArgs: 2,
+        validate: ([needle = '', delay = '']) => {
+            if (delay && !/^!?\d+$/.test(delay)) return `Ungültige Verzögerung: ${delay}`;
+            return validateNeedle(needle, true);
+        },
+    },
+    'prevent-fetch': {
+        run: preventFetch,
+        aliases: ['no-fetch-if'],
+        minArgs: 0,
+        maxArgs: 1,
+        validate: ([needle = '']) => validateNeedle(needle, false),
+    },
+});
+
+const SCRIPTLET_ALIASES = new Map(
+    Object.entries(SCRIPTLETS).flatMap(([name, scriptlet]) =>
+        [name, ...scriptlet.aliases].map((alias) => [alias.toLowerCase(), name])
+    )
+);
+
+/**
+ * Trennt die Argumente an nicht maskierten Kommas ("\," bleibt ein Komma im Argument).
+ */
+function splitArguments(text) {
+    const args = [];
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && text[i + 1] === ',') {
+            current += ',';
+            i++;
+        } else if (text[i] === ',') {
+            args.push(current.trim());
+            current = '';
+        } else {
+            current += text[i];
+        }
+    }
+    args.push(current.trim());
+    return args;
+}
+
+/**
+ * Parst und prüft den Rumpf eines Scriptlet-Filters ("+js(name, arg1, ...)").
+ * Rückgabe: { isValid, name, args } oder { isValid: false, error }
+ */
+export function parseScriptletCall(body) {
+    const match = /^\+js\((.*)\)$/.exec(String(body || '').trim());
+    if (!match) {
+        return { isValid: false, error: 'Scriptlet-Filter müssen die Form +js(name, ...) haben' };
+    }
+
+    const [rawName, ...args] = splitArguments(match[1]);
+    if (!rawName) {
+        return { isValid: false, error: 'Scriptlet-Name fehlt' };
+    }
+    const name = SCRIPTLET_ALIASES.get(rawName.toLowerCase().replace(/\.js$/, ''));
+    if (!name) {
+        return { isValid: false, error: `Unbekanntes Scriptlet: ${rawName}` };
+    }
+
+    const scriptlet = SCRIPTLETS[name];
+    // Leere Argumente am Ende zählen nicht ("+js(nostif, )")
+    while (args.length > 0 && args[args.length - 1] === '') {
+        args.pop();
+    }
+    if (args.length < scriptlet.minArgs || args.length > scriptlet.maxArgs) {
+        const expected =
+            scriptlet.minArgs === scriptlet.maxArgs
+                ? `${scriptlet.minArgs}`
+                : `${scriptlet.minArgs} bis ${scriptlet.maxArgs}`;
+        return { isValid: false, error: `${name} erwartet ${expected} Argument(e), erhalten: ${args.length}` };
+    }
+
+    const error = scriptlet.validate(args);
+    if (error) {
+        return { isValid: false, error: `${name}: ${error}` };
+    }
+    return { isValid: true, name, args };
+}
+
+/**
+ * Eindeutiger Schlüssel eines Aufrufs, dient auch zum Abgleich mit #@#+js()-Ausnahmen.
+ */
+export function getScriptletKey(name, args) {
+    return JSON.stringify([name, ...args]);
+}
+
+/**
+ * Erzeugt den Quelltext einer Scriptlet-Datei für eine kompilierte Scriptlet-Gruppe
+ * ({ specific: { host: [schlüssel] }, exceptions: { host: [schlüssel] } }).
+ * Die Datei prüft location.hostname selbst, da eine Registrierung alle Hosts der Liste abdeckt.
+ */
+export function buildScriptletBundle(group, source) {
+    const usedNames = new Set(
+        Object.values(group.specific || {})
+            .flat()
+            .map((key) => JSON.parse(key)[0])
+    );
+    const library = [...usedNames]
+        .sort()
+        .map((name) => `        '${name}': ${SCRIPTLETS[name].run.toString()},`)
+        .join('\n');
+
+    return `/* Generiert von filter_precompiler.js aus ${source} - nicht bearbeiten */
+(function () {
+    'use strict';
+
+${HELPERS.map((helper) => helper.toString()).join('\n\n')}
+
+    const scriptlets = {
+${library}
+    };
+    const filters = ${JSON.stringify(group.specific || {})};
+    const exceptions = ${JSON.stringify(group.exceptions || {})};
+
+    const parts = location.hostname.toLowerCase().split('.');
+    const hostnames = parts.slice(0, -1).map((part, index) => parts.slice(index).join('.'));
+    const excluded = new Set(hostnames.flatMap((hostname) => exceptions[hostname] || []));
+    const executed = new Set();
+
+    for (const hostname of hostnames) {
+        for (const key of filters[hostname] || []) {
+            if (excluded.has(key) || executed.has(key)) continue;
+            executed.add(key);
+            const [name, ...args] = JSON.parse(key);
+            try {
+                scriptlets[name](...args);
+            } catch (error) {
+                // Ein fehlerhaftes Scriptlet darf die übrigen nicht verhindern
+            }
+        }
+    }
+})();
+`;
+}
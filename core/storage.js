@@ -7,9 +7,30 @@
 import { EXTENSION_CONFIG } from './config.js';
 import { createLogger } from './logger.js';
 import { retryAsync, isExtensionContextValid } from './utilities.js';
+import { ALLOWLIST_SOURCES, matchesAllowlistEntry, parseAllowlistEntries, parseAllowlistPattern } from './allowlist.js';
 
 const logger = createLogger('Storage');
 
+// Appends the valid, new patterns of inputs to entries (in place); returns the patterns per outcome
+function mergeAllowlistEntries(entries, inputs, source) {
+    const known = new Set(entries.map(entry => entry.pattern));
+    const result = { added: [], duplicates: [], invalid: [] };
+
+    for (const input of inputs) {
+        const { isValid, entry, error } = parseAllowlistPattern(input);
+        if (!isValid) {
+            result.invalid.push({ input, error });
+        } else if (known.has(entry.pattern)) {
+            result.duplicates.push(entry.pattern);
+        } else {
+            known.add(entry.pattern);
+            entries.push({ pattern: entry.pattern, source, added: Date.now() });
+            result.added.push(entry.pattern);
+        }
+    }
+    return result;
+}
+
 class StorageManager {
     constructor() {
         this.cache = new Map();
@@ -188,46 +209,96 @@ class StorageManager {
     }
 }
 
-// Domain-specific storage operations
-export class DomainStorage extends StorageManager {
-    async getDisabledDomains() {
-        const domains = await this.get(EXTENSION_CONFIG.STORAGE_KEYS.DISABLED_DOMAINS);
-        return Array.isArray(domains) ? domains : [];
+// Allowlist: [{ pattern, source, added }], edited by the popup switch and the options page.
+// Pattern syntax and matching live in core/allowlist.js.
+export class AllowlistStorage extends StorageManager {
+    async getEntries() {
+        const entries = await this.get(EXTENSION_CONFIG.STORAGE_KEYS.ALLOWLIST);
+        return Array.isArray(entries)
+            ? entries.filter(entry => entry && typeof entry.pattern === 'string')
+            : [];
     }
 
-    async setDisabledDomains(domains) {
-        if (!Array.isArray(domains)) {
-            throw new Error('Domains must be an array');
+    async setEntries(entries) {
+        if (!Array.isArray(entries)) {
+            throw new Error('Allowlist entries must be an array');
         }
-        
-        // Validate and sanitize domains
-        const validDomains = domains.filter(domain => 
-            typeof domain === 'string' && domain.length > 0
-        );
 
-        await this.set(EXTENSION_CONFIG.STORAGE_KEYS.DISABLED_DOMAINS, validDomains);
-        logger.info('Updated disabled domains', { count: validDomains.length });
+        await this.set(EXTENSION_CONFIG.STORAGE_KEYS.ALLOWLIST, entries);
+        logger.info('Updated allowlist', { count: entries.length });
+    }
+
+    // Parsed entries, ready for matching and rule building
+    async getParsedEntries() {
+        return parseAllowlistEntries(await this.getEntries());
     }
 
-    async addDisabledDomain(domain) {
-        const domains = await this.getDisabledDomains();
-        if (!domains.includes(domain)) {
-            domains.push(domain);
-            await this.setDisabledDomains(domains);
-            logger.info('Added disabled domain', { domain });
+    // Adds several patterns in one write; returns the normalized patterns per outcome
+    async addEntries(inputs, source) {
+        const entries = await this.getEntries();
+        const result = mergeAllowlistEntries(entries, inputs, source);
+
+        if (result.added.length > 0) {
+            await this.setEntries(entries);
+            logger.info('Added allowlist entries', { count: result.added.length, source });
         }
+        return result;
     }
 
-    async removeDisabledDomain(domain) {
-        const domains = await this.getDisabledDomains();
-        const filtered = domains.filter(d => d !== domain);
-        await this.setDisabledDomains(filtered);
-        logger.info('Removed disabled domain', { domain });
+    async addEntry(input, source) {
+        const { added, duplicates, invalid } = await this.addEntries([input], source);
+        if (invalid.length > 0) {
+            throw new Error(invalid[0].error);
+        }
+        return { added: added.length > 0, pattern: added[0] ?? duplicates[0] };
     }
 
-    async isDomainDisabled(domain) {
-        const domains = await this.getDisabledDomains();
-        return domains.includes(domain);
+    async removeEntries(patterns) {
+        const toRemove = new Set(patterns);
+        const entries = await this.getEntries();
+        const remaining = entries.filter(entry => !toRemove.has(entry.pattern));
+        if (remaining.length !== entries.length) {
+            await this.setEntries(remaining);
+            logger.info('Removed allowlist entries', { patterns: [...toRemove] });
+        }
+    }
+
+    async getMatchingEntries(url) {
+        const entries = await this.getParsedEntries();
+        return entries.filter(entry => matchesAllowlistEntry(entry, url));
+    }
+
+    async isAllowlisted(url) {
+        return (await this.getMatchingEntries(url)).length > 0;
+    }
+
+    /**
+     * One-time migration of the former lists: the popup's disabledDomains and the options
+     * page's settings.whitelist, which never reached the blocking rules.
+     * The new list is written in one step; the legacy data is removed only afterwards, so an
+     * interrupted migration simply runs again on the next start.
+     */
+    async migrateLegacyLists() {
+        const { ALLOWLIST, DISABLED_DOMAINS, USER_SETTINGS } = EXTENSION_CONFIG.STORAGE_KEYS;
+        const stored = await chrome.storage.local.get([ALLOWLIST, DISABLED_DOMAINS, USER_SETTINGS]);
+        if (Array.isArray(stored[ALLOWLIST])) {
+            return 0;
+        }
+
+        const asList = (value) => (Array.isArray(value) ? value : []);
+        const entries = [];
+        mergeAllowlistEntries(entries, asList(stored[DISABLED_DOMAINS]), ALLOWLIST_SOURCES.POPUP);
+        mergeAllowlistEntries(entries, asList(stored[USER_SETTINGS]?.whitelist), ALLOWLIST_SOURCES.OPTIONS);
+        await this.set(ALLOWLIST, entries);
+
+        await chrome.storage.local.remove(DISABLED_DOMAINS);
+        if (stored[USER_SETTINGS]?.whitelist) {
+            const settings = { ...stored[USER_SETTINGS] };
+            delete settings.whitelist;
+            await this.set(USER_SETTINGS, settings);
+        }
+        logger.info('Migrated legacy allowlists', { count: entries.length });
+        return entries.length;
     }
 }
 
@@ -240,6 +311,7 @@ export class SettingsStorage extends StorageManager {
             enablePerformanceMonitoring: false,
             autoUpdateFilters: true,
             showNotifications: true,
+            protectionLevel: 'standard',
             ...settings
         };
     }
@@ -283,10 +355,26 @@ export class FilterCacheStorage extends StorageManager {
     }
 }
 
+// Static ruleset (filter list) on/off choices made by the user
+export class RulesetStorage extends StorageManager {
+    async getRulesetStates() {
+        const states = await this.get(EXTENSION_CONFIG.STORAGE_KEYS.RULESET_STATES);
+        return states && typeof states === 'object' ? states : {};
+    }
+
+    async setRulesetState(rulesetId, enabled) {
+        const states = await this.getRulesetStates();
+        states[rulesetId] = Boolean(enabled);
+        await this.set(EXTENSION_CONFIG.STORAGE_KEYS.RULESET_STATES, states);
+        logger.info('Updated ruleset state', { rulesetId, enabled: Boolean(enabled) });
+    }
+}
+
 // Create singleton instances
-export const domainStorage = new DomainStorage();
+export const allowlistStorage = new AllowlistStorage();
 export const settingsStorage = new SettingsStorage();
 export const filterCacheStorage = new FilterCacheStorage();
+export const rulesetStorage = new RulesetStorage();
 
 // Default export
 export default StorageManager;
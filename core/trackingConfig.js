@@ -206,7 +206,22 @@ export const TRACKING_CONFIG = Object.freeze({
                 BLOCKING_SCORE: 85
             }
         }
-    }
+    },
+
+    // Blocking mode for each protectionLevel of the options page
+    PROTECTION_LEVELS: {
+        strict: 'STRICT',
+        standard: 'BALANCED',
+        permissive: 'PERMISSIVE'
+    },
+    DEFAULT_BLOCKING_MODE: 'BALANCED'
 });
 
+/**
+ * Blocking mode for a protectionLevel setting; unknown levels use the default mode
+ */
+export function getBlockingModeForLevel(level) {
+    return TRACKING_CONFIG.PROTECTION_LEVELS[level] || TRACKING_CONFIG.DEFAULT_BLOCKING_MODE;
+}
+
 export default TRACKING_CONFIG;
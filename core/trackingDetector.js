@@ -17,9 +17,65 @@ export class TrackingDetector {
         this.siteVisits = new Map(); // site -> timestamp
         this.blockedDomains = new Set();
         this.allowedDomains = new Set();
+        this.blockingMode = TRACKING_CONFIG.DEFAULT_BLOCKING_MODE;
         this.isInitialized = false;
     }
 
+    /**
+     * Base thresholds overridden by those of the active blocking mode
+     */
+    getThresholds() {
+        const mode = TRACKING_CONFIG.BLOCKING_MODES[this.blockingMode];
+        return { ...TRACKING_CONFIG.THRESHOLDS, ...mode.thresholds };
+    }
+
+    /**
+     * Switch the blocking mode and re-evaluate all known domains against it.
+     * Returns the domains blocked and unblocked by the switch and whether the mode changed.
+     */
+    async setBlockingMode(mode) {
+        if (!TRACKING_CONFIG.BLOCKING_MODES[mode]) {
+            throw new Error(`Unknown blocking mode: ${mode}`);
+        }
+
+        const changed = mode !== this.blockingMode;
+        this.blockingMode = mode;
+        const changes = this.reevaluateDomains();
+        if (changed || changes.blocked.length > 0 || changes.unblocked.length > 0) {
+            await this.saveTrackingData();
+        }
+
+        backgroundLogger.info('Tracking blocking mode set', {
+            mode,
+            changed,
+            blocked: changes.blocked.length,
+            unblocked: changes.unblocked.length
+        });
+        return { ...changes, changed };
+    }
+
+    /**
+     * Block or unblock every domain with statistics according to the current thresholds.
+     * Blocked domains without statistics (already cleaned up) stay blocked.
+     */
+    reevaluateDomains() {
+        const blocked = [];
+        const unblocked = [];
+
+        this.domainStats.forEach((stats, domain) => {
+            const shouldBlock = this.meetsBlockingCriteria(domain);
+            if (shouldBlock && !this.blockedDomains.has(domain)) {
+                this.blockedDomains.add(domain);
+                blocked.push(domain);
+            } else if (!shouldBlock && this.blockedDomains.has(domain)) {
+                this.blockedDomains.delete(domain);
+                unblocked.push(domain);
+            }
+        });
+
+        return { blocked, unblocked };
+    }
+
     /**
      * Initialize the tracking detector
      */
@@ -107,19 +163,9 @@ export class TrackingDetector {
                 return;
             }
 
-            // If this is a blocked domain, count it in session stats
-            if (this.blockedDomains.has(requestDomain)) {
-                console.log('[TRACKING DEBUG] Blocked domain request:', {
-                    requestDomain,
-                    initiatorDomain,
-                    updating: 'session stats'
-                });
-                await this.updateSessionStatsForRequest(initiatorDomain, requestDomain);
-                return;
-            }
-
-            // Skip explicitly allowed domains
-            if (this.allowedDomains.has(requestDomain)) {
+            // Blockierte Anfragen zählt das Background Script aus dem DNR-Feedback;
+            // bereits blockierte und erlaubte Domains brauchen keine Analyse mehr
+            if (this.blockedDomains.has(requestDomain) || this.allowedDomains.has(requestDomain)) {
                 return;
             }
 
@@ -145,29 +191,6 @@ export class TrackingDetector {
         }
     }
 
-    /**
-     * Update session stats for a blocked request
-     */
-    async updateSessionStatsForRequest(initiatorDomain, blockedDomain) {
-        try {
-            if (typeof chrome !== 'undefined' && chrome.runtime) {
-                chrome.runtime.sendMessage({
-                    command: 'updateSessionStats',
-                    site: initiatorDomain,
-                    blockedTracker: blockedDomain
-                }).catch(() => {
-                    // Background script might not be ready
-                });
-            }
-        } catch (error) {
-            backgroundLogger.warn('Failed to update session stats for request', { 
-                initiator: initiatorDomain,
-                blocked: blockedDomain,
-                error: error.message 
-            });
-        }
-    }
-
     /**
      * Analyze request headers for tracking indicators
      */
@@ -290,7 +313,7 @@ export class TrackingDetector {
         }
 
         // Check for cross-site requests (main tracking indicator)
-        if (stats.sites.size >= TRACKING_CONFIG.THRESHOLDS.MIN_SITES_FOR_TRACKING) {
+        if (stats.sites.size >= this.getThresholds().MIN_SITES_FOR_TRACKING) {
             stats.trackingIndicators.add('cross_site');
             this.incrementTrackingScore(domain, TRACKING_CONFIG.SCORE_INCREMENTS.CROSS_SITE);
         }
@@ -304,7 +327,7 @@ export class TrackingDetector {
 
         // Base score from cross-site presence
         const sitesCount = stats.sites.size;
-        if (sitesCount >= TRACKING_CONFIG.THRESHOLDS.MIN_SITES_FOR_TRACKING) {
+        if (sitesCount >= this.getThresholds().MIN_SITES_FOR_TRACKING) {
             score += Math.min(sitesCount * TRACKING_CONFIG.SCORE_INCREMENTS.CROSS_SITE, 100);
         }
 
@@ -338,17 +361,32 @@ export class TrackingDetector {
      * Check if a domain should be blocked
      */
     async shouldBlockDomain(domain) {
+        return this.meetsBlockingCriteria(domain);
+    }
+
+    /**
+     * Blocking criteria of the current mode; user-allowed domains never qualify
+     */
+    meetsBlockingCriteria(domain) {
         const stats = this.domainStats.get(domain);
-        if (!stats) return false;
+        if (!stats || this.allowedDomains.has(domain)) return false;
 
-        // Check if domain meets blocking criteria
-        const hasEnoughSites = stats.sites.size >= TRACKING_CONFIG.THRESHOLDS.MIN_SITES_FOR_BLOCKING;
-        const hasHighScore = stats.score >= TRACKING_CONFIG.THRESHOLDS.BLOCKING_SCORE;
+        const thresholds = this.getThresholds();
+        const hasEnoughSites = stats.sites.size >= thresholds.MIN_SITES_FOR_BLOCKING;
+        const hasHighScore = stats.score >= thresholds.BLOCKING_SCORE;
         const hasTrackingIndicators = stats.trackingIndicators.size >= 2;
 
         return hasEnoughSites && (hasHighScore || hasTrackingIndicators);
     }
 
+    /**
+     * True only for domains whose statistics fail the current criteria. Domains without
+     * statistics (cleaned up or never seen) are not judged and stay blocked.
+     */
+    failsBlockingCriteria(domain) {
+        return this.domainStats.has(domain) && !this.meetsBlockingCriteria(domain);
+    }
+
     /**
      * Block a tracking domain
      */
@@ -363,9 +401,6 @@ export class TrackingDetector {
             score: this.domainStats.get(domain)?.score
         });
 
-        // Update session stats for all sites that have been affected by this tracker
-        await this.updateSessionStatsForBlockedDomain(domain);
-
         // Trigger dynamic rules update
         await this.updateBlockingRules();
         
@@ -373,46 +408,6 @@ export class TrackingDetector {
         await this.saveTrackingData();
     }
 
-    /**
-     * Update session statistics when a domain is blocked
-     */
-    async updateSessionStatsForBlockedDomain(blockedDomain) {
-        try {
-            const stats = this.domainStats.get(blockedDomain);
-            if (!stats || !stats.sites) return;
-
-            backgroundLogger.info('Updating session stats for newly blocked domain', {
-                domain: blockedDomain,
-                sites: Array.from(stats.sites),
-                requests: stats.requests
-            });
-
-            // Update session stats for each site this tracker was present on
-            // Count all previous requests to this tracker as blocked
-            for (const site of stats.sites) {
-                const requestCount = stats.requests || 1;
-                
-                for (let i = 0; i < requestCount; i++) {
-                    if (typeof chrome !== 'undefined' && chrome.runtime) {
-                        // Send message to background script to update session stats
-                        chrome.runtime.sendMessage({
-                            command: 'updateSessionStats',
-                            site: site,
-                            blockedTracker: blockedDomain
-                        }).catch(() => {
-                            // Background script might not be ready
-                        });
-                    }
-                }
-            }
-        } catch (error) {
-            backgroundLogger.warn('Failed to update session stats for blocked domain', { 
-                domain: blockedDomain, 
-                error: error.message 
-            });
-        }
-    }
-
     /**
      * Allow a domain (user override)
      */
@@ -478,7 +473,8 @@ export class TrackingDetector {
             const result = await chrome.storage.local.get([
                 'trackingDomainStats',
                 'blockedTrackingDomains',
-                'allowedTrackingDomains'
+                'allowedTrackingDomains',
+                'trackingBlockingMode'
             ]);
 
             // Load domain statistics
@@ -503,6 +499,11 @@ export class TrackingDetector {
                 this.allowedDomains = new Set(result.allowedTrackingDomains);
             }
 
+            // Mode of the last run, so a restart is not mistaken for a level change
+            if (TRACKING_CONFIG.BLOCKING_MODES[result.trackingBlockingMode]) {
+                this.blockingMode = result.trackingBlockingMode;
+            }
+
             backgroundLogger.info('Tracking data loaded', {
                 domains: this.domainStats.size,
                 blocked: this.blockedDomains.size,
@@ -533,7 +534,8 @@ export class TrackingDetector {
             await chrome.storage.local.set({
                 trackingDomainStats: statsObj,
                 blockedTrackingDomains: Array.from(this.blockedDomains),
-                allowedTrackingDomains: Array.from(this.allowedDomains)
+                allowedTrackingDomains: Array.from(this.allowedDomains),
+                trackingBlockingMode: this.blockingMode
             });
 
         } catch (error) {
@@ -0,0 +1,102 @@
+/**
+ * @file core/userFilters.js
+ * @description Prüft und kompiliert die Regeln aus "Meine Filter" (ABP-Syntax) in dynamische
+ *              DNR-Regeln. Wird vom Editor der Einstellungsseite zur Live-Prüfung je Zeile
+ *              und vom Background Script beim Speichern verwendet.
+ * @version 7.1.0
+ */
+
+import { EXTENSION_CONFIG } from './config.js';
+import { analyzeRule, RULE_TYPES, validateRuleCompliance } from './ruleParser.js';
+import { precompileFilterList } from './filterListCompiler.js';
+
+export const USER_FILTER_SOURCE = 'Meine Filter';
+
+// Eigene Regeln schlagen die statischen Listen (Priorität 1-3), aber weder erkannte
+// Tracker noch pausierte Websites
+const USER_RULE_PRIORITY_BASE = EXTENSION_CONFIG.PRIORITIES.DEFAULT_RULE;
+
+/**
+ * Prüft eine einzelne Zeile, soweit das ohne den Rest der Liste möglich ist.
+ * Rückgabe: { isValid, error?, warnings }
+ */
+export function validateUserFilterLine(line) {
+    const text = String(line ?? '').trim();
+    const { type } = analyzeRule(text);
+    if (type === RULE_TYPES.COMMENT) {
+        return { isValid: true, warnings: [] };
+    }
+
+    const compliance = validateRuleCompliance(text);
+    if (!compliance.isCompliant) {
+        return { isValid: false, error: compliance.issues.join('; '), warnings: compliance.warnings };
+    }
+    if (type === RULE_TYPES.COSMETIC) {
+        return {
+            isValid: false,
+            error: 'Kosmetische Filter werden in "Meine Filter" nicht unterstützt',
+            warnings: compliance.warnings,
+        };
+    }
+    return { isValid: true, warnings: compliance.warnings };
+}
+
+/**
+ * Kompiliert den Editor-Inhalt in Regeln mit IDs aus range.
+ *
+ * Optionen:
+ *  - maxRegexRules: verbleibendes Kontingent für regexFilter-Regeln
+ *
+ * Rückgabe: { rules, rejected: [{ line, rule, reason }], stats }
+ * Abgelehnte Zeilen sind nach Zeilennummer sortiert; Zeilen, die nicht mehr in den
+ * ID-Bereich passen, werden ebenfalls als abgelehnt gemeldet.
+ */
+export function compileUserFilters(text, range, options = {}) {
+    const content = String(text ?? '');
+    const rejected = [];
+
+    // Kosmetische und formal ungültige Zeilen vorab aussortieren, damit jede Ablehnung
+    // ihre Zeilennummer behält
+    const lines = content.split(/\r?\n/).map((line, index) => {
+        const result = validateUserFilterLine(line);
+        if (result.isValid) return line;
+        rejected.push({ line: index + 1, rule: line.trim(), reason: result.error });
+        return '';
+    });
+
+    const compiled = precompileFilterList(lines.join('\n'), {
+        firstRuleId: range.start,
+        source: USER_FILTER_SOURCE,
+        maxRegexRules: options.maxRegexRules,
+    });
+    for (const { line, rule, reason } of compiled.stats.errorDetails) {
+        rejected.push({ line, rule, reason });
+    }
+
+    const capacity = range.end - range.start + 1;
+    const rules = compiled.rules.slice(0, capacity).map((rule) => ({
+        ...rule,
+        priority: USER_RULE_PRIORITY_BASE + rule.priority,
+    }));
+    if (compiled.rules.length > capacity) {
+        rejected.push({
+            line: null,
+            rule: null,
+            reason: `${compiled.rules.length - capacity} Regeln passen nicht mehr in den Regelbereich (max. ${capacity})`,
+        });
+    }
+
+    rejected.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+
+    return {
+        rules,
+        rejected,
+        stats: {
+            rules: rules.length,
+            regexRules: rules.filter((rule) => rule.condition.regexFilter).length,
+            rejected: rejected.length,
+            duplicates: compiled.stats.duplicates,
+            capacity,
+        },
+    };
+}
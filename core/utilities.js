@@ -6,6 +6,8 @@
 
 import { EXTENSION_CONFIG, VALIDATION_PATTERNS } from './config.js';
 import { createLogger } from './logger.js';
+import { getRuntimeSettings } from './runtimeSettings.js';
+import { recordTiming } from './performanceReport.js';
 
 const logger = createLogger('Utilities');
 
@@ -219,6 +221,11 @@ export class PerformanceTimer {
     end() {
         const duration = performance.now() - this.startTime;
         logger.debug(`Performance: ${this.label}`, { duration: `${duration.toFixed(2)}ms` });
+        if (getRuntimeSettings().enablePerformanceMonitoring) {
+            recordTiming(this.label, duration).catch(() => {
+                // Monitoring must never break the measured operation
+            });
+        }
         return duration;
     }
 }
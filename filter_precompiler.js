@@ -1,82 +1,209 @@
 /**
  * @file filter_precompiler.js
- * @description Kompiliert Filterlisten in das JSON-Format für die declarativeNetRequest API.
+ * @description Kompiliert die Filterlisten aus filter_lists/lists.json in je einen
+ *              statischen declarativeNetRequest-Regelsatz.
  * @version 4.0.0
  * @author Gemini
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, readFileSync, existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
-import { parseRule, RULE_TYPES } from './core/ruleParser.js';
+import { EXTENSION_CONFIG } from './core/config.js';
+import { precompileFilterList } from './core/filterListCompiler.js';
+import { buildScriptletBundle } from './core/scriptlets.js';
+
+export { precompileFilterList };
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const INPUT_FILE = path.join(__dirname, 'filter_lists', 'filter_optimized.txt');
-const OUTPUT_DIR = path.join(__dirname, 'filter_lists');
-const OUTPUT_NETWORK_RULES = path.join(OUTPUT_DIR, 'filter_precompiled.json');
+const LISTS_DIR = path.join(__dirname, 'filter_lists');
+const LIST_MANIFEST = path.join(LISTS_DIR, 'lists.json');
+const EXTENSION_MANIFEST = path.join(__dirname, 'manifest.json');
+
+// Jede Liste erhält einen eigenen ID-Bereich dieser Größe (Liste n beginnt bei n * Bereich + 1)
+const RULESET_ID_RANGE = EXTENSION_CONFIG.LIMITS.MAX_RULES_COUNT;
+
+/**
+ * ID-Bereich der Liste an Position index im Listen-Manifest.
+ */
+export function getRulesetIdRange(index) {
+    const start = index * RULESET_ID_RANGE + 1;
+    return { start, end: start + RULESET_ID_RANGE - 1 };
+}
+
+/**
+ * Lädt und prüft das Listen-Manifest (filter_lists/lists.json).
+ */
+async function loadListManifest() {
+    const lists = JSON.parse(await fs.readFile(LIST_MANIFEST, 'utf-8'));
+    if (!Array.isArray(lists) || lists.length === 0) {
+        throw new Error(`Listen-Manifest enthält keine Listen: ${LIST_MANIFEST}`);
+    }
+    const seenIds = new Set();
+    for (const list of lists) {
+        if (!list.id || !list.source || !list.output) {
+            throw new Error(`Listeneintrag unvollständig (id, source, output): ${JSON.stringify(list)}`);
+        }
+        if (seenIds.has(list.id)) {
+            throw new Error(`Doppelte Listen-ID: ${list.id}`);
+        }
+        seenIds.add(list.id);
+    }
+    return lists;
+}
+
+/**
+ * Kompiliert eine einzelne Filterliste in DNR-Regeln ab der angegebenen Regel-ID.
+ */
+async function compileList(list, firstRuleId, maxRegexRules) {
+    const inputFile = path.join(LISTS_DIR, list.source);
+    const fileExists = await fs
+        .stat(inputFile)
+        .then(() => true)
+        .catch(() => false);
+    if (!fileExists) {
+        throw new Error(`Eingabedatei nicht gefunden: ${inputFile}`);
+    }
+
+    const text = await fs.readFile(inputFile, 'utf-8');
+    const result = precompileFilterList(text, {
+        firstRuleId,
+        source: list.source,
+        optimize: true,
+        maxRegexRules,
+        resolveInclude: (includePath) => {
+            const includeFile = path.join(LISTS_DIR, includePath);
+            return existsSync(includeFile) ? readFileSync(includeFile, 'utf-8') : null;
+        },
+    });
+    for (const error of result.stats.errorDetails) {
+        const rule = error.rule ? ` ${error.rule}` : '';
+        console.warn(`[${list.id}] ${error.source}:${error.line}${rule} (${error.reason})`);
+    }
+    return result;
+}
+
+/**
+ * Pfad einer Begleitdatei neben einem kompilierten Regelsatz (x.json -> x.meta.json).
+ */
+function getCompanionPath(outputFile, kind, extension = '.json') {
+    return `${outputFile.replace(/\.json$/, '')}.${kind}${extension}`;
+}
+
+/**
+ * Ersetzt die rule_resources in manifest.json, ohne den Rest der Datei neu zu formatieren.
+ */
+export function updateManifestRuleResources(manifestText, resources) {
+    const resourcesJson = JSON.stringify(resources, null, 4).replace(/\n/g, '\n        ');
+    const pattern = /"rule_resources":\s*\[[\s\S]*?\]/;
+    if (!pattern.test(manifestText)) {
+        throw new Error('manifest.json enthält keinen rule_resources-Block');
+    }
+    return manifestText.replace(pattern, () => `"rule_resources": ${resourcesJson}`);
+}
 
 export async function precompileFilters() {
     console.log('Starte Filter-Präkompilierung...');
 
     try {
-        const fileExists = await fs
-            .stat(INPUT_FILE)
-            .then(() => true)
-            .catch(() => false);
-        if (!fileExists) {
-            console.error(`FEHLER: Eingabedatei nicht gefunden: ${INPUT_FILE}`);
-            await fs.writeFile(INPUT_FILE, `! Beispiel-Filterliste\n||doubleclick.net^`, 'utf-8');
-            console.log(`Eine Beispieldatei wurde unter ${INPUT_FILE} erstellt.`);
-            return;
-        }
+        const lists = await loadListManifest();
 
         // Sicherstellen, dass das Ausgabe-Verzeichnis existiert
-        await fs.mkdir(OUTPUT_DIR, { recursive: true });
-
-        const lines = (await fs.readFile(INPUT_FILE, 'utf-8')).split(/\r?\n/);
-        const networkRules = [];
-
-        let ruleId = 1;
-
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            // Leere Zeilen und reine Kommentare überspringen
-            if (!trimmedLine || trimmedLine.startsWith('!')) continue;
-
-            const parsedRule = await parseRule(trimmedLine);
-
-            if (!parsedRule) continue; // Ungültige oder irrelevante Regel
-
-            if (parsedRule.type === RULE_TYPES.NETWORK) {
-                networkRules.push({
-                    id: ruleId++,
-                    priority: 1, // Standardpriorität
-                    action: { type: 'block' }, // Standardaktion
-                    condition: {
-                        urlFilter: parsedRule.pattern,
-                        // Standard-Ressourcentypen, wenn keine angegeben sind
-                        resourceTypes: (parsedRule.options && parsedRule.options.resourceTypes) || [
-                            'main_frame',
-                            'sub_frame',
-                            'script',
-                            'image',
-                            'stylesheet',
-                            'object',
-                            'xmlhttprequest',
-                            'ping',
-                            'media',
-                            'websocket',
-                            'other',
-                        ],
-                    },
-                });
+        await fs.mkdir(LISTS_DIR, { recursive: true });
+
+        let regexRuleCount = 0;
+
+        for (const [index, list] of lists.entries()) {
+            const { start: firstRuleId } = getRulesetIdRange(index);
+            const { rules, cosmetic, metadata, includes, stats } = await compileList(
+                list,
+                firstRuleId,
+                EXTENSION_CONFIG.LIMITS.MAX_REGEX_RULES - regexRuleCount
+            );
+            regexRuleCount += stats.regexRules;
+
+            if (rules.length > RULESET_ID_RANGE) {
+                throw new Error(
+                    `Liste ${list.id} überschreitet ihren ID-Bereich (${rules.length} > ${RULESET_ID_RANGE})`
+                );
+            }
+
+            const outputFile = path.join(LISTS_DIR, list.output);
+            await fs.writeFile(outputFile, JSON.stringify(rules, null, 2), 'utf-8');
+            console.log(`[${list.id}] ${rules.length} Netzwerkregeln geschrieben in ${outputFile}`);
+
+            // Kosmetische Filter als kompakte Ressource für den Service Worker
+            const cosmeticFile = getCompanionPath(outputFile, 'cosmetic');
+            const hasCosmetic = stats.cosmeticFilters > 0 || stats.scriptlets > 0;
+            if (hasCosmetic) {
+                await fs.writeFile(cosmeticFile, JSON.stringify(cosmetic), 'utf-8');
+                console.log(`[${list.id}] ${stats.cosmeticFilters} kosmetische Filter geschrieben in ${cosmeticFile}`);
+            } else {
+                await fs.rm(cosmeticFile, { force: true });
+            }
+
+            // Scriptlets als eigene Datei, die in der MAIN world der Seite läuft
+            const scriptletFile = getCompanionPath(outputFile, 'scriptlets', '.js');
+            if (stats.scriptlets > 0) {
+                await fs.writeFile(scriptletFile, buildScriptletBundle(cosmetic.scriptlets, list.source), 'utf-8');
+                console.log(`[${list.id}] ${stats.scriptlets} Scriptlets geschrieben in ${scriptletFile}`);
+            } else {
+                await fs.rm(scriptletFile, { force: true });
+            }
+
+            const metadataFile = getCompanionPath(outputFile, 'meta');
+            const listMetadata = {
+                id: list.id,
+                source: list.source,
+                ...metadata,
+                includes,
+                ruleCount: rules.length,
+                filterCount: stats.filterCount,
+                cosmeticFilterCount: stats.cosmeticFilters,
+                cosmetic: hasCosmetic ? `filter_lists/${path.basename(cosmeticFile)}` : null,
+                scriptletCount: stats.scriptlets,
+                scriptlets: stats.scriptlets > 0 ? `filter_lists/${path.basename(scriptletFile)}` : null,
+            };
+            await fs.writeFile(metadataFile, JSON.stringify(listMetadata, null, 2), 'utf-8');
+            console.log(
+                `[${list.id}] ${stats.totalLines} Zeilen: ${stats.errors} Fehler, ` +
+                    `${stats.duplicates} Duplikate, ${stats.badfiltered} durch $badfilter aufgehoben, ` +
+                    `${stats.cosmeticSkipped} kosmetische Filter übersprungen`
+            );
+            if (stats.regexRules > 0 || stats.regexRejected > 0) {
+                console.log(
+                    `[${list.id}] Regex-Regeln: ${stats.regexRules} übernommen, ${stats.regexRejected} abgelehnt ` +
+                        `(${regexRuleCount}/${EXTENSION_CONFIG.LIMITS.MAX_REGEX_RULES} insgesamt)`
+                );
+            }
+            const { subsumed, merged, removed } = stats.optimization;
+            if (removed.length > 0) {
+                console.log(
+                    `[${list.id}] Optimierung: ${subsumed} abgedeckte Regeln entfernt, ` +
+                        `${merged} Regeln zusammengefasst`
+                );
+                // Zusammengefasste Regeln bleiben wirksam und werden nicht einzeln aufgeführt
+                for (const removal of removed.filter((entry) => entry.type !== 'merged')) {
+                    console.log(`[${list.id}]   ${removal.text}: ${removal.reason}`);
+                }
             }
         }
 
-        await fs.writeFile(OUTPUT_NETWORK_RULES, JSON.stringify(networkRules, null, 2), 'utf-8');
-        console.log(`${networkRules.length} Netzwerkregeln geschrieben in ${OUTPUT_NETWORK_RULES}`);
+        // Regelsätze in manifest.json mit dem Listen-Manifest abgleichen
+        const manifestText = await fs.readFile(EXTENSION_MANIFEST, 'utf-8');
+        const resources = lists.map((list) => ({
+            id: list.id,
+            enabled: list.enabled !== false,
+            path: `filter_lists/${list.output}`,
+        }));
+        await fs.writeFile(
+            EXTENSION_MANIFEST,
+            updateManifestRuleResources(manifestText, resources),
+            'utf-8'
+        );
+        console.log(`${resources.length} Regelsätze in ${EXTENSION_MANIFEST} registriert`);
 
         console.log('Filter-Präkompilierung erfolgreich abgeschlossen.');
     } catch (error) {
@@ -4,12 +4,56 @@
  * @version 7.1.0
  */
 
-import { settingsStorage, domainStorage } from '../core/storage.js';
+import { settingsStorage, allowlistStorage } from '../core/storage.js';
 import { createLogger } from '../core/logger.js';
 import { EXTENSION_CONFIG } from '../core/config.js';
+import { debounce } from '../core/utilities.js';
+import { compileUserFilters } from '../core/userFilters.js';
+import { ALLOWLIST_SOURCES } from '../core/allowlist.js';
+import { TRACKING_CONFIG } from '../core/trackingConfig.js';
+import { filterLogEntries } from '../core/logStore.js';
 
 const logger = createLogger('Options');
 
+// Anzeigenamen der Regel-Kontingente aus getRuleQuota
+const RULE_QUOTA_LABELS = {
+    dynamic: 'Dynamische Regeln',
+    unsafeDynamic: 'Dynamische Umleitungs- und Header-Regeln',
+    session: 'Sitzungsregeln',
+    regex: 'Regex-Regeln',
+    'range:ALLOW_RULES': 'Regel-IDs für pausierte Websites',
+    'range:TRACKING_RULES': 'Regel-IDs für erkannte Tracker',
+    'range:AUTO_BLOCK_RULES': 'Regel-IDs für automatisch blockierte Tracker',
+    'range:USER_RULES': 'Meine Filter',
+    pausedDomains: 'Einträge der Ausnahmeliste'
+};
+
+// Herkunft der Einträge in der Ausnahmeliste
+const ALLOWLIST_SOURCE_LABELS = {
+    [ALLOWLIST_SOURCES.POPUP]: 'Popup',
+    [ALLOWLIST_SOURCES.OPTIONS]: 'Einstellungen',
+    [ALLOWLIST_SOURCES.IMPORT]: 'Import'
+};
+
+// Anzeigenamen der Log-Level im Diagnose-Protokoll
+const LOG_LEVEL_LABELS = {
+    ERROR: 'Fehler',
+    WARN: 'Warnung',
+    INFO: 'Info',
+    DEBUG: 'Debug'
+};
+
+// Nur für die Live-Prüfung; die IDs vergibt das Background Script beim Speichern
+const USER_FILTER_CHECK_RANGE = { start: 1, end: EXTENSION_CONFIG.LIMITS.MAX_USER_RULES };
+
+// Anzeigenamen der Listen-Kategorien aus filter_lists/lists.json
+const FILTER_LIST_CATEGORIES = {
+    ads: 'Werbung',
+    privacy: 'Tracking-Schutz',
+    annoyances: 'Störelemente',
+    regional: 'Regional'
+};
+
 class OptionsManager {
     constructor() {
         this.settings = {};
@@ -23,7 +67,10 @@ class OptionsManager {
             await this.loadSettings();
             this.setupEventListeners();
             this.updateUI();
+            await this.loadFilterLists();
+            await this.loadUserFilters();
             await this.loadStatistics();
+            await this.loadRuleQuota();
             
             this.isInitialized = true;
             logger.info('Options page initialized');
@@ -52,7 +99,10 @@ class OptionsManager {
     setupEventListeners() {
         // Protection Level
         const protectionLevel = document.getElementById('protection-level');
-        protectionLevel.value = this.settings.protectionLevel || 'standard';
+        // Former levels without a blocking mode (e.g. "custom") show as standard
+        protectionLevel.value = Object.hasOwn(TRACKING_CONFIG.PROTECTION_LEVELS, this.settings.protectionLevel)
+            ? this.settings.protectionLevel
+            : 'standard';
         protectionLevel.addEventListener('change', (e) => {
             this.settings.protectionLevel = e.target.value;
             this.saveSettings();
@@ -90,11 +140,30 @@ class OptionsManager {
             this.saveSettings();
         });
 
+        // My filters
+        const validateUserFilters = debounce(() => this.validateUserFilters(), 300);
+        document.getElementById('user-filters').addEventListener('input', validateUserFilters);
+        document.getElementById('save-user-filters').addEventListener('click', () => {
+            this.saveUserFilters();
+        });
+
         // Advanced buttons
         document.getElementById('manage-whitelist').addEventListener('click', () => {
             this.openWhitelistManager();
         });
 
+        document.getElementById('show-performance-report').addEventListener('click', () => {
+            this.openPerformanceReport();
+        });
+
+        document.getElementById('show-logs').addEventListener('click', () => {
+            this.openLogViewer();
+        });
+
+        document.getElementById('export-diagnostics').addEventListener('click', () => {
+            this.exportDiagnostics();
+        });
+
         document.getElementById('import-filters').addEventListener('click', () => {
             this.importCustomFilters();
         });
@@ -116,27 +185,104 @@ class OptionsManager {
         }
     }
 
+    async loadFilterLists() {
+        const container = document.getElementById('filter-lists');
+        if (!container) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ command: 'getFilterLists' });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            container.innerHTML = '';
+            response.filterLists.forEach(list => {
+                container.appendChild(this.createFilterListItem(list));
+            });
+        } catch (error) {
+            logger.error('Failed to load filter lists', { error: error.message });
+            container.innerHTML = '<p class="empty-state">Filterlisten konnten nicht geladen werden</p>';
+        }
+    }
+
+    createFilterListItem(list) {
+        const item = document.createElement('div');
+        item.className = 'setting-item';
+        item.innerHTML = `
+            <div class="setting-info">
+                <h3></h3>
+                <p></p>
+            </div>
+            <label class="toggle">
+                <input type="checkbox">
+                <span class="toggle-slider"></span>
+            </label>
+        `;
+
+        const category = FILTER_LIST_CATEGORIES[list.category] || list.category;
+        item.querySelector('h3').textContent = list.title;
+        const details = [category, `${list.ruleCount.toLocaleString()} Regeln`];
+        if (list.version) {
+            details.push(`Version ${list.version}`);
+        }
+        item.querySelector('p').textContent = details.join(' · ');
+
+        const checkbox = item.querySelector('input');
+        checkbox.checked = list.enabled;
+        checkbox.addEventListener('change', (e) => {
+            this.toggleFilterList(list, e.target);
+        });
+
+        return item;
+    }
+
+    async toggleFilterList(list, checkbox) {
+        const enabled = checkbox.checked;
+        checkbox.disabled = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                command: 'setFilterListEnabled',
+                rulesetId: list.id,
+                enabled
+            });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            this.showSuccess(`${list.title} ${enabled ? 'aktiviert' : 'deaktiviert'}`);
+            await this.loadStatistics();
+        } catch (error) {
+            logger.error('Failed to toggle filter list', { rulesetId: list.id, error: error.message });
+            checkbox.checked = !enabled;
+            this.showError('Fehler beim Umschalten der Filterliste');
+        } finally {
+            checkbox.disabled = false;
+        }
+    }
+
     async loadStatistics() {
         try {
-            // Total blocked trackers from session
-            const sessionStats = await chrome.runtime.sendMessage({
-                command: 'getSessionStats'
+            // Blocked requests across open tabs from declarativeNetRequest feedback
+            const matchStats = await chrome.runtime.sendMessage({
+                command: 'getMatchStats'
             });
 
-            // Active filter rules
-            const response = await fetch(chrome.runtime.getURL('filter_lists/filter_precompiled.json'));
-            const filterRules = await response.json();
-            const activeRules = Array.isArray(filterRules) ? filterRules.length : 0;
+            // Active filter rules (enabled filter lists only)
+            const { filterLists = [] } = await chrome.runtime.sendMessage({ command: 'getFilterLists' });
+            const activeRules = filterLists
+                .filter(list => list.enabled)
+                .reduce((sum, list) => sum + list.ruleCount, 0);
 
-            // Protected websites (disabled domains count)
-            const disabledDomains = await domainStorage.getDisabledDomains();
-            const websitesProtected = disabledDomains.length;
+            // Protected websites (allowlist entries count)
+            const allowlist = await allowlistStorage.getEntries();
+            const websitesProtected = allowlist.length;
 
             // Storage usage
             const storageUsage = await this.getStorageUsage();
 
             // Update UI
-            this.updateStatCard('total-blocked', sessionStats.totalBlocked || 0);
+            this.updateStatCard('total-blocked', matchStats.totalBlocked || 0);
             this.updateStatCard('active-rules', activeRules);
             this.updateStatCard('websites-protected', websitesProtected);
             this.updateStatCard('storage-usage', `${storageUsage} KB`);
@@ -151,6 +297,106 @@ class OptionsManager {
         }
     }
 
+    async loadUserFilters() {
+        try {
+            const { text = '' } = await chrome.runtime.sendMessage({ command: 'getUserFilters' });
+            document.getElementById('user-filters').value = text;
+            this.validateUserFilters();
+        } catch (error) {
+            logger.warn('Failed to load user filters', { error: error.message });
+        }
+    }
+
+    // Live check while typing; the background compiles the same way when saving
+    validateUserFilters() {
+        const { rejected, stats } = compileUserFilters(
+            document.getElementById('user-filters').value,
+            USER_FILTER_CHECK_RANGE
+        );
+        this.renderUserFilterResult(rejected, stats);
+        return stats;
+    }
+
+    renderUserFilterResult(rejected, stats) {
+        const list = document.getElementById('user-filter-errors');
+        list.replaceChildren(...rejected.map(({ line, rule, reason }) => {
+            const item = document.createElement('li');
+            item.textContent = line ? `Zeile ${line}: ${reason} ` : reason;
+            if (rule) {
+                const code = document.createElement('code');
+                code.textContent = rule;
+                item.appendChild(code);
+            }
+            return item;
+        }));
+
+        const parts = [`${stats.rules.toLocaleString('de-DE')} von ${stats.capacity.toLocaleString('de-DE')} Regeln belegt`];
+        if (stats.regexRules > 0) {
+            parts.push(`davon ${stats.regexRules} Regex`);
+        }
+        if (stats.rejected > 0) {
+            parts.push(`${stats.rejected} abgelehnt`);
+        }
+        document.getElementById('user-filter-status').textContent = parts.join(' · ');
+    }
+
+    async saveUserFilters() {
+        const button = document.getElementById('save-user-filters');
+        button.disabled = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                command: 'saveUserFilters',
+                text: document.getElementById('user-filters').value
+            });
+            if (!response || response.error) {
+                throw new Error(response?.error || 'Keine Antwort vom Hintergrundskript');
+            }
+
+            const { rejected, stats, deferred } = response;
+            this.renderUserFilterResult(rejected, stats);
+            const rejectedInfo = stats.rejected > 0 ? `, ${stats.rejected} Zeilen abgelehnt` : '';
+            this.showSuccess(deferred
+                ? `Meine Filter gespeichert; sie gelten nach Ende der globalen Pause${rejectedInfo}`
+                : `${stats.rules} eigene Regeln aktiv${rejectedInfo}`);
+            await this.loadRuleQuota();
+        } catch (error) {
+            logger.error('Failed to save user filters', { error: error.message });
+            this.showError(`Fehler beim Speichern der Filter: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async loadRuleQuota() {
+        const container = document.getElementById('rule-quota-warning');
+        if (!container) return;
+
+        try {
+            const { warnings = [] } = await chrome.runtime.sendMessage({ command: 'getRuleQuota' });
+            container.replaceChildren();
+
+            if (warnings.length === 0) {
+                container.style.display = 'none';
+                return;
+            }
+
+            const title = document.createElement('strong');
+            title.textContent = '⚠️ Regel-Kontingent fast ausgeschöpft';
+            container.appendChild(title);
+
+            warnings.forEach(({ id, used, limit }) => {
+                const line = document.createElement('p');
+                line.textContent = `${RULE_QUOTA_LABELS[id] || id}: ${used.toLocaleString('de-DE')} von ${limit.toLocaleString('de-DE')} belegt`;
+                container.appendChild(line);
+            });
+            container.style.display = 'block';
+        } catch (error) {
+            logger.warn('Failed to load rule quota', { error: error.message });
+            container.style.display = 'none';
+        }
+    }
+
     updateStatCard(id, value) {
         const element = document.getElementById(id);
         if (element) {
@@ -168,13 +414,15 @@ class OptionsManager {
     }
 
     openWhitelistManager() {
-        // Create and show whitelist modal
-        const modal = this.createModal('Whitelist verwalten', `
+        // Create and show allowlist modal
+        const modal = this.createModal('Ausnahmeliste verwalten', `
             <div class="whitelist-manager">
-                <p>Websites in der Whitelist werden niemals blockiert:</p>
+                <p>Auf diesen Websites wird nichts blockiert. Möglich sind <code>example.com</code> (mit Subdomains),
+                   <code>*.example.com</code> (nur Subdomains) und Pfade wie <code>example.com/shop</code>.</p>
                 <div class="input-group">
                     <input type="text" id="whitelist-input" placeholder="z.B. example.com" />
                     <button id="add-whitelist" class="btn btn-secondary">Hinzufügen</button>
+                    <button id="import-whitelist" class="btn btn-secondary">Importieren</button>
                 </div>
                 <div id="whitelist-list" class="domain-list"></div>
             </div>
@@ -182,11 +430,15 @@ class OptionsManager {
 
         this.loadWhitelistData();
         
-        // Event listeners for whitelist management
+        // Event listeners for allowlist management
         document.getElementById('add-whitelist').addEventListener('click', () => {
             this.addToWhitelist();
         });
 
+        document.getElementById('import-whitelist').addEventListener('click', () => {
+            this.importWhitelist();
+        });
+
         document.getElementById('whitelist-input').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 this.addToWhitelist();
@@ -194,76 +446,306 @@ class OptionsManager {
         });
     }
 
+    openPerformanceReport() {
+        this.createModal('Performance-Bericht', `
+            <div class="performance-report">
+                <p id="performance-report-hint"></p>
+                <table class="timing-table">
+                    <thead>
+                        <tr><th>Messung</th><th>Anzahl</th><th>Ø ms</th><th>max. ms</th><th>letzte ms</th></tr>
+                    </thead>
+                    <tbody id="performance-report-rows"></tbody>
+                </table>
+                <div class="input-group">
+                    <button id="refresh-performance-report" class="btn btn-secondary">Aktualisieren</button>
+                    <button id="clear-performance-report" class="btn btn-secondary">Zurücksetzen</button>
+                </div>
+            </div>
+        `);
+
+        this.loadPerformanceReport();
+
+        document.getElementById('refresh-performance-report').addEventListener('click', () => {
+            this.loadPerformanceReport();
+        });
+
+        document.getElementById('clear-performance-report').addEventListener('click', async () => {
+            await chrome.runtime.sendMessage({ command: 'clearPerformanceReport' });
+            this.loadPerformanceReport();
+        });
+    }
+
+    async loadPerformanceReport() {
+        const rows = document.getElementById('performance-report-rows');
+        const hint = document.getElementById('performance-report-hint');
+        if (!rows) return;
+
+        try {
+            const report = await chrome.runtime.sendMessage({ command: 'getPerformanceReport' });
+            if (report?.error) throw new Error(report.error);
+
+            hint.textContent = report.enabled
+                ? 'Die Messungen werden bei jedem Vorgang aktualisiert.'
+                : 'Performance-Monitoring ist deaktiviert; es kommen keine neuen Messungen hinzu.';
+            rows.replaceChildren();
+
+            if (report.timings.length === 0) {
+                const row = rows.insertRow();
+                const cell = row.insertCell();
+                cell.colSpan = 5;
+                cell.className = 'empty-state';
+                cell.textContent = 'Noch keine Messungen';
+                return;
+            }
+
+            const format = (ms) => ms.toLocaleString('de-DE', { maximumFractionDigits: 1 });
+            report.timings.forEach(({ label, count, average, max, last, lastAt }) => {
+                const row = rows.insertRow();
+                row.title = `Zuletzt gemessen: ${new Date(lastAt).toLocaleString('de-DE')}`;
+                [label, count.toLocaleString('de-DE'), format(average), format(max), format(last)]
+                    .forEach((value) => {
+                        row.insertCell().textContent = value;
+                    });
+            });
+        } catch (error) {
+            logger.error('Failed to load performance report', { error: error.message });
+            hint.textContent = 'Bericht konnte nicht geladen werden';
+        }
+    }
+
+    openLogViewer() {
+        const levelOptions = Object.entries(LOG_LEVEL_LABELS)
+            .map(([level, label]) => `<option value="${level}">${label}</option>`)
+            .join('');
+
+        this.createModal('Diagnose-Protokoll', `
+            <div class="log-viewer">
+                <div class="input-group">
+                    <select id="log-context-filter" class="setting-control">
+                        <option value="">Alle Bereiche</option>
+                    </select>
+                    <select id="log-level-filter" class="setting-control">
+                        <option value="">Alle Level</option>
+                        ${levelOptions}
+                    </select>
+                </div>
+                <div id="log-entries" class="log-list"></div>
+                <div class="input-group">
+                    <button id="refresh-logs" class="btn btn-secondary">Aktualisieren</button>
+                    <button id="clear-logs" class="btn btn-secondary">Leeren</button>
+                </div>
+            </div>
+        `);
+
+        this.logEntries = [];
+        this.loadLogEntries();
+
+        document.getElementById('log-context-filter').addEventListener('change', () => this.renderLogEntries());
+        document.getElementById('log-level-filter').addEventListener('change', () => this.renderLogEntries());
+        document.getElementById('refresh-logs').addEventListener('click', () => this.loadLogEntries());
+        document.getElementById('clear-logs').addEventListener('click', async () => {
+            await chrome.runtime.sendMessage({ command: 'clearLogs' });
+            this.loadLogEntries();
+        });
+    }
+
+    async loadLogEntries() {
+        const contextFilter = document.getElementById('log-context-filter');
+        if (!contextFilter) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ command: 'getLogs' });
+            if (response?.error) throw new Error(response.error);
+            this.logEntries = response.entries;
+        } catch (error) {
+            logger.error('Failed to load diagnostic log', { error: error.message });
+            this.showError('Protokoll konnte nicht geladen werden');
+            return;
+        }
+
+        // Bereiche aus den vorhandenen Einträgen anbieten, die Auswahl bleibt erhalten
+        const selected = contextFilter.value;
+        const contexts = [...new Set(this.logEntries.map(entry => entry.context))].sort();
+        contextFilter.replaceChildren(new Option('Alle Bereiche', ''), ...contexts.map(context => new Option(context, context)));
+        contextFilter.value = contexts.includes(selected) ? selected : '';
+
+        this.renderLogEntries();
+    }
+
+    renderLogEntries() {
+        const container = document.getElementById('log-entries');
+        if (!container) return;
+
+        const entries = filterLogEntries(this.logEntries, {
+            context: document.getElementById('log-context-filter').value,
+            level: document.getElementById('log-level-filter').value
+        });
+        container.replaceChildren();
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="empty-state">Keine Protokolleinträge</p>';
+            return;
+        }
+
+        // Neueste zuerst
+        entries.slice().reverse().forEach(({ timestamp, level, context, message, details }) => {
+            const item = document.createElement('div');
+            item.className = `log-entry log-${level.toLowerCase()}`;
+
+            const meta = document.createElement('span');
+            meta.className = 'log-meta';
+            meta.textContent = `${new Date(timestamp).toLocaleString('de-DE')} · ${LOG_LEVEL_LABELS[level] || level} · ${context}`;
+
+            const text = document.createElement('span');
+            text.className = 'log-message';
+            text.textContent = message;
+
+            item.append(meta, text);
+            if (details !== undefined) {
+                const detailText = document.createElement('pre');
+                detailText.className = 'log-details';
+                detailText.textContent = typeof details === 'string' ? details : JSON.stringify(details, null, 2);
+                item.appendChild(detailText);
+            }
+            container.appendChild(item);
+        });
+    }
+
+    async exportDiagnostics() {
+        try {
+            const diagnostics = await chrome.runtime.sendMessage({ command: 'getDiagnostics' });
+            if (diagnostics?.error) throw new Error(diagnostics.error);
+
+            const blob = new Blob([JSON.stringify(diagnostics, null, 2)], {
+                type: 'application/json'
+            });
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `pagy-blocker-diagnostics-${new Date().toISOString().split('T')[0]}.json`;
+            a.click();
+
+            URL.revokeObjectURL(url);
+            this.showSuccess('Diagnosedaten exportiert');
+        } catch (error) {
+            logger.error('Failed to export diagnostics', { error: error.message });
+            this.showError('Fehler beim Exportieren der Diagnosedaten');
+        }
+    }
+
     async loadWhitelistData() {
-        // This would load whitelist from storage
         const whitelistContainer = document.getElementById('whitelist-list');
         if (!whitelistContainer) return;
 
         try {
-            const whitelist = this.settings.whitelist || [];
-            whitelistContainer.innerHTML = '';
+            const entries = await allowlistStorage.getEntries();
+            whitelistContainer.replaceChildren();
 
-            if (whitelist.length === 0) {
-                whitelistContainer.innerHTML = '<p class="empty-state">Keine Websites in der Whitelist</p>';
+            if (entries.length === 0) {
+                whitelistContainer.innerHTML = '<p class="empty-state">Keine Einträge in der Ausnahmeliste</p>';
                 return;
             }
 
-            whitelist.forEach(domain => {
+            entries.forEach(({ pattern, source, added }) => {
                 const item = document.createElement('div');
                 item.className = 'domain-item';
-                item.innerHTML = `
-                    <span class="domain-name">${domain}</span>
-                    <button class="btn-remove" data-domain="${domain}">×</button>
-                `;
-                
-                item.querySelector('.btn-remove').addEventListener('click', (e) => {
-                    this.removeFromWhitelist(e.target.dataset.domain);
+
+                const name = document.createElement('span');
+                name.className = 'domain-name';
+                name.textContent = pattern;
+
+                const origin = document.createElement('span');
+                origin.className = 'domain-source';
+                origin.textContent = ALLOWLIST_SOURCE_LABELS[source] || source || 'Unbekannt';
+                if (added) {
+                    origin.title = `Hinzugefügt am ${new Date(added).toLocaleString('de-DE')}`;
+                }
+
+                const remove = document.createElement('button');
+                remove.className = 'btn-remove';
+                remove.textContent = '×';
+                remove.title = 'Entfernen';
+                remove.addEventListener('click', () => {
+                    this.removeFromWhitelist(pattern);
                 });
 
+                item.append(name, origin, remove);
                 whitelistContainer.appendChild(item);
             });
         } catch (error) {
-            logger.error('Failed to load whitelist', { error: error.message });
+            logger.error('Failed to load allowlist', { error: error.message });
         }
     }
 
     async addToWhitelist() {
         const input = document.getElementById('whitelist-input');
-        const domain = input.value.trim().toLowerCase();
-        
-        if (!domain) return;
+        if (!input.value.trim()) return;
 
-        if (!this.settings.whitelist) {
-            this.settings.whitelist = [];
-        }
+        try {
+            const { added, pattern } = await allowlistStorage.addEntry(input.value, ALLOWLIST_SOURCES.OPTIONS);
+            if (!added) {
+                this.showError(`${pattern} ist bereits in der Ausnahmeliste`);
+                return;
+            }
 
-        if (this.settings.whitelist.includes(domain)) {
-            this.showError('Domain bereits in der Whitelist');
-            return;
+            input.value = '';
+            this.loadWhitelistData();
+            this.showSuccess(`${pattern} zur Ausnahmeliste hinzugefügt`);
+        } catch (error) {
+            this.showError(error.message);
         }
+    }
 
-        this.settings.whitelist.push(domain);
-        await this.saveSettings();
-        
-        input.value = '';
-        this.loadWhitelistData();
-        this.showSuccess(`${domain} zur Whitelist hinzugefügt`);
+    async removeFromWhitelist(pattern) {
+        try {
+            await allowlistStorage.removeEntries([pattern]);
+
+            this.loadWhitelistData();
+            this.showSuccess(`${pattern} aus der Ausnahmeliste entfernt`);
+        } catch (error) {
+            logger.error('Failed to remove allowlist entry', { error: error.message });
+            this.showError(error.message);
+        }
     }
 
-    async removeFromWhitelist(domain) {
-        if (!this.settings.whitelist) return;
+    // One pattern per line; lines starting with # or ! are comments
+    importWhitelist() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.txt';
 
-        this.settings.whitelist = this.settings.whitelist.filter(d => d !== domain);
-        await this.saveSettings();
-        
-        this.loadWhitelistData();
-        this.showSuccess(`${domain} aus der Whitelist entfernt`);
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const lines = (await file.text())
+                    .split(/\r?\n/)
+                    .map(line => line.trim())
+                    .filter(line => line && !line.startsWith('#') && !line.startsWith('!'));
+                const { added, duplicates, invalid } = await allowlistStorage.addEntries(lines, ALLOWLIST_SOURCES.IMPORT);
+                if (invalid.length > 0) {
+                    logger.warn('Skipped invalid allowlist lines during import', { file: file.name, invalid: invalid.slice(0, 20) });
+                }
+
+                this.loadWhitelistData();
+                const skippedInfo = invalid.length > 0 ? `, ${invalid.length} ungültige Zeilen übersprungen` : '';
+                const duplicateInfo = duplicates.length > 0 ? `, ${duplicates.length} bereits vorhanden` : '';
+                this.showSuccess(`${added.length} Einträge aus ${file.name} importiert${duplicateInfo}${skippedInfo}`);
+            } catch (error) {
+                logger.error('Failed to import allowlist', { error: error.message });
+                this.showError('Fehler beim Importieren der Ausnahmeliste');
+            }
+        });
+
+        input.click();
     }
 
     importCustomFilters() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.txt,.json';
+        input.accept = '.txt';
         
         input.addEventListener('change', async (e) => {
             const file = e.target.files[0];
@@ -271,27 +753,19 @@ class OptionsManager {
 
             try {
                 const content = await file.text();
-                // Parse and validate filter content
-                const filters = this.parseFilterFile(content, file.name);
-                
-                if (filters.length === 0) {
+                const { stats } = compileUserFilters(content, USER_FILTER_CHECK_RANGE);
+                if (stats.rules === 0) {
                     this.showError('Keine gültigen Filter gefunden');
                     return;
                 }
 
-                // Add to custom filters
-                if (!this.settings.customFilters) {
-                    this.settings.customFilters = [];
-                }
-                
-                this.settings.customFilters.push({
-                    name: file.name,
-                    filters: filters,
-                    imported: Date.now()
-                });
-
-                await this.saveSettings();
-                this.showSuccess(`${filters.length} Filter aus ${file.name} importiert`);
+                // Imported lines become part of "Meine Filter" and are compiled with them
+                const editor = document.getElementById('user-filters');
+                editor.value = [editor.value.trimEnd(), `! Importiert aus ${file.name}`, content.trim()]
+                    .filter(Boolean)
+                    .join('\n');
+                this.validateUserFilters();
+                await this.saveUserFilters();
                 
             } catch (error) {
                 logger.error('Failed to import filters', { error: error.message });
@@ -302,32 +776,6 @@ class OptionsManager {
         input.click();
     }
 
-    parseFilterFile(content, filename) {
-        const filters = [];
-        
-        if (filename.endsWith('.json')) {
-            try {
-                const jsonData = JSON.parse(content);
-                if (Array.isArray(jsonData)) {
-                    return jsonData.filter(item => item.condition && item.action);
-                }
-            } catch (e) {
-                // Fall back to text parsing
-            }
-        }
-
-        // Parse as text filter list
-        const lines = content.split('\n');
-        for (const line of lines) {
-            const cleanLine = line.trim();
-            if (cleanLine && !cleanLine.startsWith('!') && !cleanLine.startsWith('#')) {
-                filters.push(cleanLine);
-            }
-        }
-
-        return filters;
-    }
-
     async exportSettings() {
         try {
             const exportData = {
@@ -540,6 +988,13 @@ const additionalStyles = `
 .domain-name {
     font-family: monospace;
     font-size: 14px;
+    flex: 1;
+}
+
+.domain-source {
+    margin: 0 12px;
+    font-size: 12px;
+    color: var(--text-muted);
 }
 
 .btn-remove {
@@ -555,6 +1010,72 @@ const additionalStyles = `
     justify-content: center;
 }
 
+.timing-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 13px;
+}
+
+.timing-table th,
+.timing-table td {
+    padding: 6px 8px;
+    border-bottom: 1px solid var(--border-color);
+    text-align: right;
+}
+
+.timing-table th:first-child,
+.timing-table td:first-child {
+    text-align: left;
+    font-family: monospace;
+}
+
+.timing-table td.log-list {
+    max-height: 360px;
+    overflow-y: auto;
+}
+
+.log-entry {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    padding: 8px 12px;
+    margin: 4px 0;
+    background: var(--bg-tertiary);
+    border-left: 3px solid var(--border-color);
+    border-radius: 6px;
+}
+
+.log-entry.log-error {
+    border-left-color: var(--accent-danger);
+}
+
+.log-entry.log-warn {
+    border-left-color: var(--accent-warning);
+}
+
+.log-meta {
+    font-size: 12px;
+    color: var(--text-muted);
+}
+
+.log-message {
+    font-size: 14px;
+    word-break: break-word;
+}
+
+.log-details {
+    margin: 0;
+    font-size: 12px;
+    white-space: pre-wrap;
+    word-break: break-all;
+    color: var(--text-secondary);
+}
+
+.empty-state {
+    text-align: center;
+    font-family: inherit;
+}
+
 .empty-state {
     text-align: center;
     color: var(--text-muted);
@@ -612,6 +1133,15 @@ if (document.readyState === 'loading') {
     optionsManager.initialize();
 }
 
+// The popup changes the allowlist too; keep the open list and this page's cache current
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const change = changes[EXTENSION_CONFIG.STORAGE_KEYS.ALLOWLIST];
+    if (areaName !== 'local' || !change) return;
+
+    allowlistStorage.updateCache(EXTENSION_CONFIG.STORAGE_KEYS.ALLOWLIST, change.newValue);
+    optionsManager.loadWhitelistData();
+});
+
 // Refresh statistics every 30 seconds
 setInterval(() => {
     if (optionsManager.isInitialized) {
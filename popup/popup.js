@@ -14,6 +14,10 @@ class PagyPopup {
             enableSwitch: document.getElementById('enable-switch'),
             statusText: document.getElementById('status-text'),
             domainText: document.getElementById('domain-text'),
+            pauseOptions: document.getElementById('pause-options'),
+            globalPause: document.getElementById('global-pause'),
+            globalPauseText: document.getElementById('global-pause-text'),
+            globalResume: document.getElementById('global-resume'),
             filterCountEl: document.getElementById('filter-count'),
             trackingStats: document.getElementById('tracking-stats'),
             currentSiteBlocked: document.getElementById('current-site-blocked'),
@@ -29,6 +33,8 @@ class PagyPopup {
         };
         
         this.debouncedToggle = debounce(this.handleToggle.bind(this), 300);
+        this.handlePauseClick = this.handlePauseClick.bind(this);
+        this.handleGlobalPauseClick = this.handleGlobalPauseClick.bind(this);
         this.init();
     }
 
@@ -53,6 +59,8 @@ class PagyPopup {
 
     setupEventListeners() {
         this.elements.enableSwitch.addEventListener('change', this.debouncedToggle);
+        this.elements.pauseOptions.addEventListener('click', this.handlePauseClick);
+        this.elements.globalPause.addEventListener('click', this.handleGlobalPauseClick);
         
         // Add error recovery on focus
         window.addEventListener('focus', () => {
@@ -101,12 +109,20 @@ class PagyPopup {
     }
 
     async renderUI(data) {
-        const { isPaused, domain, filterCount } = data;
+        const { isPaused, temporaryPause, globalPause, domain, tabId, filterCount } = data;
         this.state.currentDomain = domain;
-
-        if (domain && this.isValidDomain(domain)) {
-            this.updateForValidDomain(domain, isPaused);
-            await this.updateTrackingStats(domain);
+        this.renderGlobalPause(globalPause);
+
+        if (globalPause) {
+            this.updateForGlobalPause(globalPause);
+            if (domain && this.isValidDomain(domain)) {
+                await this.updateTrackingStats(tabId);
+            } else {
+                this.hideTrackingStats();
+            }
+        } else if (domain && this.isValidDomain(domain)) {
+            this.updateForValidDomain(domain, isPaused, temporaryPause);
+            await this.updateTrackingStats(tabId);
         } else {
             this.updateForInvalidDomain();
             this.hideTrackingStats();
@@ -115,15 +131,53 @@ class PagyPopup {
         this.updateFilterCount(filterCount);
     }
 
-    updateForValidDomain(domain, isPaused) {
+    updateForValidDomain(domain, isPaused, temporaryPause) {
         this.elements.enableSwitch.disabled = false;
         this.elements.enableSwitch.checked = !isPaused;
         this.elements.statusText.textContent = isPaused ? 'Deaktiviert auf:' : 'Aktiv auf:';
-        this.elements.domainText.textContent = sanitizeInput(domain);
+        this.elements.domainText.textContent = temporaryPause
+            ? `${sanitizeInput(domain)} (${this.formatPauseEnd(temporaryPause.until)})`
+            : sanitizeInput(domain);
         this.elements.statusText.className = isPaused ? 'status-disabled' : 'status-active';
+        this.setPauseOptionsVisible(!isPaused);
+    }
+
+    updateForGlobalPause(globalPause) {
+        // Per-site controls have no effect while everything is paused
+        this.elements.enableSwitch.disabled = true;
+        this.elements.enableSwitch.checked = false;
+        this.elements.statusText.textContent = 'Überall pausiert';
+        this.elements.domainText.textContent = this.formatPauseEnd(globalPause.until, 'bis zum Fortsetzen');
+        this.elements.statusText.className = 'status-disabled';
+        this.setPauseOptionsVisible(false);
+    }
+
+    renderGlobalPause(globalPause) {
+        const isPaused = Boolean(globalPause);
+        this.elements.globalPauseText.textContent = isPaused ? 'Blockierung pausiert' : 'Überall pausieren:';
+        this.elements.globalPause.querySelectorAll('[data-global-duration]').forEach(button => {
+            button.style.display = isPaused ? 'none' : '';
+            button.disabled = false;
+        });
+        this.elements.globalResume.style.display = isPaused ? '' : 'none';
+        this.elements.globalResume.disabled = false;
+    }
+
+    formatPauseEnd(until, indefiniteText = 'bis zum Neustart') {
+        if (until === null) return indefiniteText;
+        const time = new Date(until).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+        return `bis ${time} Uhr`;
+    }
+
+    setPauseOptionsVisible(visible) {
+        this.elements.pauseOptions.style.display = visible ? 'flex' : 'none';
+        this.elements.pauseOptions.querySelectorAll('button').forEach(button => {
+            button.disabled = !visible;
+        });
     }
 
     updateForInvalidDomain() {
+        this.setPauseOptionsVisible(false);
         this.elements.enableSwitch.disabled = true;
         this.elements.enableSwitch.checked = false;
         this.elements.statusText.textContent = 'Keine gültige Webseite';
@@ -193,6 +247,86 @@ class PagyPopup {
         }
     }
 
+    async handlePauseClick(event) {
+        const duration = event.target.closest('[data-duration]')?.dataset.duration;
+        if (!duration || !this.state.currentDomain || this.state.isUpdating) {
+            return;
+        }
+
+        this.state.isUpdating = true;
+        const originalState = this.captureCurrentState();
+
+        try {
+            this.setLoadingState();
+            this.setPauseOptionsVisible(false);
+
+            const response = await chrome.runtime.sendMessage({
+                command: 'pauseDomain',
+                domain: this.state.currentDomain,
+                duration
+            });
+
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            popupLogger.info('Domain paused temporarily', {
+                domain: this.state.currentDomain,
+                duration
+            });
+
+            // Popup will close automatically after page reload
+
+        } catch (error) {
+            popupLogger.error('Failed to pause domain', {
+                domain: this.state.currentDomain,
+                error: error.message
+            });
+
+            this.restoreState(originalState);
+            this.showError('Fehler beim Pausieren');
+
+            setTimeout(() => {
+                if (!this.state.isUpdating) {
+                    this.updateUI();
+                }
+            }, 2000);
+        }
+    }
+
+    async handleGlobalPauseClick(event) {
+        const button = event.target.closest('button');
+        if (!button || this.state.isUpdating) {
+            return;
+        }
+
+        const paused = button !== this.elements.globalResume;
+        this.state.isUpdating = true;
+        this.elements.globalPause.querySelectorAll('button').forEach(item => {
+            item.disabled = true;
+        });
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                command: 'setGlobalPause',
+                paused,
+                duration: button.dataset.globalDuration
+            });
+
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            popupLogger.info('Global pause changed', { paused, duration: button.dataset.globalDuration });
+        } catch (error) {
+            popupLogger.error('Failed to change global pause', { error: error.message });
+            this.showError('Fehler beim Pausieren');
+        } finally {
+            this.state.isUpdating = false;
+            await this.updateUI();
+        }
+    }
+
     captureCurrentState() {
         return {
             statusText: this.elements.statusText.textContent,
@@ -223,40 +357,27 @@ class PagyPopup {
         this.elements.filterCountEl.textContent = 'N/A';
         this.elements.enableSwitch.disabled = true;
         this.elements.enableSwitch.checked = false;
+        this.setPauseOptionsVisible(false);
         this.state.isUpdating = false;
     }
 
-    async updateTrackingStats(domain) {
+    async updateTrackingStats(tabId) {
         try {
-            popupLogger.debug('Loading tracking stats for domain', { domain });
+            popupLogger.debug('Loading match stats for tab', { tabId });
             
-            // Get session stats from background script
-            const sessionStats = await chrome.runtime.sendMessage({ 
-                command: 'getSessionStats',
-                domain: domain 
-            });
-
-            if (sessionStats?.error) {
-                throw new Error(sessionStats.error);
-            }
-
-            // Get overall session stats (total blocked across all sites)
-            const overallSessionStats = await chrome.runtime.sendMessage({ 
-                command: 'getSessionStats'
-                // No domain parameter = get overall stats
+            // Counts come from declarativeNetRequest match feedback for this tab
+            const matchStats = await chrome.runtime.sendMessage({ 
+                command: 'getMatchStats',
+                tabId 
             });
 
-            if (overallSessionStats?.error) {
-                throw new Error(overallSessionStats.error);
+            if (!matchStats || matchStats.error) {
+                throw new Error(matchStats?.error || 'No match stats received');
             }
 
-            popupLogger.debug('Received tracking stats', { 
-                sessionStats, 
-                overallSessionStats,
-                domain 
-            });
+            popupLogger.debug('Received match stats', { matchStats });
 
-            this.renderTrackingStats(sessionStats, overallSessionStats);
+            this.renderTrackingStats(matchStats);
             this.elements.trackingStats.style.display = 'block';
 
         } catch (error) {
@@ -267,22 +388,18 @@ class PagyPopup {
         }
     }
 
-    renderTrackingStats(sessionStats, trackingStats) {
-        // Clear previous debug content
-        const existingDebug = this.elements.trackingStats.querySelectorAll('[data-debug]');
-        existingDebug.forEach(el => el.remove());
-
-        let currentSiteStats = sessionStats || { blockedCount: 0, trackerDomains: [] };
-        const totalStats = trackingStats || { totalBlocked: 0, blockedDomains: [] };
-
+    renderTrackingStats(matchStats) {
+        this.elements.currentSiteBlocked.textContent = matchStats.blockedCount || 0;
+        this.elements.totalSessionBlocked.textContent = matchStats.totalBlocked || 0;
 
-        // Update current site stats (now using potentially modified currentSiteStats)
-        this.elements.currentSiteBlocked.textContent = currentSiteStats.blockedCount || 0;
-        this.elements.currentSiteTrackers.textContent = currentSiteStats.trackerDomains?.length || 0;
-        this.elements.totalSessionBlocked.textContent = totalStats.totalBlocked || 0;
-
-        // Render tracker list for current site
-        this.renderTrackerList(currentSiteStats.trackerDomains || []);
+        // Request domains are only known in unpacked builds; otherwise list the filter lists
+        if (matchStats.domains) {
+            this.elements.currentSiteTrackers.textContent = matchStats.domains.length;
+            this.renderTrackerList(matchStats.domains.map(({ domain, count }) => ({ label: domain, count })));
+        } else {
+            this.elements.currentSiteTrackers.textContent = '–';
+            this.renderTrackerList(matchStats.rulesets.map(({ title, count }) => ({ label: title, count })));
+        }
     }
 
     renderBasicTrackingStats() {
@@ -293,33 +410,18 @@ class PagyPopup {
         this.elements.trackerList.innerHTML = '<div class="tracker-item"><span class="tracker-domain">Lädt...</span></div>';
     }
 
-    renderTrackerList(trackerDomains) {
-        if (!trackerDomains || trackerDomains.length === 0) {
-            this.elements.trackerList.innerHTML = '<div class="tracker-item"><span class="tracker-domain">Keine Tracker erkannt</span></div>';
+    renderTrackerList(entries) {
+        if (!entries || entries.length === 0) {
+            this.elements.trackerList.innerHTML = '<div class="tracker-item"><span class="tracker-domain">Keine Anfragen blockiert</span></div>';
             return;
         }
 
-        // Group trackers by domain and count requests
-        const trackerCounts = {};
-        trackerDomains.forEach(domain => {
-            if (typeof domain === 'string') {
-                trackerCounts[domain] = (trackerCounts[domain] || 0) + 1;
-            } else if (domain && domain.domain) {
-                const key = domain.domain;
-                trackerCounts[key] = domain.count || 1;
-            }
-        });
-
-        // Sort by request count (descending)
-        const sortedTrackers = Object.entries(trackerCounts)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10); // Show max 10 trackers
-
-        // Render tracker items
-        this.elements.trackerList.innerHTML = sortedTrackers
-            .map(([domain, count]) => `
+        // Entries arrive sorted by count (descending)
+        this.elements.trackerList.innerHTML = entries
+            .slice(0, 10) // Show max 10 entries
+            .map(({ label, count }) => `
                 <div class="tracker-item">
-                    <span class="tracker-domain" title="${sanitizeInput(domain)}">${sanitizeInput(this.truncateDomain(domain))}</span>
+                    <span class="tracker-domain" title="${sanitizeInput(label)}">${sanitizeInput(this.truncateDomain(label))}</span>
                     <span class="tracker-count">${count}</span>
                 </div>
             `).join('');
@@ -352,6 +454,8 @@ class PagyPopup {
         
         // Remove event listeners
         this.elements.enableSwitch?.removeEventListener('change', this.debouncedToggle);
+        this.elements.pauseOptions?.removeEventListener('click', this.handlePauseClick);
+        this.elements.globalPause?.removeEventListener('click', this.handleGlobalPauseClick);
         window.removeEventListener('focus', this.updateUI);
         
         popupLogger.debug('Popup destroyed');
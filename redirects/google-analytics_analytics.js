@@ -0,0 +1,70 @@
+/**
+ * @file redirects/google-analytics_analytics.js
+ * @description Ersatz für google-analytics.com/analytics.js. Stellt ein funktionsloses ga()
+ *              bereit und ruft hitCallback-Funktionen auf, damit Seiten, die auf das
+ *              Tracking warten (z.B. bei Link-Klicks oder Formularen), weiter funktionieren.
+ * @version 7.1.0
+ */
+(function () {
+    'use strict';
+
+    const noop = function () {};
+
+    const tracker = {
+        get: noop,
+        set: noop,
+        send: noop,
+    };
+
+    // Callbacks stecken entweder in einem Feldobjekt oder als letztes Argument
+    const runCallbacks = function (args) {
+        const last = args[args.length - 1];
+        if (last instanceof Object && typeof last.hitCallback === 'function') {
+            try {
+                last.hitCallback();
+            } catch (error) {
+                // Fehler der Seite nicht an das Ersatzskript weiterreichen
+            }
+        }
+        if (typeof args[0] === 'function') {
+            try {
+                args[0](tracker);
+            } catch (error) {
+                // siehe oben
+            }
+        }
+    };
+
+    const gaName = window.GoogleAnalyticsObject || 'ga';
+    const queue = window[gaName] && Array.isArray(window[gaName].q) ? window[gaName].q : [];
+
+    const ga = function () {
+        runCallbacks(arguments);
+    };
+    ga.create = function () {
+        return tracker;
+    };
+    ga.getByName = function () {
+        return tracker;
+    };
+    ga.getAll = function () {
+        return [tracker];
+    };
+    ga.remove = noop;
+    ga.loaded = true;
+
+    window[gaName] = ga;
+
+    // Bereits vor dem Laden eingereihte Aufrufe abarbeiten
+    for (const args of queue) {
+        runCallbacks(args);
+    }
+
+    const dataLayer = window.dataLayer;
+    if (dataLayer instanceof Object && dataLayer.hide instanceof Object) {
+        if (typeof dataLayer.hide.end === 'function') {
+            dataLayer.hide.end();
+            dataLayer.hide.end = noop;
+        }
+    }
+})();
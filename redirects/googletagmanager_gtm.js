@@ -0,0 +1,46 @@
+/**
+ * @file redirects/googletagmanager_gtm.js
+ * @description Ersatz für googletagmanager.com/gtm.js. Beantwortet dataLayer-Ereignisse mit
+ *              eventCallback, damit Seiten, die auf den Tag Manager warten, nicht hängen bleiben.
+ * @version 7.1.0
+ */
+(function () {
+    'use strict';
+
+    const noop = function () {};
+
+    window.ga = window.ga || noop;
+
+    const dataLayer = window.dataLayer;
+    if (dataLayer instanceof Object === false) {
+        return;
+    }
+
+    // Anti-Flicker-Snippets blenden die Seite aus, bis der Tag Manager geladen ist
+    if (dataLayer.hide instanceof Object && typeof dataLayer.hide.end === 'function') {
+        dataLayer.hide.end();
+        dataLayer.hide.end = noop;
+    }
+
+    const runEventCallback = function (event) {
+        if (event instanceof Object === false || typeof event.eventCallback !== 'function') {
+            return;
+        }
+        setTimeout(function () {
+            try {
+                event.eventCallback();
+            } catch (error) {
+                // Fehler der Seite nicht an das Ersatzskript weiterreichen
+            }
+        }, 1);
+    };
+
+    if (Array.isArray(dataLayer)) {
+        const originalPush = dataLayer.push;
+        dataLayer.push = function (event) {
+            runEventCallback(event);
+            return originalPush.apply(this, arguments);
+        };
+        dataLayer.forEach(runEventCallback);
+    }
+})();
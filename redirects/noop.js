@@ -0,0 +1,8 @@
+/**
+ * @file redirects/noop.js
+ * @description Leeres Ersatzskript für umgeleitete Skript-Anfragen.
+ * @version 7.1.0
+ */
+(function () {
+    'use strict';
+})();
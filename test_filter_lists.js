@@ -0,0 +1,176 @@
+import assert from 'assert';
+import { getRulesetIdRange, updateManifestRuleResources } from './filter_precompiler.js';
+import {
+    evaluateCondition,
+    parseListMetadata,
+    preprocessFilterList,
+    resolveIncludePath,
+} from './core/listPreprocessor.js';
+
+console.log('🧪 Running Pagy Blocker Filter List Tests');
+console.log('=========================================');
+
+const testResults = [];
+
+function runTest(name, testFunction) {
+    try {
+        testFunction();
+        console.log(`✅ ${name}`);
+        testResults.push({ name, passed: true });
+    } catch (error) {
+        console.error(`❌ ${name}`);
+        console.error(`   Error: ${error.message}`);
+        testResults.push({ name, passed: false, error: error.message });
+    }
+}
+
+runTest('Should give every list its own rule id range', () => {
+    const first = getRulesetIdRange(0);
+    const second = getRulesetIdRange(1);
+    assert.strictEqual(first.start, 1);
+    assert.strictEqual(second.start, first.end + 1);
+    assert.strictEqual(second.end - second.start, first.end - first.start);
+});
+
+runTest('Should replace only the rule_resources block of the manifest', () => {
+    const manifestText = [
+        '{',
+        '    "name": "Pagy Blocker",',
+        '    "declarative_net_request": {',
+        '        "rule_resources": [',
+        '            { "id": "old", "enabled": true, "path": "old.json" }',
+        '        ]',
+        '    },',
+        '    "permissions": ["storage"]',
+        '}',
+    ].join('\n');
+    const resources = [
+        { id: 'ads', enabled: true, path: 'filter_lists/ads.json' },
+        { id: 'privacy', enabled: false, path: 'filter_lists/privacy.json' },
+    ];
+
+    const updated = updateManifestRuleResources(manifestText, resources);
+    const manifest = JSON.parse(updated);
+    assert.deepStrictEqual(manifest.declarative_net_request.rule_resources, resources);
+    assert.deepStrictEqual(manifest.permissions, ['storage']);
+    assert(updated.startsWith('{\n    "name": "Pagy Blocker",'));
+
+    assert.throws(() => updateManifestRuleResources('{}', resources), /rule_resources/);
+});
+
+runTest('Should evaluate !#if conditions with !, && and ||', () => {
+    assert.strictEqual(evaluateCondition('env_chromium'), true);
+    assert.strictEqual(evaluateCondition('!env_firefox'), true);
+    assert.strictEqual(evaluateCondition('env_chromium && env_firefox'), false);
+    assert.strictEqual(evaluateCondition('env_firefox || env_mv3'), true);
+    assert.strictEqual(evaluateCondition('!(env_firefox || env_safari) && env_mv3'), true);
+    // && bindet stärker als ||
+    assert.strictEqual(evaluateCondition('env_chromium || env_firefox && env_safari'), true);
+    assert.strictEqual(evaluateCondition('unknown_token'), false);
+    assert.throws(() => evaluateCondition('(env_chromium'), /Klammer/);
+    assert.throws(() => evaluateCondition('env_chromium &&'), /Ungültiger Ausdruck/);
+});
+
+runTest('Should resolve nested !#if blocks and report unterminated ones', () => {
+    const { lines, errors } = preprocessFilterList([
+        '||always.example^',
+        '!#if env_chromium',
+        '||chromium.example^',
+        '!#if env_firefox',
+        '||firefox.example^',
+        '!#else',
+        '||not-firefox.example^',
+        '!#endif',
+        '!#endif',
+        '!#if env_safari',
+        '||safari.example^',
+        '!#endif',
+    ].join('\n'));
+    assert.deepStrictEqual(
+        lines.map((line) => line.text),
+        ['||always.example^', '||chromium.example^', '||not-firefox.example^']
+    );
+    assert.strictEqual(errors.length, 0);
+
+    const unterminated = preprocessFilterList('!#if env_chromium\n||a.example^\n!#else\n!#else\n!#endif\n!#endif');
+    assert.deepStrictEqual(
+        unterminated.errors.map((error) => [error.line, error.reason]),
+        [[4, '!#else ohne passendes !#if'], [6, '!#endif ohne passendes !#if']]
+    );
+    const open = preprocessFilterList('!#if env_chromium\n||a.example^');
+    assert.deepStrictEqual(open.lines.map((line) => line.text), ['||a.example^']);
+    assert.match(open.errors[0].reason, /nicht abgeschlossene/);
+});
+
+runTest('Should only include files inside the list directory', () => {
+    assert.strictEqual(resolveIncludePath('ads.txt', 'extra/more.txt'), 'extra/more.txt');
+    assert.strictEqual(resolveIncludePath('extra/more.txt', '../ads.txt'), 'ads.txt');
+    assert.strictEqual(resolveIncludePath('ads.txt', '../secret.txt'), null);
+    assert.strictEqual(resolveIncludePath('ads.txt', '/etc/hosts'), null);
+    assert.strictEqual(resolveIncludePath('ads.txt', 'https://example.com/list.txt'), null);
+    assert.strictEqual(resolveIncludePath('ads.txt', 'extra\\more.txt'), null);
+
+    const files = {
+        'main.txt': '||main.example^\n!#include part.txt\n!#include missing.txt\n!#include ../outside.txt',
+        'part.txt': '||part.example^\n!#include main.txt',
+    };
+    const result = preprocessFilterList(files['main.txt'], {
+        source: 'main.txt',
+        resolveInclude: (includePath) => files[includePath] ?? null,
+    });
+    assert.deepStrictEqual(result.lines.map((line) => [line.source, line.text]), [
+        ['main.txt', '||main.example^'],
+        ['part.txt', '||part.example^'],
+    ]);
+    assert.deepStrictEqual(result.includes, ['part.txt']);
+    assert.deepStrictEqual(
+        result.errors.map((error) => `${error.source}:${error.line} ${error.reason}`),
+        [
+            'part.txt:2 Zirkulärer Include: main.txt',
+            'main.txt:3 Include nicht gefunden: missing.txt',
+            'main.txt:4 Unzulässiger Include-Pfad: !#include ../outside.txt',
+        ]
+    );
+});
+
+runTest('Should read the list header until the first rule', () => {
+    const filterText = [
+        '[Adblock Plus 2.0]',
+        '! Title: Pagy Test List',
+        '! Version: 202501011200',
+        '! Expires: 4 days (update frequency)',
+        '! Homepage: https://example.com/list',
+        '! Title: Ignored Second Title',
+        '||ads.example^',
+        '! License: not read after the header',
+    ].join('\n');
+    assert.deepStrictEqual(parseListMetadata(filterText), {
+        title: 'Pagy Test List',
+        version: '202501011200',
+        expires: '4 days (update frequency)',
+        homepage: 'https://example.com/list',
+        expiresHours: 96,
+    });
+    assert.deepStrictEqual(parseListMetadata('||ads.example^\n! Title: Too late'), {});
+});
+
+console.log('\n==========================================');
+console.log('📊 Test Results Summary');
+console.log('==========================================');
+
+const passedTests = testResults.filter((test) => test.passed);
+const failedTests = testResults.filter((test) => !test.passed);
+
+console.log(`✅ Passed: ${passedTests.length}`);
+console.log(`❌ Failed: ${failedTests.length}`);
+console.log(`📊 Total:  ${testResults.length}`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test) => {
+        console.log(`   - ${test.name}: ${test.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🏆 All filter list tests passed!');
+}
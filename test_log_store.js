@@ -0,0 +1,122 @@
+import assert from 'assert';
+import { filterLogEntries, planLogAppend, redactLogEntries, sanitizeLogEntry } from './core/logStore.js';
+import { LOG_CONFIG } from './core/config.js';
+
+console.log('🧪 Running Pagy Blocker Log Store Tests');
+console.log('=======================================');
+
+const testResults = [];
+
+function runTest(name, testFunction) {
+    try {
+        testFunction();
+        console.log(`✅ ${name}`);
+        testResults.push({ name, passed: true });
+    } catch (error) {
+        console.error(`❌ ${name}`);
+        console.error(`   Error: ${error.message}`);
+        testResults.push({ name, passed: false, error: error.message });
+    }
+}
+
+runTest('Should normalize log entries and reject unknown levels', () => {
+    const entry = sanitizeLogEntry({
+        timestamp: '2025-01-01T00:00:00.000Z',
+        level: 'warn',
+        context: 'Popup',
+        message: 'UI update failed',
+        details: {}
+    });
+    assert.deepStrictEqual(entry, {
+        timestamp: Date.parse('2025-01-01T00:00:00.000Z'),
+        level: 'WARN',
+        context: 'Popup',
+        message: 'UI update failed'
+    });
+    assert.strictEqual(sanitizeLogEntry({ level: 'TRACE', message: 'x' }), null);
+    assert.strictEqual(sanitizeLogEntry({ level: 'ERROR' }), null);
+
+    const oversized = sanitizeLogEntry({ level: 'INFO', message: 'x', details: { data: 'a'.repeat(5000) } });
+    assert.strictEqual(typeof oversized.details, 'string');
+    assert(oversized.details.length <= LOG_CONFIG.MAX_DETAILS_LENGTH + 1);
+});
+
+runTest('Should filter entries by context and level', () => {
+    const entries = [
+        { timestamp: 1, level: 'ERROR', context: 'Background', message: 'a' },
+        { timestamp: 2, level: 'INFO', context: 'Background', message: 'b' },
+        { timestamp: 3, level: 'ERROR', context: 'Content', message: 'c' }
+    ];
+    assert.deepStrictEqual(filterLogEntries(entries, { level: 'ERROR' }).map((entry) => entry.message), ['a', 'c']);
+    assert.deepStrictEqual(filterLogEntries(entries, { context: 'Background', level: 'INFO' }).map((entry) => entry.message), ['b']);
+    assert.strictEqual(filterLogEntries(entries).length, 3);
+});
+
+runTest('Should append to the newest chunk and drop the oldest chunks', () => {
+    const size = LOG_CONFIG.LOG_CHUNK_SIZE;
+    const maxChunks = Math.ceil(LOG_CONFIG.MAX_STORED_ENTRIES / size);
+    const entries = (count) => Array.from({ length: count }, (_, i) => ({ message: `m${i}` }));
+
+    const first = planLogAppend(null, [], entries(size + 1));
+    assert.deepStrictEqual(first.index, { first: 0, last: 1 });
+    assert.deepStrictEqual(Object.keys(first.writes), ['diagnosticLogs:0', 'diagnosticLogs:1']);
+    assert.strictEqual(first.writes['diagnosticLogs:0'].length, size);
+    assert.deepStrictEqual(first.removals, []);
+
+    // Only the newest chunk is rewritten by a small flush
+    const flush = planLogAppend(first.index, first.writes['diagnosticLogs:1'], entries(2));
+    assert.deepStrictEqual(Object.keys(flush.writes), ['diagnosticLogs:1']);
+    assert.strictEqual(flush.writes['diagnosticLogs:1'].length, 3);
+
+    const full = { first: 0, last: maxChunks - 1 };
+    const rotated = planLogAppend(full, entries(size), entries(1));
+    assert.deepStrictEqual(rotated.index, { first: 1, last: maxChunks });
+    assert.deepStrictEqual(rotated.removals, ['diagnosticLogs:0']);
+    assert.deepStrictEqual(Object.keys(rotated.writes), [`diagnosticLogs:${maxChunks}`]);
+});
+
+runTest('Should redact domains and URLs for the diagnostics export', () => {
+    const [analyzed, detected, oversized] = redactLogEntries([
+        {
+            timestamp: 1,
+            level: 'ERROR',
+            context: 'TrackingDetector',
+            message: 'Failed to load https://tracker.example/pixel.gif',
+            details: { url: 'https://tracker.example/pixel.gif', error: 'Blocked: https://ads.example/x', status: 404 }
+        },
+        {
+            timestamp: 2,
+            level: 'INFO',
+            context: 'Background',
+            message: 'Live trackers detected',
+            details: { domains: ['ads.example'], count: 1, tab: { initiator: 'news.example', id: 7 } }
+        },
+        { timestamp: 3, level: 'INFO', context: 'Background', message: 'x', details: '{"domain":"news.example"…' }
+    ]);
+
+    assert.strictEqual(analyzed.message, 'Failed to load [redacted]');
+    assert.deepStrictEqual(analyzed.details, { url: '[redacted]', error: 'Blocked: [redacted]', status: 404 });
+    assert.deepStrictEqual(detected.details, { domains: '[redacted]', count: 1, tab: { initiator: '[redacted]', id: 7 } });
+    assert.strictEqual(oversized.details, '[redacted]');
+});
+
+console.log('\n=======================================');
+console.log('📊 Test Results Summary');
+console.log('=======================================');
+
+const passedTests = testResults.filter((test) => test.passed);
+const failedTests = testResults.filter((test) => !test.passed);
+
+console.log(`✅ Passed: ${passedTests.length}`);
+console.log(`❌ Failed: ${failedTests.length}`);
+console.log(`📊 Total:  ${testResults.length}`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test) => {
+        console.log(`   - ${test.name}: ${test.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🏆 All log store tests passed!');
+}
@@ -0,0 +1,273 @@
+import assert from 'assert';
+import { EXTENSION_CONFIG } from './core/config.js';
+import { buildPauseRules, buildPauseRulesForDomains, getPauseRuleCapacity, RULES_PER_PAUSE_GROUP } from './core/pauseRules.js';
+import {
+    buildAllowlistRules,
+    matchesAllowlistEntry,
+    parseAllowlistEntries,
+    parseAllowlistPattern,
+    toMatchPatterns
+} from './core/allowlist.js';
+
+console.log('🧪 Running Pagy Blocker Pause Rule Tests');
+console.log('=========================================');
+
+const testResults = [];
+
+function runTest(name, testFunction) {
+    try {
+        testFunction();
+        console.log(`✅ ${name}`);
+        testResults.push({ name, passed: true });
+    } catch (error) {
+        console.error(`❌ ${name}`);
+        console.error(`   Error: ${error.message}`);
+        testResults.push({ name, passed: false, error: error.message });
+    }
+}
+
+// --- Simplified declarativeNetRequest matching -------------------------------------------
+// Enough of Chrome's semantics for these rules: requestDomains/initiatorDomains include
+// subdomains, the highest priority wins, allow/allowAllRequests win ties against block, and
+// an allowAllRequests rule matched by a frame's navigation covers everything that frame and
+// its child frames load.
+
+const ALLOW_TYPES = new Set(['allow', 'allowAllRequests']);
+
+function matchesDomainList(host, domains) {
+    return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+function ruleMatches(rule, request) {
+    const { condition } = rule;
+    if (condition.resourceTypes && !condition.resourceTypes.includes(request.type)) return false;
+    if (condition.requestDomains && !matchesDomainList(request.host, condition.requestDomains)) return false;
+    if (condition.initiatorDomains) {
+        if (!request.initiator || !matchesDomainList(request.initiator, condition.initiatorDomains)) return false;
+    }
+    return true;
+}
+
+function strongest(matches) {
+    return matches.reduce((best, rule) => {
+        if (!best || rule.priority > best.priority) return rule;
+        if (rule.priority === best.priority && ALLOW_TYPES.has(rule.action.type) && !ALLOW_TYPES.has(best.action.type)) {
+            return rule;
+        }
+        return best;
+    }, null);
+}
+
+/**
+ * Would Chrome load the request?
+ * frames: hosts of the frame chain from the top document down to the requesting frame.
+ * framesLoadedBeforePause: the frames navigated before the pause rules existed.
+ */
+function isLoaded(rules, { host, type }, frames, { framesLoadedBeforePause = false } = {}) {
+    // Frame navigations can match allowAllRequests themselves
+    const isFrame = type === 'main_frame' || type === 'sub_frame';
+    const matches = rules.filter((rule) => (isFrame || rule.action.type !== 'allowAllRequests')
+        && ruleMatches(rule, { host, type, initiator: frames[frames.length - 1] }));
+
+    // A main_frame navigation replaces the top document, so no frame above it applies
+    if (!framesLoadedBeforePause && type !== 'main_frame') {
+        frames.forEach((frameHost, index) => {
+            const navigation = {
+                host: frameHost,
+                type: index === 0 ? 'main_frame' : 'sub_frame',
+                initiator: index === 0 ? null : frames[index - 1]
+            };
+            matches.push(...rules.filter((rule) => rule.action.type === 'allowAllRequests' && ruleMatches(rule, navigation)));
+        });
+    }
+
+    const winner = strongest(matches);
+    return !winner || ALLOW_TYPES.has(winner.action.type);
+}
+
+const RANGE = { start: 1, end: 999 };
+const block = (id, domain, priority = 1) => ({
+    id,
+    priority,
+    action: { type: 'block' },
+    condition: { requestDomains: [domain] }
+});
+const blockRules = [
+    block(5001, 'ads.example'),
+    block(5002, 'tracker.example'),
+    block(5003, 'cdn.news.example'),
+    // Auto-block rules share the pause priority
+    block(5004, 'beacon.example', EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE)
+];
+const rulesWithPause = (...domains) => [...buildPauseRules(domains, RANGE).rules, ...blockRules];
+
+runTest('Should allow third-party requests of a paused page', () => {
+    const rules = rulesWithPause('news.example');
+    assert.strictEqual(isLoaded(rules, { host: 'ads.example', type: 'script' }, ['news.example']), true);
+    assert.strictEqual(isLoaded(rules, { host: 'tracker.example', type: 'image' }, ['news.example']), true);
+    assert.strictEqual(isLoaded(rules, { host: 'beacon.example', type: 'ping' }, ['news.example']), true);
+});
+
+runTest('Should cover subdomains of a paused domain', () => {
+    const rules = rulesWithPause('news.example');
+    assert.strictEqual(isLoaded(rules, { host: 'ads.example', type: 'script' }, ['www.news.example']), true);
+    assert.strictEqual(isLoaded(rules, { host: 'cdn.news.example', type: 'stylesheet' }, ['m.news.example']), true);
+});
+
+runTest('Should cover third-party iframes inside a paused page', () => {
+    const rules = rulesWithPause('news.example');
+    // The ad frame itself and what it loads
+    assert.strictEqual(isLoaded(rules, { host: 'ads.example', type: 'sub_frame' }, ['news.example']), true);
+    assert.strictEqual(isLoaded(rules, { host: 'tracker.example', type: 'image' }, ['news.example', 'ads.example']), true);
+});
+
+runTest('Should keep filtering iframes of a paused domain on other pages', () => {
+    const rules = rulesWithPause('news.example');
+    assert.strictEqual(isLoaded(rules, { host: 'cdn.news.example', type: 'sub_frame' }, ['other.example']), false);
+    assert.strictEqual(isLoaded(rules, { host: 'cdn.news.example', type: 'sub_frame' }, ['news.example']), true);
+    // The embedding page itself stays protected
+    assert.strictEqual(isLoaded(rules, { host: 'ads.example', type: 'script' }, ['other.example']), false);
+});
+
+runTest('Should allow what a loaded paused-domain frame requests on another page', () => {
+    // Documented limit: the initiator rule cannot tell which page embeds the frame
+    const rules = rulesWithPause('news.example');
+    assert.strictEqual(isLoaded(rules, { host: 'ads.example', type: 'script' }, ['other.example', 'news.example']), true);
+});
+
+runTest('Should keep blocking requests to a paused domain from other pages', () => {
+    const rules = rulesWithPause('news.example');
+    assert.strictEqual(isLoaded(rules, { host: 'cdn.news.example', type: 'script' }, ['other.example']), false);
+});
+
+runTest('Should allow requests from pages loaded before the pause started', () => {
+    const rules = rulesWithPause('news.example');
+    const options = { framesLoadedBeforePause: true };
+    assert.strictEqual(isLoaded(rules, { host: 'ads.example', type: 'script' }, ['news.example'], options), true);
+});
+
+runTest('Should not unblock navigations away from a paused page', () => {
+    const rules = [...rulesWithPause('news.example'), {
+        id: 5005,
+        priority: 1,
+        action: { type: 'block' },
+        condition: { requestDomains: ['ads.example'], resourceTypes: ['main_frame'] }
+    }];
+    assert.strictEqual(isLoaded(rules, { host: 'ads.example', type: 'main_frame' }, ['news.example']), false);
+});
+
+runTest('Should fail with the previous request-domain semantics', () => {
+    // Regression reference: the former rule only allowed requests *to* the paused domain
+    const legacyRule = {
+        id: 1,
+        priority: EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE,
+        action: { type: 'allow' },
+        condition: { requestDomains: ['news.example'] }
+    };
+    assert.strictEqual(isLoaded([legacyRule, ...blockRules], { host: 'ads.example', type: 'script' }, ['news.example']), false);
+});
+
+runTest('Should build three rules per domain group with sequential ids', () => {
+    const rules = buildPauseRulesForDomains(['news.example'], 7);
+    assert.strictEqual(rules.length, RULES_PER_PAUSE_GROUP);
+    assert.deepStrictEqual(rules.map((rule) => rule.id), [7, 8, 9]);
+    assert.strictEqual(rules[0].action.type, 'allowAllRequests');
+    assert.deepStrictEqual(rules[0].condition.resourceTypes, ['main_frame']);
+    assert.deepStrictEqual(rules[1].condition, { initiatorDomains: ['news.example'], resourceTypes: ['sub_frame'] });
+    assert.deepStrictEqual(rules[2].condition.initiatorDomains, ['news.example']);
+    assert(!rules[2].condition.resourceTypes.includes('main_frame'));
+});
+
+runTest('Should coalesce thousands of paused domains into a few rules', () => {
+    const groupSize = EXTENSION_CONFIG.LIMITS.MAX_DOMAINS_PER_RULE;
+    const domains = Array.from({ length: groupSize * 2 + 500 }, (_, index) => `site${index}.example`);
+    const { rules, skipped } = buildPauseRules(domains, RANGE);
+
+    assert.strictEqual(rules.length, 3 * RULES_PER_PAUSE_GROUP);
+    assert.deepStrictEqual(rules.map((rule) => rule.id), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.strictEqual(skipped.length, 0);
+    assert.strictEqual(rules[0].condition.requestDomains.length, groupSize);
+    assert.strictEqual(rules[8].condition.initiatorDomains.length, 500);
+
+    // Every domain is still paused
+    assert.strictEqual(isLoaded([...rules, ...blockRules], { host: 'ads.example', type: 'script' }, ['site2499.example']), true);
+});
+
+runTest('Should keep rules inside the id range and report skipped domains', () => {
+    const range = { start: 10, end: 16 };
+    const capacity = getPauseRuleCapacity(range);
+    const domains = Array.from({ length: capacity + 2 }, (_, index) => `site${String(index).padStart(5, '0')}.example`);
+    const { rules, skipped } = buildPauseRules([...domains, domains[0]], range);
+
+    assert.deepStrictEqual(rules.map((rule) => rule.id), [10, 11, 12, 13, 14, 15]);
+    assert.deepStrictEqual(skipped, domains.slice(capacity));
+});
+
+runTest('Should normalize allowlist patterns and reject invalid ones', () => {
+    assert.strictEqual(parseAllowlistPattern('https://Shop.Example.com/Cart/?id=1').entry.pattern, 'shop.example.com/cart/');
+    assert.deepStrictEqual(parseAllowlistPattern('*.example.com').entry, {
+        pattern: '*.example.com',
+        host: 'example.com',
+        path: '',
+        subdomainsOnly: true
+    });
+    assert.strictEqual(parseAllowlistPattern('localhost').isValid, false);
+    assert.strictEqual(parseAllowlistPattern('example.com:8080').isValid, false);
+    assert.strictEqual(parseAllowlistPattern('example.com/a|b').isValid, false);
+});
+
+runTest('Should match allowlist entries by host, wildcard and path prefix', () => {
+    const [domain, wildcard, scoped] = parseAllowlistEntries([
+        { pattern: 'news.example', source: 'popup' },
+        { pattern: '*.blog.example', source: 'options' },
+        { pattern: 'shop.example/checkout', source: 'import' }
+    ]);
+    assert.strictEqual(domain.source, 'popup');
+    assert.strictEqual(matchesAllowlistEntry(domain, 'https://m.news.example/article'), true);
+    assert.strictEqual(matchesAllowlistEntry(wildcard, 'https://blog.example/'), false);
+    assert.strictEqual(matchesAllowlistEntry(wildcard, 'https://me.blog.example/'), true);
+    assert.strictEqual(matchesAllowlistEntry(scoped, 'https://shop.example/Checkout/pay'), true);
+    assert.strictEqual(matchesAllowlistEntry(scoped, 'https://shop.example/cart'), false);
+    assert.deepStrictEqual(toMatchPatterns(scoped), ['*://shop.example/checkout*', '*://*.shop.example/checkout*']);
+});
+
+runTest('Should give scoped allowlist entries one document rule each after the domain groups', () => {
+    const entries = parseAllowlistEntries([
+        { pattern: 'shop.example/checkout' },
+        { pattern: 'news.example' },
+        { pattern: '*.blog.example' },
+        { pattern: 'other.example/a' }
+    ]);
+    const { rules, skipped } = buildAllowlistRules(entries, { start: 1, end: 5 });
+
+    assert.deepStrictEqual(rules.map((rule) => rule.id), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(rules[3].condition, {
+        urlFilter: '.blog.example^',
+        requestDomains: ['blog.example'],
+        resourceTypes: ['main_frame']
+    });
+    assert.strictEqual(rules[4].condition.urlFilter, '||other.example/a');
+    assert.strictEqual(rules[4].action.type, 'allowAllRequests');
+    assert.deepStrictEqual(skipped, ['shop.example/checkout']);
+});
+
+console.log('\n==========================================');
+console.log('📊 Test Results Summary');
+console.log('==========================================');
+
+const passedTests = testResults.filter((test) => test.passed);
+const failedTests = testResults.filter((test) => !test.passed);
+
+console.log(`✅ Passed: ${passedTests.length}`);
+console.log(`❌ Failed: ${failedTests.length}`);
+console.log(`📊 Total:  ${testResults.length}`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test) => {
+        console.log(`   - ${test.name}: ${test.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🏆 All pause rule tests passed!');
+}
@@ -1,5 +1,11 @@
 import assert from 'assert';
+import vm from 'vm';
 import { precompileFilterList } from './filter_precompiler.js';
+import { buildHidingCss, getCosmeticSelectors, getProceduralSelectors } from './core/cosmeticFilters.js';
+import { parseProceduralSelector } from './core/proceduralSelector.js';
+import { buildScriptletBundle, parseScriptletCall } from './core/scriptlets.js';
+import { compileUserFilters, validateUserFilterLine } from './core/userFilters.js';
+import { REGEX_REJECTION, validateRegexFilter } from './core/regexValidator.js';
 
 console.log('🧪 Running Pagy Blocker Precompiler Tests');
 console.log('=========================================');
@@ -99,6 +105,289 @@ runTest('Should handle invalid rules gracefully', () => {
     assert(validRule, 'Should still process valid rules');
 });
 
+runTest('Should report line numbers and reasons for rejected rules', () => {
+    const filterText = '||example.com^\n||ads.com^$popup\n||tracker.com^$csp=script-src';
+    const result = precompileFilterList(filterText);
+    assert.strictEqual(result.rules.length, 1);
+    assert.strictEqual(result.stats.unsupportedOptions, 2);
+    assert.deepStrictEqual(
+        result.stats.errorDetails.map((error) => error.line),
+        [2, 3]
+    );
+    assert(result.stats.errorDetails.every((error) => error.reason));
+});
+
+runTest('Should compile element-hiding filters separately from network rules', () => {
+    const filterText = [
+        'example.com##.ad-banner',
+        '##.sponsored',
+        '##.promo',
+        'shop.example.com#@#.promo',
+        '~news.example.com##.teaser',
+        '##+js(set-constant, adsEnabled, false)',
+        '||example.com^',
+    ].join('\n');
+    const result = precompileFilterList(filterText);
+    assert.strictEqual(result.rules.length, 1);
+    assert.strictEqual(result.stats.cosmeticFilters, 4);
+    assert.strictEqual(result.stats.cosmeticSkipped, 1);
+    assert.strictEqual(result.stats.errors, 0);
+
+    assert.deepStrictEqual(
+        getCosmeticSelectors([result.cosmetic], 'www.example.com').sort(),
+        ['.ad-banner', '.promo', '.sponsored', '.teaser']
+    );
+    assert.deepStrictEqual(
+        getCosmeticSelectors([result.cosmetic], 'shop.example.com').sort(),
+        ['.ad-banner', '.sponsored', '.teaser']
+    );
+    assert.deepStrictEqual(
+        getCosmeticSelectors([result.cosmetic], 'news.example.com').sort(),
+        ['.ad-banner', '.promo', '.sponsored']
+    );
+});
+
+runTest('Should reject element-hiding selectors that break out of their CSS rule', () => {
+    const result = precompileFilterList(['##.ad /*', '##*/ .x', '##.x { color: red }', '##.ok'].join('\n'));
+    assert.strictEqual(result.stats.cosmeticFilters, 1);
+    assert.strictEqual(result.stats.errors, 3);
+
+    assert.strictEqual(
+        buildHidingCss(['.a', '.b /*', '.c']),
+        '.a { display: none !important; }\n.c { display: none !important; }'
+    );
+});
+
+runTest('Should compile procedural filters into their own group', () => {
+    const filterText = [
+        'example.com#?#article:has-text(/Anzeige|Sponsored/i):upward(2)',
+        '##.feed > div:has(> .label:has-text(Werbung))',
+        'example.com#?#.banner:remove()',
+        'shop.example.com#@?#.banner:remove()',
+        '#?#.plain-css',
+        'example.com#?#.ad:remove() > span',
+        'example.com#?#.ad:upward(0)',
+    ].join('\n');
+    const result = precompileFilterList(filterText);
+    assert.strictEqual(result.stats.cosmeticFilters, 4);
+    assert.strictEqual(result.stats.errors, 2);
+    assert.deepStrictEqual(result.cosmetic.generic, ['.plain-css']);
+    assert.deepStrictEqual(getProceduralSelectors([result.cosmetic], 'shop.example.com'), [
+        '.feed > div:has(> .label:has-text(Werbung))',
+        'article:has-text(/Anzeige|Sponsored/i):upward(2)',
+    ]);
+
+    const parsed = parseProceduralSelector('.post:has(.label:has-text(Ad)) > .body');
+    assert.strictEqual(parsed.isValid, true);
+    assert.deepStrictEqual(
+        parsed.tasks.map(([operator]) => operator),
+        ['css', 'has', 'descendants']
+    );
+    assert.strictEqual(parseProceduralSelector('div:has(> .x)').isPlainCss, true);
+});
+
+runTest('Should validate scriptlets and bundle them per hostname', () => {
+    const filterText = [
+        'example.com##+js(set-constant, ads.enabled, false)',
+        'example.com,example.org##+js(aopr, adblockDetector)',
+        'shop.example.com#@#+js(aopr, adblockDetector)',
+        '##+js(nostif, adblock)',
+        'example.com##+js(unknown-scriptlet)',
+        'example.com##+js(set-constant, ads.enabled, maybe)',
+        'example.com##+js(no-setTimeout-if, /[/)',
+    ].join('\n');
+    const result = precompileFilterList(filterText);
+    assert.strictEqual(result.stats.scriptlets, 3);
+    assert.strictEqual(result.stats.cosmeticSkipped, 1);
+    assert.strictEqual(result.stats.errors, 3);
+    assert.deepStrictEqual(Object.keys(result.cosmetic.scriptlets.specific).sort(), [
+        'example.com',
+        'example.org',
+    ]);
+    assert.deepStrictEqual(parseScriptletCall('+js(nostif.js, /a{1\\,2}/, 100)').args, ['/a{1,2}/', '100']);
+
+    // Bündel und "Seitenskript" laufen im selben Kontext, wie in der MAIN world
+    const runPage = (hostname, pageScript) => {
+        const context = { location: { hostname } };
+        context.window = context;
+        vm.createContext(context);
+        vm.runInContext(buildScriptletBundle(result.cosmetic.scriptlets, 'list.txt'), context);
+        return vm.runInContext(pageScript, context);
+    };
+    const readAds = 'window.ads = { enabled: true }; ads.enabled';
+    const readDetector = 'try { window.adblockDetector; "gelesen" } catch (error) { "abgebrochen" }';
+    assert.strictEqual(runPage('www.example.com', readAds), false);
+    assert.strictEqual(runPage('example.net', readAds), true);
+    assert.strictEqual(runPage('example.org', readDetector), 'abgebrochen');
+    assert.strictEqual(runPage('shop.example.com', readDetector), 'gelesen');
+});
+
+runTest('Should remove subsumed rules and merge domain rules when optimizing', () => {
+    const filterText = [
+        '||doubleclick.net^',
+        '||ad.doubleclick.net^',
+        '||cm.g.doubleclick.net^',
+        '||ads.example.com^$script',
+        '||example.org^',
+        '||tracker.net^',
+    ].join('\n');
+    const result = precompileFilterList(filterText, { optimize: true });
+
+    assert.strictEqual(result.stats.optimization.subsumed, 2);
+    assert.strictEqual(result.rules.length, 2);
+    const merged = result.rules.find((rule) => rule.condition.requestDomains);
+    assert.deepStrictEqual(merged.condition.requestDomains, [
+        'doubleclick.net',
+        'example.org',
+        'tracker.net',
+    ]);
+    assert.strictEqual(merged.condition.urlFilter, undefined);
+    assert(findRuleByUrlFilter(result.rules, '||ads.example.com^'), 'Typed rule stays separate');
+    assert.strictEqual(result.stats.filterCount, 4);
+});
+
+runTest('Should not merge rules without the optimize option', () => {
+    const result = precompileFilterList('||example.org^\n||tracker.net^');
+    assert.strictEqual(result.rules.length, 2);
+    assert.strictEqual(result.stats.optimization, undefined);
+});
+
+runTest('Should compile regex filters and report unsupported ones', () => {
+    const filterText = [
+        '/^https?:\\/\\/ads[0-9]+\\.example\\.com\\//$script',
+        '/(?<=ad)banner/',
+        '/(ad+)+x/',
+    ].join('\n');
+    const result = precompileFilterList(filterText);
+
+    assert.strictEqual(result.rules.length, 1);
+    assert.strictEqual(result.rules[0].condition.regexFilter, '^https?:\\/\\/ads[0-9]+\\.example\\.com\\/');
+    assert.strictEqual(result.rules[0].condition.urlFilter, undefined);
+    assert.deepStrictEqual(result.rules[0].condition.resourceTypes, ['script']);
+    assert.strictEqual(result.stats.regexRules, 1);
+    assert.strictEqual(result.stats.regexRejected, 2);
+    assert.deepStrictEqual(
+        result.stats.errorDetails.map((error) => error.line),
+        [2, 3]
+    );
+});
+
+runTest('Should not mistake escaped characters for unsupported regex constructs', () => {
+    assert.strictEqual(validateRegexFilter('ad\\++banner').isValid, true);
+    assert.strictEqual(validateRegexFilter('\\(?=x').isValid, true);
+    assert.strictEqual(validateRegexFilter('[?+]x').isValid, true);
+    assert.strictEqual(validateRegexFilter('\\\\1').isValid, true);
+
+    assert.strictEqual(validateRegexFilter('ad++').reason, REGEX_REJECTION.UNSUPPORTED);
+    assert.strictEqual(validateRegexFilter('\\\\(?=x)').reason, REGEX_REJECTION.UNSUPPORTED);
+    assert.strictEqual(validateRegexFilter('(a)\\1').reason, REGEX_REJECTION.UNSUPPORTED);
+});
+
+runTest('Should enforce the regex rule quota', () => {
+    const result = precompileFilterList('/ads[0-9]/\n/banner[0-9]/', { maxRegexRules: 1 });
+    assert.strictEqual(result.rules.length, 1);
+    assert.strictEqual(result.stats.regexRejected, 1);
+});
+
+runTest('Should compile $redirect filters to bundled surrogate resources', () => {
+    const filterText = [
+        '||googletagmanager.com/gtm.js$script,redirect=googletagmanager_gtm.js',
+        '||ads.example.com/pixel.gif$redirect=1x1-transparent.gif',
+        '||example.com/ad.js$redirect=missing.js',
+        '||example.com/banner.png$image,redirect=noop.js',
+        '||example.com/lib.js$~image,redirect=noop.js',
+    ].join('\n');
+    const result = precompileFilterList(filterText);
+
+    assert.strictEqual(result.rules.length, 3);
+    const gtmRule = findRuleByUrlFilter(result.rules, '||googletagmanager.com/gtm.js');
+    assert.strictEqual(gtmRule.action.type, 'redirect');
+    assert.strictEqual(
+        gtmRule.action.redirect.extensionPath,
+        '/redirects/googletagmanager_gtm.js'
+    );
+    assert.strictEqual(gtmRule.priority, 2);
+
+    // Ohne Typ-Optionen gelten die Typen der Ressource
+    const gifRule = findRuleByUrlFilter(result.rules, '||ads.example.com/pixel.gif');
+    assert.deepStrictEqual(gifRule.condition.resourceTypes, ['image']);
+    assert.deepStrictEqual(result.stats.errorDetails.map((error) => error.line), [3, 4]);
+
+    // Der Ersatz muss zum Ressourcentyp passen
+    assert.match(result.stats.errorDetails[1].reason, /noop\.js passt nicht zu Typ image/);
+    const libRule = findRuleByUrlFilter(result.rules, '||example.com/lib.js');
+    assert.deepStrictEqual(libRule.condition.resourceTypes, ['script']);
+    assert.strictEqual(libRule.condition.excludedResourceTypes, undefined);
+});
+
+runTest('Should compile $removeparam filters to query transforms', () => {
+    const filterText = [
+        '$removeparam=utm_source',
+        '$removeparam=fbclid',
+        '||example.com^$removeparam',
+        '$removeparam=/^utm_/',
+        '@@||example.org^$removeparam=gclid',
+        '||example.net^$RemoveParam=fbClid',
+    ].join('\n');
+    const result = precompileFilterList(filterText);
+
+    assert.strictEqual(result.rules.length, 4);
+    const [utmRule] = result.rules;
+    assert.strictEqual(utmRule.action.type, 'redirect');
+    assert.deepStrictEqual(utmRule.action.redirect.transform.queryTransform.removeParams, [
+        'utm_source',
+    ]);
+    assert.strictEqual(utmRule.condition.urlFilter, undefined);
+    assert.deepStrictEqual(utmRule.condition.resourceTypes, ['main_frame', 'sub_frame']);
+    // Blockierregeln gewinnen bei gleicher Priorität
+    assert.strictEqual(utmRule.priority, 1);
+
+    const clearQueryRule = findRuleByUrlFilter(result.rules, '||example.com^');
+    assert.deepStrictEqual(clearQueryRule.action.redirect.transform, { query: '' });
+    // Parameternamen behalten ihre Schreibweise, nur Optionsnamen werden normalisiert
+    const mixedCaseRule = findRuleByUrlFilter(result.rules, '||example.net^');
+    assert.deepStrictEqual(mixedCaseRule.action.redirect.transform.queryTransform.removeParams, ['fbClid']);
+    assert.deepStrictEqual(
+        result.stats.errorDetails.map((error) => error.line),
+        [4, 5]
+    );
+
+    const optimized = precompileFilterList(filterText, { optimize: true });
+    assert.deepStrictEqual(
+        optimized.rules[0].action.redirect.transform.queryTransform.removeParams,
+        ['utm_source', 'fbclid']
+    );
+});
+
+runTest('Should reject rules without a pattern unless they use $removeparam', () => {
+    const result = precompileFilterList('$script\n$third-party');
+    assert.strictEqual(result.rules.length, 0);
+    assert.strictEqual(result.stats.errors, 2);
+});
+
+runTest('Should compile user filters into their id range above the static lists', () => {
+    const text = ['! Meine Filter', '||ads.example^', '@@||ads.example^$script', 'example.com##.banner', '||bad.example^$unknownoption'].join('\n');
+    const { rules, rejected, stats } = compileUserFilters(text, { start: 100000, end: 100099 });
+
+    assert.deepStrictEqual(rules.map((rule) => rule.id), [100000, 100001]);
+    assert(rules.every((rule) => rule.priority > 100), 'User rules should outrank static list rules');
+    assert(rules[1].priority > rules[0].priority, 'Exceptions should still beat blocks');
+    assert.deepStrictEqual(rejected.map(({ line }) => line), [4, 5]);
+    assert.strictEqual(stats.rejected, 2);
+    assert.strictEqual(validateUserFilterLine('example.com##.banner').isValid, false);
+    assert.strictEqual(validateUserFilterLine('! Kommentar').isValid, true);
+});
+
+runTest('Should reject user filters beyond the id range and regex quota', () => {
+    const text = ['||a.example^', '||b.example^', '/track[0-9]+/', '||c.example^'].join('\n');
+    const { rules, rejected } = compileUserFilters(text, { start: 1, end: 2 }, { maxRegexRules: 0 });
+
+    assert.strictEqual(rules.length, 2);
+    assert.strictEqual(rejected[0].line, 3);
+    assert.match(rejected[0].reason, /Regex-Kontingent/);
+    assert.strictEqual(rejected[1].line, null);
+});
+
 // Test results summary
 console.log('\n==========================================');
 console.log('📊 Test Results Summary');
@@ -0,0 +1,110 @@
+import assert from 'assert';
+import { parseRule } from './core/ruleParser.js';
+import { convertToDNRRule, getRuleKey, isBadfilter } from './core/ruleCompiler.js';
+
+console.log('🧪 Running Pagy Blocker Rule Compiler Tests');
+console.log('===========================================');
+
+const testResults = [];
+
+async function runTest(name, testFunction) {
+    try {
+        await testFunction();
+        console.log(`✅ ${name}`);
+        testResults.push({ name, passed: true });
+    } catch (error) {
+        console.error(`❌ ${name}`);
+        console.error(`   Error: ${error.message}`);
+        testResults.push({ name, passed: false, error: error.message });
+    }
+}
+
+// Parses a filter line and compiles it with the given rule id
+async function compile(line, id = 1) {
+    const parsedRule = await parseRule(line);
+    assert(parsedRule, `Should parse ${line}`);
+    return convertToDNRRule(parsedRule, id);
+}
+
+await runTest('Should map party, domain and type options onto rule conditions', async () => {
+    const thirdParty = await compile('||a.example^$third-party');
+    assert.strictEqual(thirdParty.rule.condition.domainType, 'thirdParty');
+
+    const firstParty = await compile('||b.example^$~third-party,script');
+    assert.strictEqual(firstParty.rule.condition.domainType, 'firstParty');
+    assert.deepStrictEqual(firstParty.rule.condition.resourceTypes, ['script']);
+
+    const domainRule = await compile('||c.example^$domain=news.example|~blog.news.example');
+    assert.deepStrictEqual(domainRule.rule.condition.initiatorDomains, ['news.example']);
+    assert.deepStrictEqual(domainRule.rule.condition.excludedInitiatorDomains, ['blog.news.example']);
+    assert.strictEqual(domainRule.rule.condition.domainType, undefined);
+
+    // Nur negierte Typen: alle übrigen Typen, ausgedrückt über excludedResourceTypes
+    const negatedTypes = await compile('||d.example^$~image,~script');
+    assert.deepStrictEqual(negatedTypes.rule.condition.excludedResourceTypes, ['image', 'script']);
+    assert.strictEqual(negatedTypes.rule.condition.resourceTypes, undefined);
+});
+
+await runTest('Should reject options without a declarativeNetRequest equivalent', async () => {
+    assert.strictEqual((await compile('||a.example^$popup')).isValid, false);
+    assert.strictEqual((await compile('||a.example^$script,~script')).isValid, false);
+    assert.strictEqual((await compile('||a.example^$~domain=news.example')).isValid, false);
+});
+
+await runTest('Should compile exception rules into allow and allowAllRequests rules', async () => {
+    const block = await compile('||ads.example^');
+    const allow = await compile('@@||ads.example^$script');
+    assert.strictEqual(allow.rule.action.type, 'allow');
+    assert.strictEqual(allow.rule.condition.urlFilter, '||ads.example^');
+    assert.deepStrictEqual(allow.rule.condition.resourceTypes, ['script']);
+    // Ausnahmen schlagen normale Blockierregeln
+    assert(allow.rule.priority > block.rule.priority);
+
+    const documentRule = await compile('@@||shop.example^$document');
+    assert.strictEqual(documentRule.rule.action.type, 'allowAllRequests');
+    assert.deepStrictEqual(documentRule.rule.condition.resourceTypes, ['main_frame', 'sub_frame']);
+});
+
+await runTest('Should apply $important and $match-case', async () => {
+    // $important schlägt Ausnahmen
+    const important = await compile('||tracker.example^$important');
+    const exception = await compile('@@||tracker.example^');
+    assert.strictEqual(important.rule.priority, 3);
+    assert(important.rule.priority > exception.rule.priority);
+
+    assert.strictEqual((await compile('/Banner/$match-case')).rule.condition.isUrlFilterCaseSensitive, true);
+    assert.strictEqual((await compile('/banner/')).rule.condition.isUrlFilterCaseSensitive, undefined);
+});
+
+await runTest('Should match $badfilter rules to the rule they cancel', async () => {
+    const rule = await parseRule('||cdn.example^$script,third-party');
+    const badfilter = await parseRule('||cdn.example^$third-party,script,badfilter');
+    assert.strictEqual(isBadfilter(rule), false);
+    assert.strictEqual(isBadfilter(badfilter), true);
+    // Die Reihenfolge der Optionen spielt keine Rolle
+    assert.strictEqual(getRuleKey(badfilter), getRuleKey(rule));
+
+    const otherType = await parseRule('||cdn.example^$image,badfilter');
+    assert.notStrictEqual(getRuleKey(otherType), getRuleKey(rule));
+});
+
+console.log('\n==========================================');
+console.log('📊 Test Results Summary');
+console.log('==========================================');
+
+const passedTests = testResults.filter((test) => test.passed);
+const failedTests = testResults.filter((test) => !test.passed);
+
+console.log(`✅ Passed: ${passedTests.length}`);
+console.log(`❌ Failed: ${failedTests.length}`);
+console.log(`📊 Total:  ${testResults.length}`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test) => {
+        console.log(`   - ${test.name}: ${test.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🏆 All rule compiler tests passed!');
+}
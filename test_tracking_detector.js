@@ -0,0 +1,110 @@
+import assert from 'assert';
+import { TrackingDetector } from './core/trackingDetector.js';
+import { getBlockingModeForLevel, TRACKING_CONFIG } from './core/trackingConfig.js';
+
+console.log('🧪 Running Pagy Blocker Tracking Detector Tests');
+console.log('===============================================');
+
+const testResults = [];
+
+function runTest(name, testFunction) {
+    try {
+        testFunction();
+        console.log(`✅ ${name}`);
+        testResults.push({ name, passed: true });
+    } catch (error) {
+        console.error(`❌ ${name}`);
+        console.error(`   Error: ${error.message}`);
+        testResults.push({ name, passed: false, error: error.message });
+    }
+}
+
+function addDomain(detector, domain, { sites, score, indicators = [] }) {
+    detector.domainStats.set(domain, {
+        sites: new Set(Array.from({ length: sites }, (_, index) => `site${index}.example`)),
+        requests: sites,
+        score,
+        firstSeen: Date.now(),
+        lastSeen: Date.now(),
+        requestTypes: new Map(),
+        trackingIndicators: new Set(indicators)
+    });
+}
+
+runTest('Should map protection levels to blocking modes', () => {
+    assert.strictEqual(getBlockingModeForLevel('strict'), 'STRICT');
+    assert.strictEqual(getBlockingModeForLevel('standard'), 'BALANCED');
+    assert.strictEqual(getBlockingModeForLevel('permissive'), 'PERMISSIVE');
+    assert.strictEqual(getBlockingModeForLevel('custom'), TRACKING_CONFIG.DEFAULT_BLOCKING_MODE);
+    assert.strictEqual(getBlockingModeForLevel(undefined), TRACKING_CONFIG.DEFAULT_BLOCKING_MODE);
+});
+
+runTest('Should use the thresholds of the active blocking mode', () => {
+    const detector = new TrackingDetector();
+    for (const [mode, { thresholds }] of Object.entries(TRACKING_CONFIG.BLOCKING_MODES)) {
+        detector.blockingMode = mode;
+        assert.strictEqual(detector.getThresholds().BLOCKING_SCORE, thresholds.BLOCKING_SCORE);
+        assert.strictEqual(detector.getThresholds().MIN_SITES_FOR_BLOCKING, thresholds.MIN_SITES_FOR_BLOCKING);
+        assert.strictEqual(detector.getThresholds().MIN_SITES_FOR_TRACKING, TRACKING_CONFIG.THRESHOLDS.MIN_SITES_FOR_TRACKING);
+    }
+});
+
+runTest('Should block and unblock known domains when the mode changes', () => {
+    const detector = new TrackingDetector();
+    addDomain(detector, 'cdn.example', { sites: 4, score: 70 });
+    addDomain(detector, 'ads.example', { sites: 9, score: 90 });
+    addDomain(detector, 'allowed.example', { sites: 9, score: 90 });
+    detector.allowedDomains.add('allowed.example');
+
+    detector.blockingMode = 'STRICT';
+    assert.deepStrictEqual(detector.reevaluateDomains(), { blocked: ['cdn.example', 'ads.example'], unblocked: [] });
+
+    detector.blockingMode = 'PERMISSIVE';
+    assert.deepStrictEqual(detector.reevaluateDomains(), { blocked: [], unblocked: ['cdn.example'] });
+    assert.deepStrictEqual(detector.getBlockedDomains(), ['ads.example']);
+});
+
+runTest('Should keep blocked domains whose statistics were cleaned up', () => {
+    const detector = new TrackingDetector();
+    detector.blockedDomains.add('old.example');
+    detector.blockingMode = 'PERMISSIVE';
+    assert.deepStrictEqual(detector.reevaluateDomains(), { blocked: [], unblocked: [] });
+    assert(detector.blockedDomains.has('old.example'));
+});
+
+runTest('Should only judge domains that still have statistics', () => {
+    const detector = new TrackingDetector();
+    addDomain(detector, 'aged.example', { sites: 9, score: 90 });
+    addDomain(detector, 'weak.example', { sites: 4, score: 70 });
+    detector.domainStats.get('aged.example').lastSeen = Date.now() - TRACKING_CONFIG.MAX_DATA_AGE - 1000;
+    detector.blockedDomains.add('aged.example');
+    detector.blockingMode = 'PERMISSIVE';
+
+    detector.cleanupOldData();
+
+    assert(!detector.domainStats.has('aged.example'));
+    assert.strictEqual(detector.failsBlockingCriteria('aged.example'), false);
+    assert.strictEqual(detector.failsBlockingCriteria('weak.example'), true);
+    assert.strictEqual(detector.failsBlockingCriteria('unknown.example'), false);
+});
+
+console.log('\n===============================================');
+console.log('📊 Test Results Summary');
+console.log('===============================================');
+
+const passedTests = testResults.filter((test) => test.passed);
+const failedTests = testResults.filter((test) => !test.passed);
+
+console.log(`✅ Passed: ${passedTests.length}`);
+console.log(`❌ Failed: ${failedTests.length}`);
+console.log(`📊 Total:  ${testResults.length}`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test) => {
+        console.log(`   - ${test.name}: ${test.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🏆 All tracking detector tests passed!');
+}